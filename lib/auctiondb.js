@@ -22,278 +22,1430 @@ const Logger = require('blgr');
 const bdb = require('bdb');
 const assert = require('bsert');
 const layout = require('./layout');
+const {
+  BlockUndo,
+  BidRecord,
+  RevealRecord,
+  ClaimRecord,
+  HistoryRecord,
+  AuctionRecord,
+  StatsRecord,
+  BlockStatsRecord,
+  SettingsRecord,
+  EventRecord,
+  DeliveryRecord
+} = require('./records');
+const {migrations, VERSION} = require('./migrations');
 const BN = require('bcrypto/lib/bn');
 const path = require('path');
 const fs = require('bfile');
+const Network = require('hsd/lib/protocol/network');
+const {Lock} = require('bmutex');
+const {BufferMap} = require('buffer-map');
+const Outpoint = require('hsd/lib/primitives/outpoint');
+
+/*
+ * Constants
+ */
+
+const DB_NAME = 'auction-notify';
+
+/*
+ * Stats windows, with the bucket
+ * of a block in each window.
+ */
+
+const windows = {
+  hourly: block => Math.floor(block.time / 3600),
+  daily: block => Math.floor(block.time / 86400),
+  '144': block => Math.floor(block.height / 144)
+};
 
 class AuctionDB extends EventEmitter {
   constructor(options) {
     super();
 
-    this.options = new AuctionDBOptions(options);
-    this.logger = this.options.logger.context('auction-db');
+    this.options = new AuctionDBOptions(options);
+    this.logger = this.options.logger.context('auction-db');
+    this.network = this.options.network;
+
+    this.batch = null;
+    this.db = bdb.create(this.options);
+
+    // Set on the view of a block being
+    // written, with its pending counts
+    // and auctions.
+    this.locker = new Lock();
+    this.pending = null;
+    this.unlock = null;
+    this.cache = new BufferMap();
+
+    // Next event log sequence number,
+    // starting from one so zero means none.
+    this.sequence = 1;
+
+    // Next webhook delivery id.
+    this.delivery = 1;
+  }
+
+  async open() {
+    this.logger.info('Opening AuctionDB...');
+
+    await this.ensure();
+    await this.db.open();
+
+    await this.verifyNetwork();
+    await this.verifyVersion();
+
+    this.sequence = await this.getNextSequence();
+    this.delivery = await this.getNextDelivery();
+  }
+
+  async close() {
+    await this.db.close();
+  }
+
+  /**
+   * Write the network magic or make sure that it
+   * matches the network the database was created on.
+   * @returns {Promise}
+   */
+
+  async verifyNetwork() {
+    const raw = await this.db.get(layout.N.encode());
+
+    if (!raw) {
+      const data = Buffer.alloc(4);
+      data.writeUInt32LE(this.network.magic, 0);
+      await this.db.put(layout.N.encode(), data);
+      return;
+    }
+
+    const magic = raw.readUInt32LE(0);
+
+    if (magic !== this.network.magic) {
+      throw new Error('AuctionDB network mismatch: '
+        + `database is for magic ${magic}, `
+        + `node is on ${this.network.type}.`);
+    }
+  }
+
+  /**
+   * Get the database version.
+   * @returns {Promise} - Returns Number (-1 if unset).
+   */
+
+  async getVersion() {
+    const raw = await this.db.get(layout.V.encode());
+
+    if (!raw)
+      return -1;
+
+    if (raw.length !== DB_NAME.length + 4
+        || raw.toString('ascii', 0, DB_NAME.length) !== DB_NAME) {
+      throw new Error('AuctionDB version record is invalid.');
+    }
+
+    return raw.readUInt32LE(DB_NAME.length);
+  }
+
+  /**
+   * Write the database version to a batch.
+   * @param {Batch} b
+   * @param {Number} version
+   */
+
+  writeVersion(b, version) {
+    const data = Buffer.alloc(DB_NAME.length + 4);
+    data.write(DB_NAME, 0, 'ascii');
+    data.writeUInt32LE(version, DB_NAME.length);
+    b.put(layout.V.encode(), data);
+  }
+
+  /**
+   * Write the version to a new database, otherwise
+   * refuse newer versions and migrate older ones.
+   * @returns {Promise}
+   */
+
+  async verifyVersion() {
+    let version = await this.getVersion();
+
+    if (version === -1) {
+      // Only the network has been written.
+      const keys = await this.db.keys({limit: 2});
+
+      if (keys.length <= 1) {
+        const b = this.db.batch();
+        this.writeVersion(b, VERSION);
+        await b.write();
+        return;
+      }
+
+      version = 0;
+    }
+
+    if (version > VERSION) {
+      throw new Error(`AuctionDB version ${version} is newer `
+        + `than the supported version ${VERSION}.`);
+    }
+
+    if (version < VERSION)
+      await this.migrate(version);
+  }
+
+  /**
+   * Upgrade the database from version.
+   * @param {Number} version
+   * @returns {Promise}
+   */
+
+  async migrate(version) {
+    for (const migration of migrations) {
+      if (migration.version <= version)
+        continue;
+
+      this.logger.info('Migrating AuctionDB to version %d: %s.',
+        migration.version, migration.description);
+
+      const b = this.db.batch();
+
+      await migration.migrate(this, b);
+
+      this.writeVersion(b, migration.version);
+
+      await b.write();
+    }
+  }
+
+  start() {
+    assert(this.batch === null);
+    this.batch = this.db.batch();
+    return this.batch;
+  }
+
+  put(key, value) {
+    this.batch.put(key, value);
+  }
+
+  del(key, value) {
+    this.batch.del(key, value);
+  }
+
+  async commit() {
+    try {
+      await this.batch.write();
+    } catch (e) {
+      this.logger.error('Error writing to db...');
+      this.batch = null;
+      return null;
+    }
+
+    this.batch = null;
+    return true;
+  }
+
+  /**
+   * Start a batch for a block. Returns a view of the
+   * database whose writes go into the batch, which also
+   * sets the block as the tip. The view holds the write
+   * lock until the block is committed or dropped, so
+   * writes made outside of the block wait for it.
+   * @param {Object} entry - height and hash
+   * @returns {Promise} - Returns AuctionDB.
+   */
+
+  async startBlock(entry) {
+    assert(entry && (entry.height >>> 0) === entry.height);
+    assert(Buffer.isBuffer(entry.hash));
+    assert(this.pending === null, 'Already in a block.');
+
+    const unlock = await this.locker.lock();
+    const view = Object.create(this);
+
+    view.pending = entry;
+    view.unlock = unlock;
+    view.batch = this.db.batch();
+    view.cache = new BufferMap();
+
+    return view;
+  }
+
+  /**
+   * Commit the block batch.
+   * @returns {Promise} - Returns Boolean (null on failure).
+   */
+
+  async commitBlock() {
+    assert(this.pending, 'Not in a block.');
+
+    const {height, hash} = this.pending;
+
+    this.put(layout.h.encode(height), hash);
+    this.put(layout.T.encode(), hash);
+
+    try {
+      return await this.commit();
+    } finally {
+      this.finishBlock();
+    }
+  }
+
+  /**
+   * Discard the block batch.
+   */
+
+  dropBlock() {
+    assert(this.pending, 'Not in a block.');
+    this.batch = null;
+    this.finishBlock();
+  }
+
+  finishBlock() {
+    const unlock = this.unlock;
+
+    this.pending = null;
+    this.unlock = null;
+    this.cache.clear();
+
+    unlock();
+  }
+
+  /**
+   * Run a write in the block batch of a block view.
+   * Otherwise, run it in its own batch once the write
+   * lock is free. Nothing is written if the write
+   * returns a falsey value.
+   * @param {Function} fn
+   * @returns {Promise}
+   */
+
+  async atomic(fn) {
+    if (this.pending)
+      return fn();
+
+    const unlock = await this.locker.lock();
+    try {
+      this.start();
+
+      let result;
+      try {
+        result = await fn();
+      } catch (e) {
+        this.batch = null;
+        throw e;
+      }
+
+      if (!result) {
+        this.batch = null;
+        return result;
+      }
+
+      if (!await this.commit())
+        return null;
+
+      return result;
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Read a value, including pending writes
+   * to the block batch made with `write`.
+   * @param {Buffer} key
+   * @returns {Promise} - Returns Buffer.
+   */
+
+  async read(key) {
+    const cache = this.cache.get(key);
+
+    if (cache !== undefined)
+      return cache;
+
+    return this.db.get(key);
+  }
+
+  /**
+   * Write or delete (null) a value that is
+   * read again before the block is committed.
+   * @param {Buffer} key
+   * @param {Buffer|null} value
+   */
+
+  write(key, value) {
+    if (value)
+      this.put(key, value);
+    else
+      this.del(key);
+
+    if (this.pending)
+      this.cache.set(key, value);
+  }
+
+  /**
+   * Read a count, including pending writes.
+   * @param {Buffer} key
+   * @returns {Promise} - Returns BN.
+   */
+
+  async getCount(key) {
+    const raw = await this.read(key);
+
+    if (!raw)
+      return null;
+
+    return BN.decode(raw);
+  }
+
+  putCount(key, count) {
+    this.write(key, count.encode());
+  }
+
+  /**
+   * Ensure prefix directory (prefix/index).
+   * @returns {Promise}
+   */
+
+  async ensure() {
+    if (fs.unsupported)
+      return;
+
+    if (this.options.memory)
+      return;
+
+    await fs.mkdirp(this.options.prefix);
+  }
+
+  async getTip() {
+    const tip = await this.db.get(layout.T.encode());
+
+    if (!tip)
+      return null;
+
+    return tip;
+  }
+
+  /**
+   * Put the blockhash corresponding to the latest
+   * tip of the blockchain.
+   * @param {Hash}
+   * @return {Hash}
+   */
+
+  async putTip(hash) {
+    assert(Buffer.isBuffer(hash));
+
+    return this.atomic(async () => {
+      this.put(layout.T.encode(), hash);
+      return hash;
+    });
+  }
+
+  /**
+   * Get the height of the latest indexed block.
+   * @returns {Promise} - Returns Number (-1 if none).
+   */
+
+  async getHeight() {
+    const keys = await this.db.keys({
+      gte: layout.h.min(),
+      lte: layout.h.max(),
+      reverse: true,
+      limit: 1
+    });
+
+    if (keys.length === 0)
+      return -1;
+
+    const [height] = layout.h.decode(keys[0]);
+
+    return height;
+  }
+
+  /**
+   * Put the hash of the block indexed at height.
+   * @param {Number} height
+   * @param {Hash} hash
+   * @returns {Promise}
+   */
+
+  async putHash(height, hash) {
+    assert((height >>> 0) === height);
+    assert(Buffer.isBuffer(hash));
+
+    return this.atomic(async () => {
+      this.put(layout.h.encode(height), hash);
+      return hash;
+    });
+  }
+
+  async getHash(height) {
+    assert((height >>> 0) === height);
+    return this.db.get(layout.h.encode(height));
+  }
+
+  async removeHash(height) {
+    assert((height >>> 0) === height);
+
+    return this.atomic(async () => {
+      this.del(layout.h.encode(height));
+      return true;
+    });
+  }
+
+  async getBidCount(name) {
+    return this.getCount(layout.b.encode(name));
+  }
+
+  async addBid(name, outpoint, record = new BidRecord()) {
+    assert(typeof name === 'string');
+    assert(Buffer.isBuffer(outpoint.hash));
+    assert((outpoint.index >>> 0) === outpoint.index);
+    assert(record instanceof BidRecord);
+
+    return this.atomic(async () => {
+      let count = await this.getBidCount(name);
+
+      // No bids currently exist for the name
+      if (!count)
+        count = new BN(0);
+
+      count.iadd(new BN(1));
+
+      this.putCount(layout.b.encode(name), count);
+      this.put(layout.B.encode(name, outpoint.hash, outpoint.index),
+        record.encode());
+
+      return true;
+    });
+  }
+
+  async removeBid(name, outpoint) {
+    assert(typeof name === 'string');
+    assert(Buffer.isBuffer(outpoint.hash));
+    assert((outpoint.index >>> 0) === outpoint.index);
+
+    return this.atomic(async () => {
+      const count = await this.getBidCount(name);
+
+      // No bids currently exist for the name
+      if (!count)
+        return null;
+
+      count.isub(new BN(1));
+
+      this.putCount(layout.b.encode(name), count);
+      this.del(layout.B.encode(name, outpoint.hash, outpoint.index));
+
+      return true;
+    });
+  }
+
+  /**
+   * Get the bids for a name.
+   * @param {String} name
+   * @returns {Promise} - Returns BidRecord[].
+   */
+
+  async getBids(name) {
+    assert(typeof name === 'string');
+
+    return this.db.range({
+      gte: layout.B.min(name),
+      lte: layout.B.max(name),
+      parse: (key, value) => {
+        const [, hash, index] = layout.B.decode(key);
+        const record = BidRecord.decode(value);
+        record.hash = hash;
+        record.index = index;
+        return record;
+      }
+    });
+  }
+
+  async getBid(name, outpoint) {
+    assert(typeof name === 'string');
+    assert(Buffer.isBuffer(outpoint.hash));
+    assert((outpoint.index >>> 0) === outpoint.index);
+
+    const {hash, index} = outpoint;
+    const raw = await this.db.get(layout.B.encode(name, hash, index));
+
+    if (!raw)
+      return null;
+
+    const record = BidRecord.decode(raw);
+    record.hash = hash;
+    record.index = index;
+
+    return record;
+  }
+
+  async hasBid(name, outpoint) {
+    assert(typeof name === 'string');
+    assert(Buffer.isBuffer(outpoint.hash));
+    assert((outpoint.index >>> 0) === outpoint.index);
+
+    const {hash, index} = outpoint;
+    const key = layout.B.encode(name, hash, index);
+    return this.db.has(key);
+  }
+
+  async getRevealCount(name) {
+    return this.getCount(layout.r.encode(name));
+  }
+
+  async addReveal(name, outpoint, record = new RevealRecord()) {
+    assert(typeof name === 'string');
+    assert(Buffer.isBuffer(outpoint.hash));
+    assert((outpoint.index >>> 0) === outpoint.index);
+    assert(record instanceof RevealRecord);
+
+    return this.atomic(async () => {
+      let count = await this.getRevealCount(name);
+
+      // No reveals currently exist for the name
+      if (!count)
+        count = new BN(0);
+
+      count.iadd(new BN(1));
+
+      this.putCount(layout.r.encode(name), count);
+      this.put(layout.R.encode(name, outpoint.hash, outpoint.index),
+        record.encode());
+
+      return true;
+    });
+  }
+
+  async removeReveal(name, outpoint) {
+    assert(typeof name === 'string');
+    assert(Buffer.isBuffer(outpoint.hash));
+    assert((outpoint.index >>> 0) === outpoint.index);
+
+    return this.atomic(async () => {
+      const count = await this.getRevealCount(name);
+
+      // No reveals currently exist for the name
+      if (!count)
+        return null;
+
+      count.isub(new BN(1));
+
+      this.putCount(layout.r.encode(name), count);
+      this.del(layout.R.encode(name, outpoint.hash, outpoint.index));
+
+      return true;
+    });
+  }
+
+  /**
+   * Get the reveals for a name.
+   * @param {String} name
+   * @returns {Promise} - Returns RevealRecord[].
+   */
+
+  async getReveals(name) {
+    assert(typeof name === 'string');
+
+    return this.db.range({
+      gte: layout.R.min(name),
+      lte: layout.R.max(name),
+      parse: (key, value) => {
+        const [, hash, index] = layout.R.decode(key);
+        const record = RevealRecord.decode(value);
+        record.hash = hash;
+        record.index = index;
+        return record;
+      }
+    });
+  }
+
+  async getReveal(name, outpoint) {
+    assert(typeof name === 'string');
+    assert(Buffer.isBuffer(outpoint.hash));
+    assert((outpoint.index >>> 0) === outpoint.index);
+
+    const {hash, index} = outpoint;
+    const raw = await this.db.get(layout.R.encode(name, hash, index));
+
+    if (!raw)
+      return null;
+
+    const record = RevealRecord.decode(raw);
+    record.hash = hash;
+    record.index = index;
+
+    return record;
+  }
+
+  async hasReveal(name, outpoint) {
+    assert(typeof name === 'string');
+    assert(Buffer.isBuffer(outpoint.hash));
+    assert((outpoint.index >>> 0) === outpoint.index);
+
+    const {hash, index} = outpoint;
+    const key = layout.R.encode(name, hash, index);
+    return this.db.has(key);
+  }
+
+  /**
+   * Index a name opened at height.
+   * @param {String} name
+   * @param {Number} height
+   * @param {Object} outpoint
+   * @returns {Promise}
+   */
+
+  async addOpen(name, height, outpoint) {
+    assert(typeof name === 'string');
+    assert((height >>> 0) === height);
+    assert(Buffer.isBuffer(outpoint.hash));
+    assert((outpoint.index >>> 0) === outpoint.index);
+
+    const {hash, index} = outpoint;
+
+    return this.atomic(async () => {
+      this.put(layout.O.encode(height, name),
+        new Outpoint(hash, index).encode());
+      return true;
+    });
+  }
+
+  async removeOpen(name, height) {
+    assert(typeof name === 'string');
+    assert((height >>> 0) === height);
+
+    return this.atomic(async () => {
+      this.del(layout.O.encode(height, name));
+      return true;
+    });
+  }
+
+  /**
+   * Get the names opened between two heights (inclusive).
+   * @param {Number} start
+   * @param {Number} end
+   * @returns {Promise} - Returns Object[].
+   */
+
+  async getOpens(start, end) {
+    assert((start >>> 0) === start);
+    assert((end >>> 0) === end);
+
+    return this.db.range({
+      gte: layout.O.min(start),
+      lte: layout.O.max(end),
+      parse: (key, value) => {
+        const [height, name] = layout.O.decode(key);
+        const {hash, index} = Outpoint.decode(value);
+        return {name, height, hash, index};
+      }
+    });
+  }
+
+  /**
+   * Index the auction for a name opened at height.
+   * @param {AuctionRecord} record
+   * @returns {Promise}
+   */
+
+  async putAuction(record) {
+    assert(record instanceof AuctionRecord);
+
+    const {name, height} = record;
+
+    return this.atomic(async () => {
+      this.write(layout.A.encode(height, name), record.encode());
+      return true;
+    });
+  }
+
+  async removeAuction(name, height) {
+    assert(typeof name === 'string');
+    assert((height >>> 0) === height);
+
+    return this.atomic(async () => {
+      this.write(layout.A.encode(height, name), null);
+      return true;
+    });
+  }
+
+  /**
+   * Get the auction for a name opened at
+   * height, including pending writes.
+   * @param {String} name
+   * @param {Number} height
+   * @returns {Promise} - Returns AuctionRecord.
+   */
+
+  async getAuction(name, height) {
+    assert(typeof name === 'string');
+    assert((height >>> 0) === height);
+
+    const raw = await this.read(layout.A.encode(height, name));
+
+    if (!raw)
+      return null;
+
+    const record = AuctionRecord.decode(raw);
+    record.name = name;
+    record.height = height;
+
+    return record;
+  }
+
+  /**
+   * Get the auctions opened between two heights (inclusive).
+   * @param {Number} start
+   * @param {Number} end
+   * @returns {Promise} - Returns AuctionRecord[].
+   */
+
+  async getAuctions(start, end) {
+    assert((start >>> 0) === start);
+    assert((end >>> 0) === end);
+
+    return this.db.range({
+      gte: layout.A.min(start),
+      lte: layout.A.max(end),
+      parse: (key, value) => {
+        const [height, name] = layout.A.decode(key);
+        const record = AuctionRecord.decode(value);
+        record.name = name;
+        record.height = height;
+        return record;
+      }
+    });
+  }
+
+  /**
+   * Index a claimed name.
+   * @param {ClaimRecord} record
+   * @returns {Promise}
+   */
+
+  async addClaim(record) {
+    assert(record instanceof ClaimRecord);
 
-    this.batch = null;
-    this.db = bdb.create(this.options);
+    const {name, height} = record;
+
+    return this.atomic(async () => {
+      this.put(layout.C.encode(name, height), record.encode());
+      this.put(layout.c.encode(height, name));
+      return true;
+    });
   }
 
-  async open() {
-    this.logger.info('Opening AuctionDB...');
+  async removeClaim(name, height) {
+    assert(typeof name === 'string');
+    assert((height >>> 0) === height);
 
-    await this.ensure();
-    await this.db.open();
+    return this.atomic(async () => {
+      this.del(layout.C.encode(name, height));
+      this.del(layout.c.encode(height, name));
+      return true;
+    });
   }
 
-  async close() {
-    await this.db.close();
-  }
+  async getClaim(name, height) {
+    assert(typeof name === 'string');
+    assert((height >>> 0) === height);
 
-  start() {
-    assert(this.batch === null);
-    this.batch = this.db.batch();
-    return this.batch;
-  }
+    const raw = await this.db.get(layout.C.encode(name, height));
 
-  put(key, value) {
-    this.batch.put(key, value);
+    if (!raw)
+      return null;
+
+    const record = ClaimRecord.decode(raw);
+    record.name = name;
+    record.height = height;
+
+    return record;
   }
 
-  del(key, value) {
-    this.batch.del(key, value);
+  /**
+   * Get the claims for a name.
+   * @param {String} name
+   * @returns {Promise} - Returns ClaimRecord[].
+   */
+
+  async getClaimsByName(name) {
+    assert(typeof name === 'string');
+
+    return this.db.range({
+      gte: layout.C.min(name),
+      lte: layout.C.max(name),
+      parse: (key, value) => {
+        const [, height] = layout.C.decode(key);
+        const record = ClaimRecord.decode(value);
+        record.name = name;
+        record.height = height;
+        return record;
+      }
+    });
   }
 
-  async commit() {
-    try {
-      await this.batch.write();
-    } catch (e) {
-      this.logger.error('Error writing to db...');
-      this.batch = null;
-      return null;
+  /**
+   * Get the claims between two heights (inclusive).
+   * @param {Number} start
+   * @param {Number} end
+   * @returns {Promise} - Returns ClaimRecord[].
+   */
+
+  async getClaims(start, end) {
+    assert((start >>> 0) === start);
+    assert((end >>> 0) === end);
+
+    const keys = await this.db.keys({
+      gte: layout.c.min(start),
+      lte: layout.c.max(end),
+      parse: key => layout.c.decode(key)
+    });
+
+    const records = [];
+
+    for (const [height, name] of keys) {
+      const record = await this.getClaim(name, height);
+      assert(record);
+      records.push(record);
     }
 
-    this.batch = null;
-    return true;
+    return records;
   }
 
   /**
-   * Ensure prefix directory (prefix/index).
+   * Index a covenant in the history of a name.
+   * @param {HistoryRecord} record
    * @returns {Promise}
    */
 
-  async ensure() {
-    if (fs.unsupported)
-      return;
+  async addHistory(record) {
+    assert(record instanceof HistoryRecord);
 
-    if (this.options.memory)
-      return;
+    const {name, height, hash, index} = record;
 
-    await fs.mkdirp(this.options.prefix);
+    return this.atomic(async () => {
+      this.put(layout.H.encode(name, height, hash, index), record.encode());
+      return true;
+    });
   }
 
-  async getTip() {
-    const tip = await this.db.get(layout.T.encode());
+  async removeHistory(name, height, outpoint) {
+    assert(typeof name === 'string');
+    assert((height >>> 0) === height);
+    assert(Buffer.isBuffer(outpoint.hash));
+    assert((outpoint.index >>> 0) === outpoint.index);
 
-    if (!tip)
-      return null;
+    const {hash, index} = outpoint;
 
-    return tip;
+    return this.atomic(async () => {
+      this.del(layout.H.encode(name, height, hash, index));
+      return true;
+    });
   }
 
   /**
-   * Put the blockhash corresponding to the latest
-   * tip of the blockchain.
-   * @param {Hash}
-   * @return {Hash}
+   * Get the history of a name, in order of height.
+   * @param {String} name
+   * @param {Object?} options
+   * @param {Number} [options.start=0] - lowest height
+   * @param {Number} [options.end=0xffffffff] - highest height
+   * @param {Number?} [options.limit] - maximum records
+   * @param {Number} [options.offset=0] - records to skip
+   * @param {Boolean} [options.reverse=false] - newest first
+   * @returns {Promise} - Returns HistoryRecord[].
    */
 
-  async putTip(hash) {
-    const key = layout.T.encode();
-    try {
-      await this.db.put(key, hash);
-    } catch (e) {
-      this.emit('error', e);
-      return null;
-    }
+  async getHistory(name, options = {}) {
+    assert(typeof name === 'string');
+    assert(options && typeof options === 'object');
+
+    const {
+      start = 0,
+      end = 0xffffffff,
+      limit = null,
+      offset = 0,
+      reverse = false
+    } = options;
+
+    assert((start >>> 0) === start);
+    assert((end >>> 0) === end);
+    assert(limit == null || (limit >>> 0) === limit);
+    assert((offset >>> 0) === offset);
+    assert(typeof reverse === 'boolean');
+
+    const records = await this.db.range({
+      gte: layout.H.min(name, start),
+      lte: layout.H.max(name, end),
+      limit: limit != null ? offset + limit : null,
+      reverse,
+      parse: (key, value) => {
+        const [, height, hash, index] = layout.H.decode(key);
+        const record = HistoryRecord.decode(value);
+        record.name = name;
+        record.height = height;
+        record.hash = hash;
+        record.index = index;
+        return record;
+      }
+    });
 
-    return hash;
+    return records.slice(offset);
   }
 
-  async getBidCount(name) {
-    const key = layout.b.encode(name);
-    const raw = await this.db.get(key);
+  /**
+   * Index the stats of a block and roll
+   * them up into every stats window.
+   * @param {BlockStatsRecord} record
+   * @returns {Promise}
+   */
 
-    if (!raw)
-      return null;
+  async addStats(record) {
+    assert(record instanceof BlockStatsRecord);
 
-    return BN.decode(raw);
+    return this.atomic(async () => {
+      this.put(layout.S.encode(record.height), record.encode());
+
+      for (const [window, getBucket] of Object.entries(windows)) {
+        const key = layout.W.encode(window, getBucket(record));
+        const raw = await this.read(key);
+        const stats = raw ? StatsRecord.decode(raw) : new StatsRecord();
+
+        stats.add(record);
+
+        this.write(key, stats.encode());
+      }
+
+      return true;
+    });
   }
 
-  // TODO: add writelock
-  async addBid(name, outpoint) {
-    assert(typeof name === 'string');
-    assert(Buffer.isBuffer(outpoint.hash));
-    assert((outpoint.index >>> 0) === outpoint.index);
+  /**
+   * Remove the stats of a block from
+   * the index and from every window.
+   * @param {Number} height
+   * @returns {Promise}
+   */
 
-    let count = await this.getBidCount(name);
+  async removeStats(height) {
+    assert((height >>> 0) === height);
 
-    // No bids currently exist for the name
-    if (!count)
-      count = new BN(0);
+    return this.atomic(async () => {
+      const record = await this.getBlockStats(height);
 
-    count.iadd(new BN(1));
+      if (!record)
+        return true;
 
-    this.start();
+      for (const [window, getBucket] of Object.entries(windows)) {
+        const key = layout.W.encode(window, getBucket(record));
+        const raw = await this.read(key);
 
-    this.put(layout.b.encode(name), count.encode());
-    this.put(layout.B.encode(name, outpoint.hash, outpoint.index));
+        if (!raw)
+          continue;
 
-    if (!await this.commit())
-      return null;
+        const stats = StatsRecord.decode(raw);
 
-    return true;
-  }
+        stats.sub(record);
 
-  async removeBid(name, outpoint) {
-    assert(typeof name === 'string');
-    assert(Buffer.isBuffer(outpoint.hash));
-    assert((outpoint.index >>> 0) === outpoint.index);
+        this.write(key, stats.blocks > 0 ? stats.encode() : null);
+      }
 
-    let count = await this.getBidCount(name);
+      this.del(layout.S.encode(height));
 
-    // No bids currently exist for the name
-    if (!count)
-      return null;
+      return true;
+    });
+  }
 
-    count.isub(new BN(1));
+  async getBlockStats(height) {
+    assert((height >>> 0) === height);
 
-    this.start();
+    const raw = await this.db.get(layout.S.encode(height));
 
-    this.put(layout.b.encode(name), count.encode());
-    this.del(layout.B.encode(name, outpoint.hash, outpoint.index));
+    if (!raw)
+      return null;
 
-    if (!await this.commit())
-      return false;
+    const record = BlockStatsRecord.decode(raw);
+    record.height = height;
 
-    return true;
+    return record;
   }
 
-  async getBids(name) {
-    assert(typeof name === 'string');
-    const outpoints = [];
+  /**
+   * Get the block stats between two heights (inclusive).
+   * @param {Number} start
+   * @param {Number} end
+   * @returns {Promise} - Returns BlockStatsRecord[].
+   */
 
-    await this.db.keys({
-      gte: layout.B.min(name),
-      lte: layout.B.max(name),
-      parse: (key) => {
-        const [, hash, index] = layout.B.decode(key);
-        const outpoint = {hash, index};
-        outpoints.push(outpoint);
+  async getStats(start, end) {
+    assert((start >>> 0) === start);
+    assert((end >>> 0) === end);
+
+    return this.db.range({
+      gte: layout.S.min(start),
+      lte: layout.S.max(end),
+      parse: (key, value) => {
+        const [height] = layout.S.decode(key);
+        const record = BlockStatsRecord.decode(value);
+        record.height = height;
+        return record;
       }
     });
+  }
+
+  /**
+   * Get the rolled up stats of a window
+   * between two buckets (inclusive).
+   * @param {String} window
+   * @param {Number} start
+   * @param {Number} end
+   * @returns {Promise} - Returns [bucket, StatsRecord][].
+   */
 
-    return outpoints;
+  async getWindowStats(window, start, end) {
+    assert(windows.hasOwnProperty(window), 'Unknown stats window.');
+    assert((start >>> 0) === start);
+    assert((end >>> 0) === end);
+
+    return this.db.range({
+      gte: layout.W.min(window, start),
+      lte: layout.W.max(window, end),
+      parse: (key, value) => {
+        const [, bucket] = layout.W.decode(key);
+        return [bucket, StatsRecord.decode(value)];
+      }
+    });
   }
 
-  async hasBid(name, outpoint) {
-    assert(typeof name === 'string');
-    assert(Buffer.isBuffer(outpoint.hash));
-    assert((outpoint.index >>> 0) === outpoint.index);
+  /**
+   * Write the undo record for the block at height.
+   * @param {Number} height
+   * @param {BlockUndo} undo
+   * @returns {Promise}
+   */
 
-    const {hash, index} = outpoint;
-    const key = layout.B.encode(name, hash, index);
-    return this.db.has(key);
+  async putUndo(height, undo) {
+    assert((height >>> 0) === height);
+    assert(undo instanceof BlockUndo);
+
+    return this.atomic(async () => {
+      this.put(layout.u.encode(height), undo.encode());
+      return true;
+    });
   }
 
-  async getRevealCount(name) {
-    const key = layout.r.encode(name);
-    const raw = await this.db.get(key);
+  async getUndo(height) {
+    assert((height >>> 0) === height);
+
+    const raw = await this.db.get(layout.u.encode(height));
 
     if (!raw)
       return null;
 
-    return BN.decode(raw);
+    return BlockUndo.decode(raw);
   }
 
-  async addReveal(name, outpoint) {
-    assert(typeof name === 'string');
-    assert(Buffer.isBuffer(outpoint.hash));
-    assert((outpoint.index >>> 0) === outpoint.index);
+  /**
+   * Get the undo records for every block at or
+   * above height, up to end (inclusive) when it
+   * is passed, in ascending order.
+   * @param {Number} height
+   * @param {Number?} end
+   * @returns {Promise} - Returns [height, BlockUndo][].
+   */
 
-    let count = await this.getRevealCount(name);
+  async getUndos(height, end = null) {
+    assert((height >>> 0) === height);
+    assert(end == null || (end >>> 0) === end);
+
+    return this.db.range({
+      gte: layout.u.min(height),
+      lte: end == null ? layout.u.max() : layout.u.max(end),
+      parse: (key, value) => {
+        const [height] = layout.u.decode(key);
+        return [height, BlockUndo.decode(value)];
+      }
+    });
+  }
 
-    // No reveals currently exist for the name
-    if (!count)
-      count = new BN(0);
+  async removeUndo(height) {
+    assert((height >>> 0) === height);
 
-    count.iadd(new BN(1));
+    return this.atomic(async () => {
+      this.del(layout.u.encode(height));
+      return true;
+    });
+  }
 
-    this.start();
+  /**
+   * Get the notification settings. The settings
+   * are not part of the index and survive a wipe.
+   * @returns {Promise} - Returns SettingsRecord.
+   */
 
-    this.put(layout.r.encode(name), count.encode());
-    this.put(layout.R.encode(name, outpoint.hash, outpoint.index));
+  async getSettings() {
+    const raw = await this.db.get(layout.s.encode());
 
-    if (!await this.commit())
-      return null;
+    if (!raw)
+      return new SettingsRecord();
 
-    return true;
+    return SettingsRecord.decode(raw);
   }
 
-  async removeReveal(name, outpoint) {
-    assert(typeof name === 'string');
-    assert(Buffer.isBuffer(outpoint.hash));
-    assert((outpoint.index >>> 0) === outpoint.index);
+  async putSettings(settings) {
+    assert(settings instanceof SettingsRecord);
+
+    return this.atomic(async () => {
+      this.put(layout.s.encode(), settings.encode());
+      return true;
+    });
+  }
+
+  /**
+   * Get the sequence number of the next event.
+   * The event log survives a wipe, so the numbers
+   * keep increasing across rescans.
+   * @private
+   * @returns {Promise} - Returns Number.
+   */
+
+  async getNextSequence() {
+    const keys = await this.db.keys({
+      gte: layout.E.min(),
+      lte: layout.E.max(),
+      reverse: true,
+      limit: 1,
+      parse: key => layout.E.decode(key)[0]
+    });
+
+    if (keys.length === 0)
+      return 1;
+
+    return keys[0] + 1;
+  }
+
+  /**
+   * Append events to the event log.
+   * @param {Number} height
+   * @param {Array} events - [event, data][]
+   * @returns {Promise} - Returns EventRecord[] (null on failure).
+   */
+
+  async logEvents(height, events) {
+    assert((height >>> 0) === height);
+    assert(Array.isArray(events));
+
+    const records = [];
+
+    for (const [event, data] of events) {
+      records.push(EventRecord.fromOptions({
+        sequence: this.sequence,
+        height,
+        event,
+        data
+      }));
 
-    let count = await this.getRevealCount(name);
+      this.sequence += 1;
+    }
+
+    if (records.length === 0)
+      return records;
+
+    const written = await this.atomic(async () => {
+      for (const record of records)
+        this.put(layout.E.encode(record.sequence), record.encode());
+      return true;
+    });
 
-    // No reveals currently exist for the name
-    if (!count)
+    if (!written)
       return null;
 
-    count.isub(new BN(1));
+    return records;
+  }
+
+  /**
+   * Get the logged events after a sequence number.
+   * @param {Number} since - sequence number
+   * @param {Number?} limit
+   * @returns {Promise} - Returns EventRecord[].
+   */
+
+  async getEvents(since, limit = null) {
+    assert((since >>> 0) === since);
+
+    return this.db.range({
+      gt: layout.E.encode(since),
+      lte: layout.E.max(),
+      limit,
+      parse: (key, value) => {
+        const [sequence] = layout.E.decode(key);
+        const record = EventRecord.decode(value);
+        record.sequence = sequence;
+        return record;
+      }
+    });
+  }
+
+  /**
+   * Remove the oldest events in the log,
+   * up to the first event at or above height.
+   * @param {Number} height
+   * @returns {Promise} - Returns Number.
+   */
+
+  async pruneEvents(height) {
+    assert((height >>> 0) === height);
 
-    this.start();
+    const keys = [];
+    const iter = this.db.iterator({
+      gte: layout.E.min(),
+      lte: layout.E.max(),
+      values: true
+    });
+
+    await iter.each((key, value) => {
+      if (value.readUInt32LE(0) >= height)
+        return false;
 
-    this.put(layout.r.encode(name), count.encode());
-    this.del(layout.R.encode(name, outpoint.hash, outpoint.index));
+      keys.push(key);
+      return true;
+    });
 
-    if (!await this.commit())
-      return false;
+    if (keys.length === 0)
+      return 0;
 
-    return true;
+    await this.atomic(async () => {
+      for (const key of keys)
+        this.del(key);
+      return true;
+    });
+
+    return keys.length;
   }
 
-  async getReveals(name) {
-    assert(typeof name === 'string');
-    const outpoints = [];
+  /**
+   * Get the id of the next webhook delivery.
+   * @private
+   * @returns {Promise} - Returns Number.
+   */
 
-    await this.db.keys({
-      gte: layout.R.min(name),
-      lte: layout.R.max(name),
-      parse: (key) => {
-        const [, hash, index] = layout.R.decode(key);
-        const outpoint = {hash, index};
-        outpoints.push(outpoint);
+  async getNextDelivery() {
+    const keys = await this.db.keys({
+      gte: layout.D.min(),
+      lte: layout.D.max(),
+      reverse: true,
+      limit: 1,
+      parse: key => layout.D.decode(key)[0]
+    });
+
+    if (keys.length === 0)
+      return 1;
+
+    return keys[0] + 1;
+  }
+
+  /**
+   * Add deliveries to the webhook delivery queue.
+   * @param {DeliveryRecord[]} records
+   * @returns {Promise} - Returns DeliveryRecord[] (null on failure).
+   */
+
+  async queueDeliveries(records) {
+    assert(Array.isArray(records));
+
+    for (const record of records) {
+      assert(record instanceof DeliveryRecord);
+      record.id = this.delivery;
+      this.delivery += 1;
+    }
+
+    if (records.length === 0)
+      return records;
+
+    const written = await this.atomic(async () => {
+      for (const record of records)
+        this.put(layout.D.encode(record.id), record.encode());
+      return true;
+    });
+
+    if (!written)
+      return null;
+
+    return records;
+  }
+
+  /**
+   * Get the queued webhook deliveries, in the order
+   * they were queued.
+   * @returns {Promise} - Returns DeliveryRecord[].
+   */
+
+  async getDeliveries() {
+    return this.db.range({
+      gte: layout.D.min(),
+      lte: layout.D.max(),
+      parse: (key, value) => {
+        const [id] = layout.D.decode(key);
+        const record = DeliveryRecord.decode(value);
+        record.id = id;
+        return record;
       }
     });
+  }
+
+  async putDelivery(record) {
+    assert(record instanceof DeliveryRecord);
 
-    return outpoints;
+    return this.atomic(async () => {
+      this.put(layout.D.encode(record.id), record.encode());
+      return true;
+    });
   }
 
-  async hasReveal(name, outpoint) {
-    assert(typeof name === 'string');
-    assert(Buffer.isBuffer(outpoint.hash));
-    assert((outpoint.index >>> 0) === outpoint.index);
+  async removeDelivery(id) {
+    assert((id >>> 0) === id);
 
-    const {hash, index} = outpoint;
-    const key = layout.R.encode(name, hash, index);
-    return this.db.has(key);
+    return this.atomic(async () => {
+      this.del(layout.D.encode(id));
+      return true;
+    });
+  }
+
+  /**
+   * Wipe the index records. When a batch
+   * is passed it is not written.
+   * @param {Batch?} batch
+   * @returns {Promise} - Returns Number.
+   */
+
+  async wipe(batch) {
+    if (batch)
+      return this._wipe(batch);
+
+    const unlock = await this.locker.lock();
+    try {
+      const b = this.db.batch();
+      const total = await this._wipe(b);
+      await b.write();
+      return total;
+    } finally {
+      unlock();
+    }
   }
 
-  async wipe() {
-   this.logger.warning('Wiping RelayIndexer');
+  /**
+   * Wipe the index records into a batch.
+   * @private
+   * @param {Batch} b
+   * @returns {Promise} - Returns Number.
+   */
+
+  async _wipe(b) {
+    this.logger.warning('Wiping AuctionDB');
 
     const iter = this.db.iterator();
-    const b = this.db.batch();
 
     let total = 0;
 
@@ -303,6 +1455,16 @@ class AuctionDB extends EventEmitter {
       case 0x62: // b
       case 0x52: // R
       case 0x72: // r
+      case 0x4f: // O
+      case 0x43: // C
+      case 0x63: // c
+      case 0x48: // H
+      case 0x41: // A
+      case 0x53: // S
+      case 0x57: // W
+      case 0x68: // h
+      case 0x75: // u
+      case 0x54: // T
         b.del(key);
         total += 1;
         break;
@@ -311,13 +1473,14 @@ class AuctionDB extends EventEmitter {
 
     this.logger.warning('Wiped %d records.', total);
 
-    return b.write();
+    return total;
   }
 }
 
 class AuctionDBOptions {
   constructor(options) {
 
+    this.network = Network.primary;
     this.prefix = null;
     this.location = 'auction-notify';
     this.logger = Logger.global;
@@ -337,6 +1500,9 @@ class AuctionDBOptions {
       this.logger = options.logger;
     }
 
+    if (options.network != null)
+      this.network = Network.get(options.network);
+
     if (options.prefix != null) {
       assert(typeof options.prefix === 'string');
       this.prefix = options.prefix;
@@ -385,4 +1551,10 @@ class AuctionDBOptions {
   }
 }
 
+/*
+ * Expose
+ */
+
+AuctionDB.windows = windows;
+
 module.exports = AuctionDB;
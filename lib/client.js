@@ -19,18 +19,38 @@ const assert = require('bsert');
  * Client for
  *
  * GET  /auction-notify
+ * GET  /auction-notify/opens
+ * GET  /auction-notify/claims
+ * GET  /auction-notify/auctions
+ * GET  /auction-notify/stats
+ * GET  /auction-notify/digest
  * GET  /auction-notify/name/:name
+ * GET  /auction-notify/name/:name/history
+ * POST /auction-notify/rescan
+ * GET  /auction-notify/configure
  * POST /auction-notify/configure
  */
 
 class AuctionNotifyClient extends NodeClient {
   constructor(options) {
     super(options);
+
+    this.watching = false;
+    this.filter = null;
+    this.since = null;
+    this.names = new Set();
+
+    if (options && options.filter != null)
+      this.filter = options.filter;
+
+    if (options && options.since != null)
+      this.setCursor(options.since);
   }
 
   async open() {
+    // The watch is sent by auth once connected.
+    this.watching = true;
     await super.open();
-    await this.watchAuctionNotify();
   }
 
   async close() {
@@ -38,27 +58,156 @@ class AuctionNotifyClient extends NodeClient {
     await this.unwatchAuctionNotify();
   }
 
-  watchAuctionNotify() {
-    this.call('watch auction-notify');
+  watchAuctionNotify(filter) {
+    if (filter !== undefined)
+      this.filter = filter;
+
+    this.watching = true;
+    this.call('watch auction-notify', ...this.getWatchArgs());
   }
 
   unwatchAuctionNotify() {
+    this.watching = false;
     this.call('unwatch auction-notify');
   }
 
+  setCursor(sequence) {
+    assert((sequence >>> 0) === sequence);
+    this.since = sequence;
+  }
+
+  getWatchArgs() {
+    if (this.since == null)
+      return [this.filter];
+
+    return [this.filter, this.since];
+  }
+
+  async watchName(name) {
+    assert(typeof name === 'string');
+    await this.call('watch name', name);
+    this.names.add(name);
+  }
+
+  async unwatchName(name) {
+    assert(typeof name === 'string');
+    this.names.delete(name);
+    await this.call('unwatch name', name);
+  }
+
+  async watchNames(names) {
+    assert(Array.isArray(names));
+
+    await this.call('watch names', names);
+
+    for (const name of names)
+      this.names.add(name);
+  }
+
   async auth() {
-    return this.call('auth', this.password);
+    await this.call('auth', this.password);
+
+    // The server forgets the subscriptions
+    // of a socket, so restore them on reconnect.
+    if (this.watching)
+      await this.call('watch auction-notify', ...this.getWatchArgs());
+
+    if (this.names.size > 0)
+      await this.call('watch names', [...this.names]);
   }
 
   async getNotifyInfo() {
     return this.get('/auction-notify');
   }
 
+  async getOpens(start, end) {
+    const query = {};
+
+    if (start != null)
+      query.start = start;
+
+    if (end != null)
+      query.end = end;
+
+    return this.get('/auction-notify/opens', query);
+  }
+
+  async getClaims(start, end) {
+    const query = {};
+
+    if (start != null)
+      query.start = start;
+
+    if (end != null)
+      query.end = end;
+
+    return this.get('/auction-notify/claims', query);
+  }
+
+  async getAuctions(options = {}) {
+    const query = {};
+    const keys = [
+      'phase', 'minLength', 'maxLength',
+      'sort', 'reverse', 'limit', 'offset'
+    ];
+
+    for (const key of keys) {
+      if (options[key] != null)
+        query[key] = options[key];
+    }
+
+    return this.get('/auction-notify/auctions', query);
+  }
+
+  async getStats(options = {}) {
+    const query = {};
+
+    for (const key of ['from', 'to', 'window']) {
+      if (options[key] != null)
+        query[key] = options[key];
+    }
+
+    return this.get('/auction-notify/stats', query);
+  }
+
+  async getDigest(options = {}) {
+    const query = {};
+
+    for (const key of ['from', 'to', 'limit']) {
+      if (options[key] != null)
+        query[key] = options[key];
+    }
+
+    return this.get('/auction-notify/digest', query);
+  }
+
   async getNotifyName(name) {
     assert(typeof name === 'string');
     return this.get(`/auction-notify/name/${name}`);
   }
 
+  async getNameHistory(name, options = {}) {
+    assert(typeof name === 'string');
+
+    const query = {};
+
+    for (const key of ['start', 'end', 'limit', 'offset', 'reverse']) {
+      if (options[key] != null)
+        query[key] = options[key];
+    }
+
+    return this.get(`/auction-notify/name/${name}/history`, query);
+  }
+
+  async rescan(height = 0) {
+    assert((height >>> 0) === height);
+    return this.post('/auction-notify/rescan', {height});
+  }
+
+  async getConfigure() {
+    return this.get('/auction-notify/configure');
+  }
+
   async setConfigure(options = {}) {
     return this.post('/auction-notify/configure', options);
   }
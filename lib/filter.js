@@ -0,0 +1,360 @@
+/*!
+ * filter.js - event filters for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const Validator = require('bval');
+const Network = require('hsd/lib/protocol/network');
+const Address = require('hsd/lib/primitives/address');
+const {getEventValue} = require('./util');
+
+/*
+ * Constants
+ */
+
+const MAX_NAME = 63;
+
+// Patterns are sent by clients and matched against
+// every name, so they are kept short and may not
+// backtrack without bound.
+const MAX_REGEX = 64;
+
+/**
+ * Event Filter
+ * Matches the events relayed to a websocket.
+ * Every criterion only applies to the events
+ * that carry its field, so the events without
+ * a name or value are only filtered by type.
+ */
+
+class EventFilter {
+  constructor(options) {
+    this.network = Network.primary;
+    this.types = null;
+    this.minValue = 0;
+    this.minBids = 0;
+    this.minLength = 0;
+    this.maxLength = 63;
+    this.prefix = null;
+    this.suffix = null;
+    this.contains = null;
+    this.regex = null;
+    this.address = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(options && typeof options === 'object');
+
+    if (options.network != null)
+      this.network = Network.get(options.network);
+
+    if (options.types != null) {
+      assert(Array.isArray(options.types), 'Types must be an array.');
+
+      for (const type of options.types)
+        assert(typeof type === 'string', 'Types must be strings.');
+
+      this.types = new Set(options.types);
+    }
+
+    if (options.minValue != null) {
+      assert(Number.isSafeInteger(options.minValue) && options.minValue >= 0,
+        'Minimum value must be a positive integer.');
+      this.minValue = options.minValue;
+    }
+
+    if (options.minBids != null) {
+      assert((options.minBids >>> 0) === options.minBids,
+        'Minimum bids must be a positive integer.');
+      this.minBids = options.minBids;
+    }
+
+    if (options.minLength != null) {
+      assert((options.minLength >>> 0) === options.minLength,
+        'Minimum length must be a positive integer.');
+      this.minLength = options.minLength;
+    }
+
+    if (options.maxLength != null) {
+      assert((options.maxLength >>> 0) === options.maxLength,
+        'Maximum length must be a positive integer.');
+      this.maxLength = options.maxLength;
+    }
+
+    assert(this.minLength <= this.maxLength,
+      'Minimum length must not be more than maximum length.');
+
+    for (const key of ['prefix', 'suffix', 'contains']) {
+      if (options[key] != null) {
+        assert(typeof options[key] === 'string', `${key} must be a string.`);
+        assert(options[key].length <= MAX_NAME, `${key} is too long.`);
+        this[key] = options[key];
+      }
+    }
+
+    if (options.regex != null) {
+      const source = options.regex instanceof RegExp
+        ? options.regex.source
+        : options.regex;
+
+      assert(typeof source === 'string', 'Regex must be a string.');
+      assert(source.length <= MAX_REGEX, 'Regex is too long.');
+
+      checkPattern(source);
+
+      try {
+        this.regex = new RegExp(source);
+      } catch (e) {
+        throw new Error('Invalid regex.');
+      }
+    }
+
+    if (options.address != null) {
+      const address = options.address instanceof Address
+        ? options.address
+        : Address.fromString(options.address, this.network);
+
+      this.address = address.toString(this.network);
+    }
+
+    return this;
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  /**
+   * Parse a filter sent over the websocket.
+   * @param {Object} json
+   * @param {Network} network
+   * @returns {EventFilter}
+   */
+
+  fromJSON(json, network) {
+    const valid = new Validator(json);
+
+    return this.fromOptions({
+      network,
+      types: valid.array('types'),
+      minValue: valid.u64('minValue'),
+      minBids: valid.u32('minBids'),
+      minLength: valid.u32('minLength'),
+      maxLength: valid.u32('maxLength'),
+      prefix: valid.str('prefix'),
+      suffix: valid.str('suffix'),
+      contains: valid.str('contains'),
+      regex: valid.str('regex'),
+      address: valid.str('address')
+    });
+  }
+
+  static fromJSON(json, network) {
+    return new this().fromJSON(json, network);
+  }
+
+  /**
+   * Get the criteria that are set, in the
+   * format read by {@link EventFilter#fromJSON}.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    const json = {};
+
+    if (this.types)
+      json.types = [...this.types];
+
+    if (this.minValue > 0)
+      json.minValue = this.minValue;
+
+    if (this.minBids > 0)
+      json.minBids = this.minBids;
+
+    if (this.minLength > 0)
+      json.minLength = this.minLength;
+
+    if (this.maxLength !== 63)
+      json.maxLength = this.maxLength;
+
+    if (this.prefix)
+      json.prefix = this.prefix;
+
+    if (this.suffix)
+      json.suffix = this.suffix;
+
+    if (this.contains)
+      json.contains = this.contains;
+
+    if (this.regex)
+      json.regex = this.regex.source;
+
+    if (this.address)
+      json.address = this.address;
+
+    return json;
+  }
+
+  /**
+   * Test whether an event matches the filter.
+   * @param {String} event
+   * @param {Object} data
+   * @returns {Boolean}
+   */
+
+  test(event, data) {
+    if (this.types && !this.types.has(event))
+      return false;
+
+    if (!data || typeof data !== 'object')
+      return true;
+
+    const value = getEventValue(data);
+
+    if (value != null && value < this.minValue)
+      return false;
+
+    if (typeof data.bids === 'number' && data.bids < this.minBids)
+      return false;
+
+    if (typeof data.name === 'string') {
+      const {name} = data;
+
+      if (name.length < this.minLength || name.length > this.maxLength)
+        return false;
+
+      if (this.prefix && !name.startsWith(this.prefix))
+        return false;
+
+      if (this.suffix && !name.endsWith(this.suffix))
+        return false;
+
+      if (this.contains && !name.includes(this.contains))
+        return false;
+
+      if (this.regex) {
+        if (name.length > MAX_NAME || !this.regex.test(name))
+          return false;
+      }
+    }
+
+    if (this.address && typeof data.address === 'string') {
+      if (data.address !== this.address)
+        return false;
+    }
+
+    return true;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+/**
+ * Check that a pattern can not backtrack without
+ * bound: a quantified group may not have a
+ * quantifier or an alternation inside it, and
+ * backreferences and lookarounds are rejected.
+ * @param {String} pattern
+ * @throws on a pattern that is not allowed
+ */
+
+function checkPattern(pattern) {
+  // What each open group has inside it.
+  const groups = [{quantified: false, alternates: false}];
+
+  let i = 0;
+
+  while (i < pattern.length) {
+    const group = groups[groups.length - 1];
+
+    switch (pattern[i]) {
+    case '\\':
+      if (/[1-9k]/.test(pattern[i + 1] || ''))
+        throw new Error('Regex backreferences are not supported.');
+      i += 2;
+      break;
+    case '[':
+      i += 1;
+      while (i < pattern.length && pattern[i] !== ']')
+        i += pattern[i] === '\\' ? 2 : 1;
+      i += 1;
+      break;
+    case '(':
+      if (pattern[i + 1] === '?') {
+        if (pattern[i + 2] !== ':')
+          throw new Error('Regex lookarounds are not supported.');
+        i += 2;
+      }
+      groups.push({quantified: false, alternates: false});
+      i += 1;
+      continue;
+    case ')': {
+      if (groups.length === 1)
+        throw new Error('Invalid regex.');
+
+      groups.pop();
+      i += 1;
+
+      const size = quantifierSize(pattern, i);
+      const parent = groups[groups.length - 1];
+
+      if (size > 0 && group.quantified)
+        throw new Error('Regex has nested quantifiers.');
+
+      if (size > 0 && group.alternates)
+        throw new Error('Regex has a quantified alternation.');
+
+      if (size > 0 || group.quantified)
+        parent.quantified = true;
+
+      if (group.alternates)
+        parent.alternates = true;
+
+      i += size;
+      continue;
+    }
+    case '|':
+      group.alternates = true;
+      i += 1;
+      continue;
+    default:
+      i += 1;
+      break;
+    }
+
+    const size = quantifierSize(pattern, i);
+
+    if (size > 0)
+      group.quantified = true;
+
+    i += size;
+  }
+}
+
+/**
+ * Get the length of the quantifier at a position
+ * of a pattern, with its lazy modifier.
+ * @param {String} pattern
+ * @param {Number} i
+ * @returns {Number}
+ */
+
+function quantifierSize(pattern, i) {
+  const match = /^(?:[*+?]|\{\d+(?:,\d*)?\})\??/.exec(pattern.slice(i));
+  return match ? match[0].length : 0;
+}
+
+/*
+ * Expose
+ */
+
+module.exports = EventFilter;
@@ -21,250 +21,1767 @@ const assert = require('bsert');
 const path = require('path');
 const {Server} = require('bweb');
 const Validator = require('bval');
+const {Lock} = require('bmutex');
 const base58 = require('bcrypto/lib/encoding/base58');
 const random = require('bcrypto/lib/random');
 const sha256 = require('bcrypto/lib/sha256');
 const Network = require('hsd/lib/protocol/network');
 const consensus = require('hsd/lib/protocol/consensus');
+const rules = require('hsd/lib/covenants/rules');
+const Outpoint = require('hsd/lib/primitives/outpoint');
+const NameUndo = require('hsd/lib/covenants/undo');
+const Address = require('hsd/lib/primitives/address');
+const {Resource} = require('hsd/lib/dns/resource');
+const chainLayout = require('hsd/lib/blockchain/layout');
+const {BufferMap, BufferSet} = require('buffer-map');
+const {
+  BlockUndo,
+  BidRecord,
+  RevealRecord,
+  ClaimRecord,
+  HistoryRecord,
+  AuctionRecord,
+  StatsRecord,
+  BlockStatsRecord,
+  SettingsRecord
+} = require('./records');
+const AuctionDB = require('./auctiondb');
+const EventFilter = require('./filter');
+const {
+  events: socketEvents,
+  serializeEvent,
+  historyToJSON
+} = require('./serializers');
+const {
+  getAuctionPeriods,
+  getAuctionPhase,
+  getVickrey
+} = require('./util');
 const {safeEqual} = require('bcrypto/lib/safe');
 
+/*
+ * Constants
+ */
+
+const {types} = rules;
+const MAX_HISTORY = 1000;
+const MAX_AUCTIONS = 1000;
+const MAX_STATS = 1000;
+const MAX_DIGEST = 100;
+const MAX_FILTERS = 10;
+const MAX_TARGET = 1024;
+const MAX_REPLAY = 1000;
+const MAX_WEBHOOKS = 10;
+const MAX_SECRET = 255;
+
+// The blocks a rescan indexes before it lets
+// the blocks connected by the chain through.
+const RESCAN_BATCH = 100;
+
+// Events that are not written to the event log.
+const unloggedEvents = new Set([
+  'block connect',
+  'rescan progress'
+]);
+
+// Events of a name covenant, which carry
+// the phase of the name at their height.
+const nameEvents = new Set([
+  'open',
+  'name claim',
+  'bid',
+  'reveal',
+  'register',
+  'update',
+  'renew',
+  'transfer',
+  'finalize',
+  'redeem',
+  'revoke',
+  'bid burned'
+]);
+
+const auctionSorts = {
+  height: (a, b) => a.height - b.height,
+  bids: (a, b) => a.bids - b.bids,
+  lockup: (a, b) => a.lockup - b.lockup,
+  remaining: (a, b) => a.blocksRemaining - b.blocksRemaining
+};
+
 /**
  * Initialize HTTP Endpoints.
  *
  * GET  /auction-notify
+ * GET  /auction-notify/opens
+ * GET  /auction-notify/claims
+ * GET  /auction-notify/auctions
+ * GET  /auction-notify/stats
+ * GET  /auction-notify/digest
  * GET  /auction-notify/name/:name
+ * GET  /auction-notify/name/:name/history
+ * POST /auction-notify/rescan
+ * GET  /auction-notify/configure
  * POST /auction-notify/configure
  */
 
-class HTTP extends Server {
-  constructor(options) {
-    super(new HTTPOptions(options));
+class HTTP extends Server {
+  constructor(options) {
+    super(new HTTPOptions(options));
+
+    assert(options.node, 'Must pass node.');
+    this.node = options.node;
+    this.network = this.node.network;
+    this.adb = options.adb;
+    this.scheduler = options.scheduler || null;
+    this.webhooks = options.webhooks || null;
+    this.settings = new SettingsRecord();
+    this.logger = options.logger;
+    this.locker = new Lock();
+    this.rescanning = false;
+    this.rescanJob = null;
+    this.rescanStopped = false;
+
+    this.init();
+  }
+
+  init() {
+    this.on('request', (req, res) => {
+      if (req.method === 'POST' && req.pathname === '/')
+        return;
+
+      this.logger.debug('Request for method=%s path=%s (%s).',
+        req.method, req.pathname, req.socket.remoteAddress);
+    });
+
+    this.on('listening', (address) => {
+      this.logger.info('Auction Notify HTTP server listening on %s (port=%d).',
+        address.address, address.port);
+    });
+
+    this.initRouter();
+    this.initSockets();
+  };
+
+  initRouter() {
+    if (this.options.cors)
+      this.use(this.cors());
+
+    if (!this.options.noAuth) {
+      this.use(this.basicAuth({
+        hash: sha256.digest,
+        password: this.options.apiKey,
+        realm: 'node'
+      }));
+    }
+
+    this.use(this.bodyParser({
+      type: 'json'
+    }));
+
+    this.use(this.router());
+    this.use(this.jsonRPC(this.node.rpc));
+
+    this.error((err, req, res) => {
+      const code = err.statusCode || 500;
+      res.json(code, {
+        error: {
+          type: err.type,
+          code: err.code,
+          message: err.message
+        }
+      });
+    });
+
+    /**
+     * The 'connect' event is emitted by the chain
+     * after the block has beeen validated fully.
+     */
+
+    this.node.chain.on('connect', async (entry, block, view) => {
+      const unlock = await this.locker.lock();
+      try {
+        await this.handleConnect(entry, block, view);
+      } finally {
+        unlock();
+      }
+    });
+
+    /**
+     * The 'disconnect' event is emitted by the chain
+     * for every block removed by a reorganization.
+     */
+
+    this.node.chain.on('disconnect', async (entry) => {
+      const unlock = await this.locker.lock();
+      try {
+        await this.rollback(entry.height - 1, entry.prevBlock);
+      } finally {
+        unlock();
+      }
+    });
+
+    /**
+     * The 'reset' event is emitted by the chain when
+     * blocks are removed by a reset or invalidation.
+     * The removed blocks are no longer available,
+     * so the undo records are used instead.
+     */
+
+    this.node.chain.on('reset', async (tip) => {
+      const unlock = await this.locker.lock();
+      try {
+        await this.rollback(tip.height, tip.hash);
+      } finally {
+        unlock();
+      }
+    });
+
+    this.get('/auction-notify', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+
+      const tip = await this.adb.getTip();
+
+      res.json(200, {
+        tip: tip ? tip.toString('hex') : null
+      });
+    });
+
+    this.get('/auction-notify/opens', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const start = valid.u32('start', 0);
+      const end = valid.u32('end', this.node.chain.height);
+
+      enforce(start <= end, 'Start must not be above end.');
+
+      const opens = await this.adb.getOpens(start, end);
+
+      res.json(200, {
+        start: start,
+        end: end,
+        opens: opens.map((open) => {
+          const {biddingStart, biddingEnd} =
+            getAuctionPeriods(open.height, this.network);
+
+          return {
+            name: open.name,
+            height: open.height,
+            hash: open.hash.toString('hex'),
+            index: open.index,
+            biddingStart,
+            biddingEnd
+          };
+        })
+      });
+    });
+
+    this.get('/auction-notify/claims', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const start = valid.u32('start', 0);
+      const end = valid.u32('end', this.node.chain.height);
+
+      enforce(start <= end, 'Start must not be above end.');
+
+      const claims = await this.adb.getClaims(start, end);
+
+      res.json(200, {
+        start: start,
+        end: end,
+        claims: claims.map(c => c.getJSON())
+      });
+    });
+
+    this.get('/auction-notify/auctions', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const phase = valid.str('phase');
+      const minLength = valid.u32('minLength', 0);
+      const maxLength = valid.u32('maxLength', 63);
+      const sort = valid.str('sort', 'height');
+      const reverse = valid.bool('reverse', false);
+      const limit = valid.u32('limit', 100);
+      const offset = valid.u32('offset', 0);
+
+      const phases = ['OPENING', 'BIDDING', 'REVEAL'];
+
+      enforce(phase == null || phases.includes(phase.toUpperCase()),
+        `Phase must be one of ${phases.join(', ')}.`);
+      enforce(auctionSorts.hasOwnProperty(sort),
+        `Sort must be one of ${Object.keys(auctionSorts).join(', ')}.`);
+      enforce(minLength <= maxLength,
+        'Minimum length must not be above maximum length.');
+      enforce(limit > 0 && limit <= MAX_AUCTIONS,
+        `Limit must be between 1 and ${MAX_AUCTIONS}.`);
+
+      const height = await this.adb.getHeight();
+      const auctions = await this.getActiveAuctions(height);
+
+      const items = auctions.filter((auction) => {
+        if (phase != null && auction.phase !== phase.toUpperCase())
+          return false;
+
+        return auction.name.length >= minLength
+          && auction.name.length <= maxLength;
+      });
+
+      items.sort(auctionSorts[sort]);
+
+      if (reverse)
+        items.reverse();
+
+      res.json(200, {
+        height: height,
+        total: items.length,
+        limit: limit,
+        offset: offset,
+        auctions: items.slice(offset, offset + limit)
+      });
+    });
+
+    this.get('/auction-notify/stats', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const tip = Math.max(0, await this.adb.getHeight());
+      const to = valid.u32('to', tip);
+      const from = valid.u32('from', Math.max(0, to - 143));
+      const window = valid.str('window', 'block');
+      const windows = Object.keys(AuctionDB.windows);
+
+      enforce(from <= to, 'From must not be above to.');
+      enforce(to <= tip, 'To is above the indexed tip.');
+      enforce(window === 'block' || windows.includes(window),
+        `Window must be one of block, ${windows.join(', ')}.`);
+
+      const total = new StatsRecord();
+
+      if (window === 'block') {
+        enforce(to - from < MAX_STATS,
+          `Range must not be more than ${MAX_STATS} blocks.`);
+
+        const stats = await this.adb.getStats(from, to);
+
+        for (const record of stats)
+          total.add(record);
+
+        res.json(200, {
+          from: from,
+          to: to,
+          window: window,
+          total: total.getJSON(),
+          stats: stats.map(r => r.getJSON())
+        });
+
+        return;
+      }
+
+      // Every bucket with a block in the range.
+      const getBucket = AuctionDB.windows[window];
+      const first = await this.node.chain.getEntry(from);
+      const last = await this.node.chain.getEntry(to);
+
+      enforce(first && last, 'Range is not on the main chain.');
+
+      const start = Math.min(getBucket(first), getBucket(last));
+      const end = Math.max(getBucket(first), getBucket(last));
+      const stats = await this.adb.getWindowStats(window, start, end);
+
+      for (const [, record] of stats)
+        total.add(record);
+
+      res.json(200, {
+        from: from,
+        to: to,
+        window: window,
+        total: total.getJSON(),
+        stats: stats.map(([bucket, record]) => {
+          return {bucket, ...record.getJSON()};
+        })
+      });
+    });
+
+    // The notable auction activity between two heights,
+    // for digests. Lists are cut to the limit.
+    this.get('/auction-notify/digest', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const tip = Math.max(0, await this.adb.getHeight());
+      const to = valid.u32('to', tip);
+      const from = valid.u32('from', Math.max(0, to - 143));
+      const limit = valid.u32('limit', 10);
+
+      enforce(from <= to, 'From must not be above to.');
+      enforce(to <= tip, 'To is above the indexed tip.');
+      enforce(to - from < MAX_STATS,
+        `Range must not be more than ${MAX_STATS} blocks.`);
+      enforce(limit > 0 && limit <= MAX_DIGEST,
+        `Limit must be between 1 and ${MAX_DIGEST}.`);
+
+      const digest = await this.getDigest(from, to, limit);
+
+      res.json(200, {
+        from: from,
+        to: to,
+        limit: limit,
+        ...digest
+      });
+    });
+
+    this.get('/auction-notify/name/:name', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const name = valid.str('name');
+
+      const bids = await this.adb.getBids(name);
+      const reveals = await this.adb.getReveals(name);
+
+      // Price the current auction, skipping the
+      // reveals of an earlier one.
+      const ns = rules.verifyName(name)
+        ? await this.node.chain.db.getNameStateByName(name)
+        : null;
+
+      const open = ns ? ns.height : -1;
+      const auction = getVickrey(reveals.filter(r => r.open === open));
+
+      res.json(200, {
+        name: name,
+        bids: bids.map(b => b.getJSON()),
+        reveals: reveals.map(r => r.getJSON()),
+        highest: auction.highest,
+        secondHighest: auction.second,
+        price: auction.price
+      });
+    });
+
+    this.get('/auction-notify/name/:name/history', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const name = valid.str('name');
+      const start = valid.u32('start', 0);
+      const end = valid.u32('end', this.node.chain.height);
+      const limit = valid.u32('limit', 100);
+      const offset = valid.u32('offset', 0);
+      const reverse = valid.bool('reverse', false);
+
+      enforce(start <= end, 'Start must not be above end.');
+      enforce(limit > 0 && limit <= MAX_HISTORY,
+        `Limit must be between 1 and ${MAX_HISTORY}.`);
+
+      const history = await this.adb.getHistory(name, {
+        start,
+        end,
+        limit,
+        offset,
+        reverse
+      });
+
+      res.json(200, {
+        name: name,
+        start: start,
+        end: end,
+        limit: limit,
+        offset: offset,
+        history: history.map(historyToJSON)
+      });
+    });
+
+    this.post('/auction-notify/rescan', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const height = valid.u32('height', 0);
+
+      enforce(height <= this.node.chain.height,
+        'Height is above the chain tip.');
+
+      enforce(!this.rescanning, 'A rescan is in progress.');
+
+      const {start, end} = await this.rescan(height);
+
+      res.json(200, {success: true, start, end});
+    });
+
+    this.get('/auction-notify/configure', async (req, res) => {
+      res.json(200, this.settings.getJSON());
+    });
+
+    // Settings are merged into the current settings,
+    // a null value resets an event, threshold, sink
+    // or webhook.
+    this.post('/auction-notify/configure', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+
+      const unlock = await this.locker.lock();
+      try {
+        const settings = this.settings.clone();
+
+        this.updateSettings(settings, valid);
+
+        await this.adb.putSettings(settings);
+        this.settings = settings;
+
+        if (this.webhooks)
+          this.webhooks.setSettings(settings);
+      } finally {
+        unlock();
+      }
+
+      res.json(200, this.settings.getJSON());
+    });
+
+    // Proxy non matching requests
+    // to hsd http server
+    this.use(async (req, res) => {
+      await this.node.http.routes.handle(req, res);
+    });
+  }
+
+  /**
+   * Handle a block connected by the chain. Blocks
+   * that do not build on the indexed tip were either
+   * already indexed by a sync or require one.
+   * @private
+   * @param {ChainEntry} entry
+   * @param {Block} block
+   * @param {CoinView} view
+   * @returns {Promise}
+   */
+
+  async handleConnect(entry, block, view) {
+    // The rescan indexes the block.
+    if (this.rescanning)
+      return;
+
+    const tip = await this.adb.getTip();
+
+    if (tip && tip.equals(entry.hash))
+      return;
+
+    if (!tip || !tip.equals(entry.prevBlock)) {
+      await this._syncChain();
+      return;
+    }
+
+    await this.connectBlock(entry, block, view);
+  }
+
+  /**
+   * Index a block and emit events for it once the
+   * block has been committed to the database.
+   * @param {ChainEntry} entry
+   * @param {Block} block
+   * @param {CoinView} view
+   * @returns {Promise}
+   */
+
+  async connectBlock(entry, block, view) {
+    const events = [];
+
+    const adb = await this.adb.startBlock(entry);
+    try {
+      await this.indexBlock(adb, entry, block, view, events);
+    } catch (e) {
+      adb.dropBlock();
+      throw e;
+    }
+
+    if (!await adb.commitBlock()) {
+      this.logger.error('Problem committing block %d.', entry.height);
+      return;
+    }
+
+    // Phases are read once the block is committed,
+    // so they include the bids and reveals in it.
+    await this.addPhases(entry.height, events);
+
+    if (this.scheduler)
+      events.push(...await this.scheduler.getEvents(entry.height));
+
+    await this.emitEvents(entry.height, events);
+  }
+
+  /**
+   * Serialize the events of a block, then log and
+   * emit them. Events replayed by a rescan are not
+   * logged, nor are plain outputs below the threshold.
+   * @private
+   * @param {Number} height
+   * @param {Array} events - [event, data][]
+   * @returns {Promise}
+   */
+
+  async emitEvents(height, events) {
+    const items = [];
+    const logged = [];
+
+    for (const [event, data] of events) {
+      const item = [event, serializeEvent(event, data, this.network), null];
+
+      items.push(item);
+
+      if (this.isLogged(event, item[1]))
+        logged.push(item);
+    }
+
+    if (!this.rescanning && logged.length > 0) {
+      const records = await this.adb.logEvents(height, logged);
+
+      if (records) {
+        for (const [i, record] of records.entries())
+          logged[i][2] = record.sequence;
+      } else {
+        this.logger.error('Problem logging events for block %d.', height);
+      }
+
+      if (this.options.eventBlocks > 0 && height > this.options.eventBlocks)
+        await this.adb.pruneEvents(height - this.options.eventBlocks);
+    }
+
+    if (!this.rescanning && this.webhooks)
+      await this.webhooks.push(items);
+
+    for (const [event, data, sequence] of items)
+      this.emit(event, data, sequence);
+  }
+
+  /**
+   * Test whether an event is appended to the event log.
+   * Plain outputs are only logged at or above the log
+   * threshold and the configured threshold of `none`.
+   * @private
+   * @param {String} event
+   * @param {Object} data - serialized event
+   * @returns {Boolean}
+   */
+
+  isLogged(event, data) {
+    if (unloggedEvents.has(event))
+      return false;
+
+    if (event !== 'none')
+      return true;
+
+    if (Number(data.value) < this.options.logThreshold)
+      return false;
+
+    return this.settings.test(event, data);
+  }
+
+  /**
+   * Write a block to the pending AuctionDB batch.
+   * @private
+   * @param {AuctionDB} adb - view of the block
+   * @param {ChainEntry} entry
+   * @param {Block} block
+   * @param {CoinView} view
+   * @param {Array} events - events to emit after commit
+   * @returns {Promise}
+   */
+
+  async indexBlock(adb, entry, block, view, events) {
+    const height = entry.height;
+
+    const stats = {
+      txCount: block.txs.length,  // number of txs
+      opens: 0, // number of opens
+      bids: 0, // number of bids
+      reveals: 0, // number of reveals
+      registers: 0,
+      updates: 0,
+      renewals: 0,
+      transfers: 0,
+      finalizes: 0,
+      redeems: 0,
+      airdrops: 0, // number of airdrops
+      inflation: 0, // newly created doos
+      height: height,
+      claims: 0, // name claims
+      transferredValue: 0,
+      lockedUpValue: 0, // locked up bc of a bid
+      burned: 0, // bids never revealed
+      burnedValue: 0 // lockups of the burned bids
+    };
+
+    // Everything indexed by this block.
+    const undo = new BlockUndo();
+
+    // Name state changes, read for the first update.
+    let deltas = null;
+
+    for (const [itx, tx] of block.txs.entries()) {
+      const txid = tx.hash();
+
+
+      for (const [i, output] of tx.outputs.entries()) {
+        const {covenant, value} = output;
+        const outpoint = {hash: txid, index: i};
+        const address = output.address.toString(this.network);
+
+        // Coinbase transaction
+        if (itx === 0) {
+          if (covenant.isClaim())
+            stats.claims += 1;
+
+          // First output in first tx is coinbase reward.
+          // Don't count the fees.
+          if (i === 0)
+            stats.inflation += consensus.getReward(entry.height, this.network.halvingInterval);
+          else
+            stats.inflation += value;
+
+          // airdrop
+          if (!covenant.isClaim() && i !== 0) {
+            stats.airdrops += 1;
+          }
+        }
+
+        if (covenant.isNone()) {
+          events.push(['none', {
+            outpoint,
+            name: '',
+            value,
+            height,
+            address
+          }]);
+          if (itx !== 0)
+            stats.transferredValue += value;
+          continue;
+        }
+
+        const nameHash = covenant.getHash(0);
+        const ns = await view.getNameState(this.node.chain.db, nameHash);
+
+        if (!ns) {
+          this.logger.error('Expected namestate for %x.', nameHash);
+          continue;
+        }
+
+        const name = ns.name.toString('ascii');
+
+        // Every name covenant is part of the history
+        // of the name and is unindexed with its block.
+        await this.indexHistory(adb, undo, covenant.type, name, height,
+          outpoint, value);
+
+        if (covenant.isOpen()) {
+          const auction = AuctionRecord.fromOptions({name, height});
+
+          const indexed = await adb.addOpen(name, height, outpoint)
+            && await adb.putAuction(auction);
+
+          if (!indexed)
+            this.logger.error('Problem indexing open for %s.', name);
+
+          const {biddingStart, biddingEnd} =
+            getAuctionPeriods(height, this.network);
+
+          events.push(['open', {
+            name,
+            outpoint,
+            value,
+            height,
+            address,
+            bids: 0,
+            biddingStart,
+            biddingEnd
+          }]);
+          stats.opens += 1;
+
+        } else if (covenant.isClaim()) {
+          const commitHeight = covenant.getU32(5);
+
+          const record = ClaimRecord.fromOptions({
+            name,
+            height,
+            hash: txid,
+            index: i,
+            value,
+            commitHeight
+          });
+
+          const indexed = await adb.addClaim(record);
+          if (!indexed)
+            this.logger.error('Problem indexing claim for %s.', name);
+
+          events.push(['name claim', {
+            name,
+            outpoint,
+            value,
+            height,
+            address,
+            commitHeight
+          }]);
+
+        } else if (covenant.isBid()) {
+          const open = await this.getOpenHeight(name, ns, height);
+
+          const record = BidRecord.fromOptions({
+            hash: txid,
+            index: i,
+            lockup: value,
+            height: height,
+            open: open,
+            address: output.address.hash
+          });
+
+          const indexed = await adb.addBid(name, outpoint, record)
+            && await this.updateAuction(adb, name, open, 1, 0, value);
+
+          if (!indexed)
+            this.logger.error('Problem indexing bid for %x.', name);
+
+          const bids = await this.getBidCount(adb, name, open);
+
+          events.push(['bid', {
+            name,
+            outpoint,
+            value,
+            height,
+            address,
+            bids
+          }]);
+          stats.bids += 1;
+          stats.lockedUpValue += value;
+
+        } else if (covenant.isReveal()) {
+          // The input at the same index spends the bid.
+          const {prevout} = tx.inputs[i];
+          const bid = view.getOutputFor(tx.inputs[i]);
+          const bidRecord = await adb.getBid(name, prevout);
+          const open = bidRecord
+            ? bidRecord.open
+            : await this.getOpenHeight(name, ns, height);
+
+          const record = RevealRecord.fromOptions({
+            hash: txid,
+            index: i,
+            value: value,
+            bid: prevout,
+            lockup: bid ? bid.value : 0,
+            height: height,
+            open: open,
+            address: output.address.hash
+          });
+
+          const indexed = await adb.addReveal(name, outpoint, record)
+            && await this.updateAuction(adb, name, open, 0, 1, 0);
+
+          if (!indexed)
+            this.logger.error('Problem indexing reveal for %x.', name);
+
+          const bids = await this.getBidCount(adb, name, open);
+
+          events.push(['reveal', {
+            name,
+            outpoint,
+            value,
+            height,
+            address,
+            bids
+          }]);
+          stats.reveals += 1;
+
+        } else if (covenant.isRegister()) {
+          events.push(['register', {
+            name,
+            outpoint,
+            value,
+            height,
+            address
+          }]);
+          stats.registers += 1;
+
+        } else if (covenant.isUpdate()) {
+          if (!deltas)
+            deltas = await this.getNameDeltas(height);
+
+          // The delta holds the data from before the block,
+          // unless the data was not changed by the block.
+          const delta = deltas.get(nameHash);
+          const data = covenant.get(2);
+          const prev = delta && delta.data ? delta.data : data;
+
+          const resource = resourceToJSON(data);
+          const previous = resourceToJSON(prev);
+          const {added, removed} = diffRecords(previous, resource);
+
+          events.push(['update', {
+            name,
+            outpoint,
+            value,
+            height,
+            address,
+            resource,
+            previous,
+            added,
+            removed
+          }]);
+          stats.updates += 1;
+
+        } else if (covenant.isRenew()) {
+          events.push(['renew', {
+            name,
+            outpoint,
+            value,
+            height,
+            address,
+            renewal: height,
+            renewals: ns.renewals
+          }]);
+          stats.renewals += 1;
+
+        } else if (covenant.isTransfer()) {
+          const version = covenant.getU8(2);
+          const hash = covenant.get(3);
+          const recipient = Address.fromHash(hash, version);
+
+          events.push(['transfer', {
+            name,
+            outpoint,
+            value,
+            height,
+            address: recipient.toString(this.network)
+          }]);
+          stats.transfers += 1;
+
+        } else if (covenant.isFinalize()) {
+          events.push(['finalize', {
+            name,
+            outpoint,
+            value,
+            height,
+            address
+          }]);
+          stats.finalizes += 1;
+
+        } else if (covenant.isRedeem()) {
+          events.push(['redeem', {
+            name,
+            outpoint,
+            value,
+            height,
+            address
+          }]);
+          stats.redeems += 1;
+
+        } else if (covenant.isRevoke()) {
+          // name was revoked
+          events.push(['revoke', {
+            name,
+            outpoint,
+            value,
+            height,
+            address
+          }]);
+        }
+      }
+    }
+
+    for (const burned of await this.getBurnedBids(height)) {
+      const {name, bid} = burned;
+
+      events.push(['bid burned', {
+        name,
+        outpoint: {hash: bid.hash, index: bid.index},
+        value: bid.lockup,
+        height,
+        address: Address.fromHash(bid.address).toString(this.network),
+        bidHeight: bid.height
+      }]);
+      stats.burned += 1;
+      stats.burnedValue += bid.lockup;
+    }
+
+    const record = BlockStatsRecord.fromStats(stats, entry.time);
+
+    if (!await adb.addStats(record))
+      this.logger.error('Problem indexing stats for block %d.', height);
+
+    if (!undo.isEmpty())
+      await adb.putUndo(height, undo);
+
+    events.push(['stats', stats]);
+    events.push(['block connect', {entry, block, view}]);
+  }
+
+  /**
+   * Get the bids that were never revealed in the
+   * auctions whose reveal period closes at height.
+   * Each bid is linked to its reveal by the outpoint
+   * that the reveal spends.
+   * @private
+   * @param {Number} height
+   * @returns {Promise} - Returns Object[] (name, bid).
+   */
+
+  async getBurnedBids(height) {
+    const {treeInterval, biddingPeriod, revealPeriod} = this.network.names;
+    const open = height - (treeInterval + 1 + biddingPeriod + revealPeriod);
+
+    if (open < 0)
+      return [];
+
+    const burned = [];
+
+    for (const {name} of await this.adb.getOpens(open, open)) {
+      const reveals = await this.adb.getReveals(name);
+      const revealed = new BufferSet();
+
+      for (const reveal of reveals)
+        revealed.add(reveal.bid.toKey());
+
+      for (const bid of await this.adb.getBids(name)) {
+        // Bids from an earlier auction for the name.
+        if (bid.open !== open)
+          continue;
+
+        if (revealed.has(Outpoint.toKey(bid.hash, bid.index)))
+          continue;
+
+        burned.push({name, bid});
+      }
+    }
+
+    return burned;
+  }
+
+  /**
+   * Add the phase of the name to every name event.
+   * @private
+   * @param {Number} height
+   * @param {Array} events - [event, data][]
+   * @returns {Promise}
+   */
+
+  async addPhases(height, events) {
+    const phases = new Map();
+
+    for (const [event, data] of events) {
+      if (!nameEvents.has(event))
+        continue;
+
+      let phase = phases.get(data.name);
+
+      if (!phase) {
+        phase = await this.getNamePhase(data.name, height);
+        phases.set(data.name, phase);
+      }
+
+      data.phase = phase.phase;
+      data.blocksRemaining = phase.blocksRemaining;
+    }
+  }
+
+  /**
+   * Get the phase of a name at height from its history.
+   * The name state of a block replayed by a sync or
+   * rescan is at the tip, and may be from a later
+   * auction or renewal.
+   * @private
+   * @param {String} name
+   * @param {Number} height
+   * @returns {Promise} - Returns Object (phase, blocksRemaining).
+   */
+
+  async getNamePhase(name, height) {
+    const {
+      lockupPeriod,
+      renewalWindow,
+      auctionMaturity
+    } = this.network.names;
+
+    const history = await this.adb.getHistory(name, {
+      end: height,
+      reverse: true
+    });
+
+    const closed = (renewal) => {
+      return {
+        phase: 'CLOSED',
+        blocksRemaining: Math.max(0, renewal + renewalWindow - height)
+      };
+    };
+
+    let renewal = -1;
+
+    // The newest open, claim or revoke starts the
+    // phase, later covenants may have renewed it.
+    for (const record of history) {
+      switch (record.type) {
+      case types.REGISTER:
+      case types.RENEW:
+      case types.FINALIZE:
+        if (renewal === -1)
+          renewal = record.height;
+        break;
+      case types.REVOKE:
+        return {
+          phase: 'REVOKED',
+          blocksRemaining:
+            Math.max(0, record.height + auctionMaturity - height)
+        };
+      case types.CLAIM:
+        if (height < record.height + lockupPeriod) {
+          return {
+            phase: 'LOCKED',
+            blocksRemaining: record.height + lockupPeriod - height
+          };
+        }
+        return closed(renewal !== -1 ? renewal : record.height);
+      case types.OPEN: {
+        const phase = getAuctionPhase(record.height, height, this.network);
+
+        if (phase)
+          return phase;
+
+        return closed(renewal !== -1 ? renewal : record.height);
+      }
+      }
+    }
+
+    return {phase: 'CLOSED', blocksRemaining: 0};
+  }
+
+  /**
+   * Get the open height of the auction for a name.
+   * @private
+   * @param {String} name
+   * @param {NameState} ns
+   * @param {Number} height - height of the bid or reveal
+   * @returns {Promise} - Returns Number.
+   */
+
+  async getOpenHeight(name, ns, height) {
+    const {treeInterval, biddingPeriod, revealPeriod} = this.network.names;
+    const period = treeInterval + 1 + biddingPeriod + revealPeriod;
+
+    if (ns.height <= height && height < ns.height + period)
+      return ns.height;
+
+    // The name state is from a later auction
+    // when an earlier block is replayed.
+    const start = Math.max(0, height - period + 1);
+    const opens = await this.adb.getOpens(start, height);
+
+    for (const open of opens.reverse()) {
+      if (open.name === name)
+        return open.height;
+    }
+
+    return ns.height;
+  }
+
+  /**
+   * Get the number of bids in an auction.
+   * @private
+   * @param {AuctionDB} adb - view of the block
+   * @param {String} name
+   * @param {Number} open - open height
+   * @returns {Promise} - Returns Number.
+   */
+
+  async getBidCount(adb, name, open) {
+    const auction = await adb.getAuction(name, open);
+
+    if (!auction)
+      return 0;
+
+    return auction.bids;
+  }
+
+  /**
+   * Add to the bids, reveals and lockup of an auction.
+   * @private
+   * @param {AuctionDB} adb - view of the block
+   * @param {String} name
+   * @param {Number} open - open height
+   * @param {Number} bids
+   * @param {Number} reveals
+   * @param {Number} lockup
+   * @returns {Promise} - Returns Boolean.
+   */
+
+  async updateAuction(adb, name, open, bids, reveals, lockup) {
+    const auction = await adb.getAuction(name, open);
+
+    // The open is not indexed.
+    if (!auction)
+      return true;
+
+    auction.bids += bids;
+    auction.reveals += reveals;
+    auction.lockup += lockup;
+
+    return adb.putAuction(auction);
+  }
+
+  /**
+   * Get the auctions that are open, bidding
+   * or revealing at height.
+   * @param {Number} height
+   * @returns {Promise} - Returns Object[].
+   */
+
+  async getActiveAuctions(height) {
+    if (height < 0)
+      return [];
+
+    const {treeInterval, biddingPeriod, revealPeriod} = this.network.names;
+    const period = treeInterval + 1 + biddingPeriod + revealPeriod;
+    const start = Math.max(0, height - period + 1);
+    const auctions = [];
+
+    for (const auction of await this.adb.getAuctions(start, height)) {
+      const state = getAuctionPhase(auction.height, height, this.network);
+
+      if (!state)
+        continue;
+
+      auctions.push({
+        ...auction.getJSON(),
+        ...getAuctionPeriods(auction.height, this.network),
+        phase: state.phase,
+        blocksRemaining: state.blocksRemaining
+      });
+    }
+
+    return auctions;
+  }
+
+  /**
+   * Get the notable auction activity between two
+   * heights (inclusive): the stats, the names opened
+   * and registered, the auctions with the most bids,
+   * the largest reveals and the burned bids.
+   * @param {Number} from
+   * @param {Number} to
+   * @param {Number} limit
+   * @returns {Promise} - Returns Object.
+   */
+
+  async getDigest(from, to, limit) {
+    const {treeInterval, biddingPeriod, revealPeriod} = this.network.names;
+    const period = treeInterval + 1 + biddingPeriod + revealPeriod;
+
+    const total = new StatsRecord();
+
+    for (const record of await this.adb.getStats(from, to))
+      total.add(record);
+
+    const opens = await this.adb.getOpens(from, to);
+
+    // Every auction that was running in the range.
+    const start = Math.max(0, from - period + 1);
+    const auctions = await this.adb.getAuctions(start, to);
+
+    auctions.sort((a, b) => b.bids - a.bids || a.height - b.height);
+
+    const reveals = [];
+    const registers = [];
+
+    for (const [height, undo] of await this.adb.getUndos(from, to)) {
+      for (const {type, name, outpoint, value} of undo.items) {
+        const item = {
+          name,
+          height,
+          outpoint: new Outpoint(outpoint.hash, outpoint.index).getJSON(),
+          value: value.toString(10)
+        };
+
+        if (type === types.REVEAL)
+          reveals.push(item);
+        else if (type === types.REGISTER)
+          registers.push(item);
+      }
+    }
+
+    reveals.sort((a, b) => Number(b.value) - Number(a.value));
+
+    const burned = [];
+
+    for (let height = from; height <= to; height++) {
+      for (const {name, bid} of await this.getBurnedBids(height)) {
+        burned.push({
+          name,
+          height,
+          bidHeight: bid.height,
+          outpoint: new Outpoint(bid.hash, bid.index).getJSON(),
+          value: bid.lockup.toString(10)
+        });
+      }
+    }
+
+    return {
+      stats: total.getJSON(),
+      opens: opens.slice(0, limit).map(({name, height}) => ({name, height})),
+      totalOpens: opens.length,
+      auctions: auctions.filter(a => a.bids > 0).slice(0, limit).map((a) => {
+        return {
+          name: a.name,
+          height: a.height,
+          bids: a.bids,
+          reveals: a.reveals,
+          lockup: a.lockup.toString(10)
+        };
+      }),
+      reveals: reveals.slice(0, limit),
+      registers: registers.slice(0, limit),
+      totalRegisters: registers.length,
+      burned: burned.slice(0, limit),
+      totalBurned: burned.length
+    };
+  }
+
+  /**
+   * Write a covenant to the history of a name
+   * and to the undo record of its block.
+   * @private
+   * @param {AuctionDB} adb - view of the block
+   * @param {BlockUndo} undo
+   * @param {Number} type
+   * @param {String} name
+   * @param {Number} height
+   * @param {Object} outpoint
+   * @param {Number} value
+   * @returns {Promise}
+   */
+
+  async indexHistory(adb, undo, type, name, height, outpoint, value) {
+    const record = HistoryRecord.fromOptions({
+      name,
+      height,
+      hash: outpoint.hash,
+      index: outpoint.index,
+      type,
+      value
+    });
+
+    const indexed = await adb.addHistory(record);
+
+    if (!indexed) {
+      this.logger.error('Problem indexing history for %s.', name);
+      return;
+    }
+
+    undo.push(type, name, outpoint, value);
+  }
+
+  /**
+   * Get the name state changes made by the block
+   * at height from the chain's name undo record.
+   * @private
+   * @param {Number} height
+   * @returns {Promise} - Returns BufferMap (name hash -> NameDelta).
+   */
+
+  async getNameDeltas(height) {
+    const deltas = new BufferMap();
+    const raw = await this.node.chain.db.db.get(chainLayout.w.encode(height));
+
+    if (!raw)
+      return deltas;
+
+    const undo = NameUndo.decode(raw);
+
+    for (const [nameHash, delta] of undo.names)
+      deltas.set(nameHash, delta);
+
+    return deltas;
+  }
+
+  /**
+   * Validate and apply a configure request to the settings.
+   * @private
+   * @param {SettingsRecord} settings
+   * @param {Validator} valid
+   */
+
+  updateSettings(settings, valid) {
+    const events = valid.obj('events', {});
+    const thresholds = valid.obj('thresholds', {});
+    const sinks = valid.obj('sinks', {});
+    const webhooks = valid.obj('webhooks', {});
+
+    for (const event of Object.keys(events)) {
+      enforce(socketEvents.includes(event), `Unknown event: ${event}.`);
+      settings.setEvent(event, new Validator(events).bool(event));
+    }
+
+    for (const event of Object.keys(thresholds)) {
+      enforce(socketEvents.includes(event), `Unknown event: ${event}.`);
+      settings.setThreshold(event, new Validator(thresholds).u64(event));
+    }
+
+    for (const name of Object.keys(sinks)) {
+      enforce(/^[a-z0-9-]{1,32}$/.test(name), `Invalid sink: ${name}.`);
+
+      if (sinks[name] == null) {
+        settings.setSink(name, null);
+        continue;
+      }
+
+      enforce(typeof sinks[name] === 'object', `Invalid sink: ${name}.`);
+
+      const sink = new Validator(sinks).child(name);
+      const target = sink.str('target', '');
+
+      enforce(target.length <= MAX_TARGET,
+        `Target must not be more than ${MAX_TARGET} characters.`);
+
+      settings.setSink(name, {
+        enabled: sink.bool('enabled', true),
+        target
+      });
+    }
+
+    for (const name of Object.keys(webhooks)) {
+      enforce(/^[a-z0-9-]{1,32}$/.test(name), `Invalid webhook: ${name}.`);
+
+      if (webhooks[name] == null) {
+        settings.setWebhook(name, null);
+        continue;
+      }
+
+      enforce(typeof webhooks[name] === 'object', `Invalid webhook: ${name}.`);
+
+      // Omitted fields keep their value
+      // when a webhook is updated.
+      const prev = settings.webhooks.get(name);
+      const hook = new Validator(webhooks).child(name);
+      const url = hook.str('url', prev ? prev.url : null);
+      const secret = hook.str('secret', prev ? prev.secret : null);
+
+      enforce(url, 'URL is required.');
+      enforce(/^https?:\/\//.test(url), 'URL must be http or https.');
+      enforce(url.length <= MAX_TARGET,
+        `URL must not be more than ${MAX_TARGET} characters.`);
+
+      enforce(secret, 'Secret is required.');
+      enforce(secret.length <= MAX_SECRET,
+        `Secret must not be more than ${MAX_SECRET} characters.`);
+
+      let filters = prev ? prev.filters : null;
+
+      if (webhooks[name].filters !== undefined) {
+        try {
+          const parsed = this.parseFilters(webhooks[name].filters);
+          filters = parsed ? parsed.map(f => f.getJSON()) : null;
+        } catch (e) {
+          enforce(false, e.message);
+        }
+      }
+
+      settings.setWebhook(name, {
+        enabled: hook.bool('enabled', prev ? prev.enabled : true),
+        url,
+        secret,
+        filters
+      });
+    }
+
+    enforce(settings.webhooks.size <= MAX_WEBHOOKS,
+      `Webhooks must not be more than ${MAX_WEBHOOKS}.`);
+  }
+
+  /**
+   * Load the notification settings from the AuctionDB.
+   * @returns {Promise}
+   */
+
+  async loadSettings() {
+    this.settings = await this.adb.getSettings();
 
-    assert(options.node, 'Must pass node.');
-    this.node = options.node;
-    this.network = this.node.network;
-    this.adb = options.adb;
-    this.logger = options.logger;
+    if (this.webhooks)
+      this.webhooks.setSettings(this.settings);
+  }
 
-    this.init();
+  /**
+   * Sync the index with the chain. Rolls back to the
+   * fork point if the indexed tip is no longer on the
+   * main chain and replays every block after it.
+   * @returns {Promise}
+   */
+
+  async syncChain() {
+    const unlock = await this.locker.lock();
+    try {
+      return await this._syncChain();
+    } finally {
+      unlock();
+    }
   }
 
-  init() {
-    this.on('request', (req, res) => {
-      if (req.method === 'POST' && req.pathname === '/')
-        return;
+  /**
+   * Sync the index with the chain (no lock).
+   * @private
+   * @returns {Promise}
+   */
 
-      this.logger.debug('Request for method=%s path=%s (%s).',
-        req.method, req.pathname, req.socket.remoteAddress);
-    });
+  async _syncChain() {
+    const chain = this.node.chain;
+    let height = await this.adb.getHeight();
 
-    this.on('listening', (address) => {
-      this.logger.info('Auction Notify HTTP server listening on %s (port=%d).',
-        address.address, address.port);
-    });
+    // Find the fork point.
+    while (height >= 0) {
+      const hash = await this.adb.getHash(height);
+      const main = await chain.getHash(height);
 
-    this.initRouter();
-    this.initSockets();
-  };
+      if (hash && main && main.equals(hash))
+        break;
 
-  initRouter() {
-    if (this.options.cors)
-      this.use(this.cors());
+      height -= 1;
+    }
 
-    if (!this.options.noAuth) {
-      this.use(this.basicAuth({
-        hash: sha256.digest,
-        password: this.options.apiKey,
-        realm: 'node'
-      }));
+    if (height >= 0) {
+      const hash = await this.adb.getHash(height);
+      await this.rollback(height, hash);
     }
 
-    this.use(this.bodyParser({
-      type: 'json'
-    }));
+    if (height < chain.height) {
+      this.logger.info('Indexing blocks %d to %d.',
+        height + 1, chain.height);
+    }
 
-    this.use(this.router());
-    this.use(this.jsonRPC(this.node.rpc));
+    for (let i = height + 1; i <= chain.height; i++)
+      await this.connectHeight(i);
+  }
 
-    this.error((err, req, res) => {
-      const code = err.statusCode || 500;
-      res.json(code, {
-        error: {
-          type: err.type,
-          code: err.code,
-          message: err.message
+  /**
+   * Unindex the blocks from height and index them
+   * again in the background, up to the tip. The
+   * records of the blocks below height are kept.
+   * The events of the replayed blocks are emitted,
+   * but emitEvents does not log them or deliver them
+   * to webhooks and initSockets only relays the
+   * rescan progress. The blocks connected during the
+   * rescan are indexed as usual once it is done.
+   * @param {Number} height
+   * @returns {Promise} - Returns {start, end}.
+   */
+
+  async rescan(height) {
+    assert((height >>> 0) === height);
+
+    const unlock = await this.locker.lock();
+    try {
+      if (this.rescanning)
+        throw new Error('A rescan is in progress.');
+
+      const chain = this.node.chain;
+
+      // A gap below height is indexed as well.
+      const start = Math.min(height, await this.adb.getHeight() + 1);
+      const end = chain.height;
+
+      this.logger.info('Rescanning from height %d to %d.', start, end);
+
+      this.rescanning = true;
+
+      try {
+        if (start === 0) {
+          await this.adb.wipe();
+        } else {
+          const hash = await this.adb.getHash(start - 1);
+          await this.rollback(start - 1, hash);
         }
+      } catch (e) {
+        this.rescanning = false;
+        throw e;
+      }
+
+      this.rescanJob = this.runRescan(start, end).catch((e) => {
+        this.emit('error', e);
       });
-    });
 
-    /**
-     * The 'connect' event is emitted by the chain
-     * after the block has beeen validated fully.
-     */
+      return {start, end};
+    } finally {
+      unlock();
+    }
+  }
 
-    this.node.chain.on('connect', async (entry, block, view) => {
-      // Index new tip.
-      await this.adb.putTip(block.hash());
-      const height = entry.height;
-
-      const stats = {
-        txCount: block.txs.length,  // number of txs
-        opens: 0, // number of opens
-        bids: 0, // number of bids
-        reveals: 0, // number of reveals
-        registers: 0,
-        airdrops: 0, // number of airdrops
-        inflation: 0, // newly created doos
-        height: height,
-        claims: 0, // name claims
-        transferredValue: 0,
-        lockedUpValue: 0, // locked up bc of a bid
-      };
+  /**
+   * Index the blocks of a rescan in batches,
+   * releasing the lock between them.
+   * @private
+   * @param {Number} start
+   * @param {Number} end
+   * @returns {Promise}
+   */
 
-      for (const [itx, tx] of block.txs.entries()) {
-        const txid = tx.hash();
-
-
-        for (const [i, output] of tx.outputs.entries()) {
-          const {covenant, value} = output;
-          const outpoint = {hash: txid, index: i};
-
-          // Coinbase transaction
-          if (itx === 0) {
-            if (covenant.isClaim()) {
-              stats.claims += 1;
-              // TODO(mark) how to get name here?
-              this.emit('name claim', {name: '', value, outpoint, height});
-            }
-
-            // First output in first tx is coinbase reward.
-            // Don't count the fees.
-            if (i === 0)
-              stats.inflation += consensus.getReward(entry.height, this.network.halvingInterval);
-            else
-              stats.inflation += value;
-
-            // airdrop
-            if (!covenant.isClaim() && i !== 0) {
-              stats.airdrops += 1;
-            }
-          }
+  async runRescan(start, end) {
+    try {
+      while (!this.rescanStopped) {
+        const unlock = await this.locker.lock();
+        try {
+          // A reorganization may have rolled the index back.
+          const next = await this.adb.getHeight() + 1;
+          const last = Math.min(next + RESCAN_BATCH - 1, end,
+            this.node.chain.height);
+
+          if (next > last)
+            break;
+
+          for (let i = next; i <= last; i++)
+            await this.connectHeight(i);
+
+          this.emit('rescan progress', serializeEvent('rescan progress', {
+            start,
+            height: last,
+            end
+          }));
+        } finally {
+          unlock();
+        }
+      }
+    } finally {
+      this.rescanning = false;
+      this.rescanJob = null;
+    }
 
-          if (covenant.isNone()) {
-            this.emit('none', {outpoint, name: '', value, height, ns: {}, as: {}});
-            if (itx !== 0)
-              stats.transferredValue += value;
-            continue;
-          }
+    if (this.rescanStopped)
+      return;
 
-          const nameHash = covenant.getHash(0);
-          const ns = await view.getNameState(this.node.chain.db, nameHash);
-          const as = ns.toStats(entry.height, this.network);
+    this.logger.info('Rescan complete at height %d.', end);
 
-          if (!ns) {
-            this.logger.error('Expected namestate for %x.', nameHash);
-            continue;
-          }
+    await this.syncChain();
+  }
+
+  /**
+   * Stop a running rescan. The rest of
+   * the blocks are indexed by a sync.
+   * @returns {Promise}
+   */
+
+  async stopRescan() {
+    if (!this.rescanJob)
+      return;
+
+    this.rescanStopped = true;
+    try {
+      await this.rescanJob;
+    } finally {
+      this.rescanStopped = false;
+    }
+  }
+
+  /**
+   * Index the main chain block at height.
+   * @private
+   * @param {Number} height
+   * @returns {Promise}
+   */
+
+  async connectHeight(height) {
+    const chain = this.node.chain;
 
-          const name = ns.name.toString('ascii');
+    const entry = await chain.getEntry(height);
+    assert(entry);
 
-          if (covenant.isOpen()) {
-            stats.opens += 1;
+    const block = await chain.getBlock(entry.hash);
+    assert(block);
 
-          } else if (covenant.isBid()) {
-            const indexed = await this.adb.addBid(name, outpoint);
-            if (!indexed)
-              this.logger.error('Problem indexing bid for %x.', name);
+    const view = await chain.getBlockView(block);
 
-            this.emit('bid', {name, outpoint, value, height, ns, as});
-            stats.bids += 1;
-            stats.lockedUpValue += value;
+    await this.connectBlock(entry, block, view);
+  }
 
-          } else if (covenant.isReveal()) {
-            const indexed = await this.adb.addReveal(name, outpoint);
-            if (!indexed)
-              this.logger.error('Problem indexing reveal for %x.', name);
+  /**
+   * Unindex every block above height using the
+   * undo records, then set the tip to hash.
+   * @param {Number} height
+   * @param {Hash} hash
+   * @returns {Promise}
+   */
 
-            this.emit('reveal', {name, outpoint, value, height, ns, as});
-            stats.reveals += 1;
+  async rollback(height, hash) {
+    const tip = await this.adb.getHeight();
 
-          } else if (covenant.isRegister()) {
-            const bidCount = await this.adb.getBidCount(name);
-            const revealCount = await this.adb.getRevealCount(name);
+    for (let i = tip; i > height; i--) {
+      const prev = i - 1 > height ? await this.adb.getHash(i - 1) : null;
+      const entry = {height: i - 1, hash: prev || hash};
+      const events = [];
 
-            this.emit('register', {name, outpoint, value, height, ns, as})
-            stats.registers += 1;
+      const adb = await this.adb.startBlock(entry);
+      try {
+        await this.unindexBlock(adb, i, events);
+      } catch (e) {
+        adb.dropBlock();
+        throw e;
+      }
 
-            if (bidCount.eq(revealCount))
-              continue;
+      if (!await adb.commitBlock()) {
+        this.logger.error('Problem unindexing block %d.', i);
+        return;
+      }
 
-            if (revealCount.gt(bidCount)) {
-              this.logger.error('Invalid database state: more reveals than bids for %s.', name);
-              continue;
-            }
+      await this.emitEvents(i, events);
+    }
+  }
 
-            const bids = await adb.getBids(name);
+  /**
+   * Write the removal of the block at height
+   * to the pending AuctionDB batch.
+   * @private
+   * @param {AuctionDB} adb - view of the block
+   * @param {Number} height
+   * @param {Array} events - events to emit after commit
+   * @returns {Promise}
+   */
 
-            for (const bid of bids) {
-              const {hash, index} = bid;
+  async unindexBlock(adb, height, events) {
+    const undo = await adb.getUndo(height);
 
-              const coin = await this.node.chain.db.getCoin(hash, index);
+    if (undo) {
+      for (const item of undo.items.slice().reverse()) {
+        const {type, name, outpoint, value} = item;
 
-              // Coin was spent
-              if (!coin)
-                continue;
+        switch (type) {
+        case types.OPEN: {
+          const removed = await adb.removeOpen(name, height)
+            && await adb.removeAuction(name, height);
 
-              // any coins here were burned
-              this.emit('bid burned', {name, outpoint: {hash, index}, value, height, ns, as});
-            }
-          } else if (covenant.isRevoke()) {
-            // name was revoked
-            this.emit('revoke', {name, outpoint, value, height, ns, as});
-          }
+          if (!removed)
+            this.logger.error('Problem unindexing open for %s.', name);
+          break;
         }
-      }
+        case types.CLAIM: {
+          const removed = await adb.removeClaim(name, height);
+          if (!removed)
+            this.logger.error('Problem unindexing claim for %s.', name);
+          break;
+        }
+        case types.BID: {
+          const bid = await adb.getBid(name, outpoint);
 
-      this.emit('stats', stats);
-      this.emit('block connect', {entry, block, view});
-    });
+          if (bid)
+            await this.updateAuction(adb, name, bid.open, -1, 0, -bid.lockup);
 
-    this.get('/auction-notify', async (req, res) => {
-      const valid = Validator.fromRequest(req);
+          const removed = await adb.removeBid(name, outpoint);
+          if (!removed)
+            this.logger.error('Problem unindexing bid for %s.', name);
 
-      const tip = await this.adb.getTip();
+          events.push(['bid removed', {name, outpoint, value, height}]);
+          break;
+        }
+        case types.REVEAL: {
+          const reveal = await adb.getReveal(name, outpoint);
 
-      res.json(200, {
-        tip: tip ? tip.toString('hex') : null
-      });
-    });
+          if (reveal)
+            await this.updateAuction(adb, name, reveal.open, 0, -1, 0);
 
-    this.get('/auction-notify/name/:name', async (req, res) => {
-      const valid = Validator.fromRequest(req);
-      const name = valid.str('name');
+          const removed = await adb.removeReveal(name, outpoint);
+          if (!removed)
+            this.logger.error('Problem unindexing reveal for %s.', name);
 
-      const bids = await this.adb.getBids(name);
-      const reveals = await this.adb.getReveals(name);
+          events.push(['reveal removed', {name, outpoint, value, height}]);
+          break;
+        }
+        }
 
-      res.json(200, {
-        name: name,
-        bids: bids.map(o => outpointToJSON(o)),
-        reveals: reveals.map(o => outpointToJSON(o))
-      });
-    });
+        const removed = await adb.removeHistory(name, height, outpoint);
+        if (!removed)
+          this.logger.error('Problem unindexing history for %s.', name);
+      }
 
-    this.post('/auction-notify/configure', async (req, res) => {
-      const valid = Validator.fromRequest(req);
+      await adb.removeUndo(height);
+    }
 
-      // turn on or off the notifications
-      // could be tg or twitter
-      res.json(200);
-    });
+    if (!await adb.removeStats(height))
+      this.logger.error('Problem unindexing stats for block %d.', height);
 
-    // Proxy non matching requests
-    // to hsd http server
-    this.use(async (req, res) => {
-      await this.node.http.routes.handle(req, res);
-    });
+    await adb.removeHash(height);
   }
 
   /**
@@ -306,23 +1823,123 @@ class HTTP extends Server {
   /**
    * Handle new auth'd websocket.
    * This adds hooks. The websocket client
-   * must call 'watch auction-notify' to receive events.
+   * must call 'watch auction-notify' to receive every event,
+   * or 'watch name' to receive the events for a name.
    * @private
    * @param {WebSocket} socket
    */
 
   handleAuth(socket) {
-    socket.hook('watch auction-notify', () => {
-      socket.join('auction-notify');
+    // The optional cursor is the sequence number of the
+    // last event received, the missed events are replayed
+    // from the event log before the live events.
+    socket.hook('watch auction-notify', async (...args) => {
+      const valid = new Validator(args);
+      const since = valid.u32(1);
+
+      socket.auctionFilters = this.parseFilters(args[0]);
+
+      if (since == null) {
+        socket.join('auction-notify');
+        return null;
+      }
+
+      await this.replay(socket, since);
+
       return null;
     });
 
     socket.hook('unwatch auction-notify', () => {
       socket.leave('auction-notify');
+
+      // A later watch starts without the
+      // filters and replay of this one.
+      socket.auctionFilters = null;
+      socket.auctionQueue = null;
+
+      return null;
+    });
+
+    socket.hook('watch name', (...args) => {
+      const valid = new Validator(args);
+      const name = valid.str(0);
+
+      if (!name || !rules.verifyName(name))
+        throw new Error('Invalid name.');
+
+      socket.join(`name:${name}`);
+
+      return null;
+    });
+
+    socket.hook('unwatch name', (...args) => {
+      const valid = new Validator(args);
+      const name = valid.str(0);
+
+      if (!name)
+        throw new Error('Invalid name.');
+
+      socket.leave(`name:${name}`);
+
+      return null;
+    });
+
+    socket.hook('watch names', (...args) => {
+      const valid = new Validator(args);
+      const names = valid.array(0);
+
+      if (!names)
+        throw new Error('Invalid parameter.');
+
+      for (const name of names) {
+        if (typeof name !== 'string' || !rules.verifyName(name))
+          throw new Error('Invalid name.');
+      }
+
+      for (const name of names)
+        socket.join(`name:${name}`);
+
       return null;
     });
   }
 
+  /**
+   * Parse the event filters sent with 'watch auction-notify'.
+   * An event is relayed when it matches any of the filters.
+   * @private
+   * @param {Object|Object[]|null} json
+   * @returns {EventFilter[]|null}
+   */
+
+  parseFilters(json) {
+    if (json == null)
+      return null;
+
+    const items = Array.isArray(json) ? json : [json];
+    const filters = [];
+
+    if (items.length === 0 || items.length > MAX_FILTERS)
+      throw new Error(`Filters must be between 1 and ${MAX_FILTERS}.`);
+
+    for (const item of items) {
+      if (!item || typeof item !== 'object')
+        throw new Error('Invalid filter.');
+
+      const filter = EventFilter.fromJSON(item, this.network);
+
+      if (filter.types) {
+        for (const type of filter.types) {
+          if (!socketEvents.includes(type))
+            throw new Error(`Unknown event: ${type}.`);
+        }
+      }
+
+      filters.push(filter);
+    }
+
+    return filters;
+  }
+
   /**
    * Bind to relay events.
    * Capture emitted events by the
@@ -331,22 +1948,130 @@ class HTTP extends Server {
    */
 
   initSockets() {
-    const events = [
-      'bid', 'reveal', 'register',
-      'bid burned', 'open', 'stats',
-      'name claim', 'none', 'block connect'
-    ];
+    for (const event of socketEvents) {
+      this.on(event, (data, sequence) => {
+        // Don't relay historical events.
+        if (this.rescanning && event !== 'rescan progress')
+          return;
+
+        for (const socket of this.getSockets(data)) {
+          // Hold live events until the replay is done.
+          if (socket.auctionQueue) {
+            socket.auctionQueue.push([event, data, sequence]);
+            continue;
+          }
+
+          this.sendEvent(socket, event, data, sequence);
+        }
+      });
+    }
+  }
+
+  /**
+   * Send an event to a websocket if it matches
+   * the settings and the filters of the socket.
+   * Logged events are sent with their sequence number.
+   * @private
+   * @param {WebSocket} socket
+   * @param {String} event
+   * @param {Object} data
+   * @param {Number?} sequence
+   */
+
+  sendEvent(socket, event, data, sequence) {
+    if (!this.settings.test(event, data))
+      return;
+
+    if (socket.auctionFilters) {
+      if (!socket.auctionFilters.some(f => f.test(event, data)))
+        return;
+    }
+
+    if (sequence == null)
+      socket.fire(event, data);
+    else
+      socket.fire(event, data, sequence);
+  }
+
+  /**
+   * Replay the logged events after a sequence number
+   * to a websocket, then switch it to live events.
+   * Live events are queued during the replay and
+   * the ones that were already replayed are dropped.
+   * @private
+   * @param {WebSocket} socket
+   * @param {Number} since - sequence number
+   * @returns {Promise}
+   */
+
+  async replay(socket, since) {
+    const queue = [];
 
-    for (const event of events) {
-      this.on(event, (data) => {
-        const sockets = this.channel('auction-notify');
+    socket.auctionQueue = queue;
+    socket.join('auction-notify');
 
-        if (!sockets)
+    let last = since;
+
+    try {
+      for (;;) {
+        const records = await this.adb.getEvents(last, MAX_REPLAY);
+
+        // Unwatched or watched again.
+        if (socket.auctionQueue !== queue)
           return;
 
-        this.to('auction-notify', event, data);
-      });
+        for (const record of records) {
+          const {event, data, sequence} = record;
+          this.sendEvent(socket, event, data, sequence);
+          last = sequence;
+        }
+
+        if (records.length < MAX_REPLAY)
+          break;
+      }
+    } finally {
+      if (socket.auctionQueue === queue) {
+        socket.auctionQueue = null;
+
+        for (const [event, data, sequence] of queue) {
+          if (sequence != null && sequence <= last)
+            continue;
+
+          this.sendEvent(socket, event, data, sequence);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the sockets to relay an event to.
+   * Sockets watching everything receive every
+   * event, sockets watching names only receive
+   * the events for those names.
+   * @private
+   * @param {Object} data
+   * @returns {Set}
+   */
+
+  getSockets(data) {
+    const result = new Set();
+    const all = this.channel('auction-notify');
+
+    if (all) {
+      for (const socket of all)
+        result.add(socket);
+    }
+
+    if (data && typeof data.name === 'string' && data.name.length > 0) {
+      const named = this.channel(`name:${data.name}`);
+
+      if (named) {
+        for (const socket of named)
+          result.add(socket);
+      }
     }
+
+    return result;
   }
 }
 
@@ -368,6 +2093,8 @@ class HTTPOptions {
     this.noAuth = false;
     this.cors = false;
     this.maxTxs = 100;
+    this.eventBlocks = 1000;
+    this.logThreshold = 1000e6;
 
     this.prefix = null;
     this.host = '127.0.0.1';
@@ -462,6 +2189,17 @@ class HTTPOptions {
       this.maxTxs = options.maxTxs;
     }
 
+    if (options.eventBlocks != null) {
+      assert((options.eventBlocks >>> 0) === options.eventBlocks);
+      this.eventBlocks = options.eventBlocks;
+    }
+
+    if (options.logThreshold != null) {
+      assert(Number.isSafeInteger(options.logThreshold)
+        && options.logThreshold >= 0);
+      this.logThreshold = options.logThreshold;
+    }
+
     // Allow no-auth implicitly
     // if we're listening locally.
     if (!options.apiKey) {
@@ -495,11 +2233,49 @@ function enforce(value, msg) {
   }
 }
 
-function outpointToJSON(outpoint) {
-  return {
-    hash: outpoint.hash.toString('hex'),
-    index: outpoint.index
+/**
+ * Decode a serialized resource. Consensus only
+ * checks the size of the data, so a resource
+ * that does not decode is treated as empty.
+ * @param {Buffer} raw
+ * @returns {Object|null}
+ */
+
+function resourceToJSON(raw) {
+  if (raw.length === 0)
+    return null;
+
+  try {
+    return Resource.decode(raw).getJSON();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Get the records added and removed between two resources.
+ * @param {Object|null} prev
+ * @param {Object|null} next
+ * @returns {Object}
+ */
+
+function diffRecords(prev, next) {
+  const before = prev ? prev.records : [];
+  const after = next ? next.records : [];
+  const keys = new Set(before.map(r => JSON.stringify(r)));
+  const added = [];
+
+  for (const record of after) {
+    const key = JSON.stringify(record);
+
+    if (!keys.delete(key))
+      added.push(record);
   }
+
+  return {
+    added,
+    removed: [...keys].map(key => JSON.parse(key))
+  };
 }
 
 /**
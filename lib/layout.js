@@ -14,10 +14,22 @@ const bdb = require('bdb');
  *  V -> db version
  *  N -> db network
  *  R -> tip hash
- *  B[name][hash][index] -> dummy (bid outpoints by namehash)
+ *  B[name][hash][index] -> bid record (lockup, height, open, address)
  *  b[name] -> bid count
- *  R[name][hash][index] -> dummy (reveal outpoints by namehash)
+ *  R[name][hash][index] -> reveal record (value, bid, lockup, height, address)
  *  r[name] -> reveal count
+ *  O[height][name] -> open outpoint (opened names by height)
+ *  A[height][name] -> auction record (auctions by open height)
+ *  C[name][height] -> claim record (claimed names)
+ *  c[height][name] -> dummy (claimed names by height)
+ *  H[name][height][hash][index] -> history record (type, value)
+ *  S[height] -> block stats record
+ *  W[window][bucket] -> stats record (rolled up block stats)
+ *  h[height] -> block hash (indexed blocks)
+ *  u[height] -> block undo (covenants indexed by block)
+ *  s -> settings record (notification settings)
+ *  E[sequence] -> event record (height, event, data)
+ *  D[id] -> delivery record (webhook delivery queue)
  */
 
 module.exports = {
@@ -27,5 +39,17 @@ module.exports = {
   B: bdb.key('B', ['ascii', 'hash256', 'uint32']),
   b: bdb.key('b', ['ascii']),
   R: bdb.key('R', ['ascii', 'hash256', 'uint32']),
-  r: bdb.key('r', ['ascii'])
+  r: bdb.key('r', ['ascii']),
+  O: bdb.key('O', ['uint32', 'ascii']),
+  A: bdb.key('A', ['uint32', 'ascii']),
+  C: bdb.key('C', ['ascii', 'uint32']),
+  c: bdb.key('c', ['uint32', 'ascii']),
+  H: bdb.key('H', ['ascii', 'uint32', 'hash256', 'uint32']),
+  S: bdb.key('S', ['uint32']),
+  W: bdb.key('W', ['ascii', 'uint32']),
+  h: bdb.key('h', ['uint32']),
+  u: bdb.key('u', ['uint32']),
+  s: bdb.key('s'),
+  E: bdb.key('E', ['uint32']),
+  D: bdb.key('D', ['uint32'])
 };
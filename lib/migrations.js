@@ -0,0 +1,37 @@
+/*!
+ * migrations.js - database migrations for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+/**
+ * Migrations, in order of version. Each migration
+ * upgrades the database from the previous version.
+ * It is passed the AuctionDB and the batch that writes
+ * the new version, so the upgrade commits atomically.
+ *
+ * Version 0 is an unversioned database.
+ */
+
+const migrations = [
+  {
+    // An unversioned database only has the bid and
+    // reveal outpoints and counts, without block hashes,
+    // undo records or values. The index is rebuilt from
+    // the chain by the sync on open.
+    version: 1,
+    description: 'Wipe the unversioned index',
+    async migrate(adb, b) {
+      await adb.wipe(b);
+    }
+  }
+];
+
+/*
+ * Expose
+ */
+
+exports.migrations = migrations;
+exports.VERSION = migrations[migrations.length - 1].version;
@@ -0,0 +1,463 @@
+/*!
+ * notifier.js - notifier for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const assert = require('bsert');
+const Logger = require('blgr');
+const {Lock} = require('bmutex');
+const Outbox = require('./outbox');
+const Sink = require('./sinks/sink');
+const {events} = require('./serializers');
+const {formatCoins} = require('./util');
+
+/**
+ * Message text for every event.
+ */
+
+const formats = {
+  'open': data => '' +
+`🆕 Open ${data.name} 🆕`,
+  'bid': (data, info) => '' +
+`🙈 Bid .${data.name} 🙈
+Height ${data.height}
+Lockup: ${formatCoins(data.value)} $HNS
+Total bids ${info.bids.length}
+${data.blocksRemaining} blocks Left to bid`,
+  'reveal': (data, info) => '' +
+`👀 Reveal .${data.name} 👀
+Height ${data.height}
+${formatCoins(data.value)} $HNS
+Total reveals ${info.reveals.length}
+${data.blocksRemaining} Blocks left to reveal`,
+  'register': data => '' +
+`🤝 Register ${data.name}
+Burned ${formatCoins(data.value)} $HNS`,
+  'bid burned': data => '' +
+`BID BURNED ${data.name}
+Value ${formatCoins(data.value)}`,
+  'none': data => '' +
+`Big Spend ${formatCoins(data.value)} $HNS`,
+  'stats': data => '' +
+`Block ${data.height} Stats
+${data.txCount} Transactions
+${data.airdrops} Airdrops Claimed
+${formatCoins(data.transferredValue)} $HNS Moved
+${formatCoins(data.inflation)} Newly Minted $HNS
+${formatCoins(data.lockedUpValue)} $HNS Locked Up in Bids`
+};
+
+/**
+ * Notifier
+ * Subscribes to the events that the sinks accept
+ * from an auction notify client, formats them and
+ * queues them for the sinks that accept them in
+ * the outbox, which sends them within the rate
+ * limits of the sinks. Events are handled in the
+ * order they arrive. The sequence number of the
+ * last event handled is kept in the cursor file,
+ * so the events missed while the notifier was down
+ * are replayed, and the outbox is kept in the
+ * queue file.
+ * @extends EventEmitter
+ */
+
+class Notifier extends EventEmitter {
+  constructor(options) {
+    super();
+
+    this.options = new NotifierOptions(options);
+    this.client = this.options.client;
+    this.logger = this.options.logger.context('notifier');
+    this.sinks = [];
+    this.cursor = null;
+
+    // Whether each sink was enabled when added, restored
+    // when its settings are reset.
+    this.defaults = new Map();
+    this.locker = new Lock();
+
+    this.outbox = new Outbox({
+      logger: this.options.logger,
+      file: this.options.queueFile,
+      retryInterval: this.options.retryInterval,
+      maxAttempts: this.options.maxAttempts
+    });
+
+    this.init();
+  }
+
+  init() {
+    this.outbox.on('error', e => this.logger.error(e));
+
+    for (const event of events) {
+      if (event === 'rescan progress')
+        continue;
+
+      this.client.bind(event, async (data, sequence) => {
+        // Events are handled one at a time, so the
+        // cursor never passes an event in flight.
+        const unlock = await this.locker.lock();
+        try {
+          // Subscribing again replays the
+          // events after the cursor.
+          if (sequence == null || this.cursor == null
+              || sequence > this.cursor) {
+            await this.handle(event, data);
+          }
+        } catch (e) {
+          this.logger.error(e);
+        } finally {
+          this.saveCursor(sequence);
+          unlock();
+        }
+      });
+    }
+  }
+
+  /**
+   * Add a sink to send the messages to.
+   * @param {Sink} sink
+   */
+
+  addSink(sink) {
+    assert(sink instanceof Sink, 'Sink must be a Sink.');
+    this.sinks.push(sink);
+  }
+
+  async open() {
+    this.cursor = this.loadCursor();
+
+    await this.loadSettings();
+
+    this.client.filter = this.getFilter();
+
+    if (this.cursor != null)
+      this.client.setCursor(this.cursor);
+
+    for (const sink of this.sinks)
+      await sink.open();
+
+    await this.outbox.open(this.sinks);
+    await this.client.open();
+  }
+
+  async close() {
+    await this.client.close();
+    await this.outbox.close();
+
+    for (const sink of this.sinks)
+      await sink.close();
+  }
+
+  /**
+   * Load the sink settings of the configure endpoint,
+   * which turn the sinks on or off and retarget them.
+   * @returns {Promise}
+   */
+
+  async loadSettings() {
+    let json;
+
+    try {
+      json = await this.client.getConfigure();
+    } catch (e) {
+      this.logger.error('Could not load the settings: %s.', e.message);
+      return;
+    }
+
+    if (json && json.sinks)
+      this.applySettings(json.sinks);
+  }
+
+  /**
+   * Apply the sink settings. A sink that is not in
+   * the settings is reset to how it was added.
+   * @param {Object} sinks - sink name -> {enabled, target}
+   */
+
+  applySettings(sinks) {
+    for (const sink of this.sinks) {
+      if (!this.defaults.has(sink))
+        this.defaults.set(sink, sink.enabled);
+
+      const settings = sinks[sink.name];
+      const enabled = settings
+        ? settings.enabled
+        : this.defaults.get(sink);
+      const target = settings && settings.target
+        ? settings.target
+        : null;
+
+      if (target !== sink.target) {
+        try {
+          sink.setTarget(target);
+        } catch (e) {
+          this.logger.error('Invalid target of sink %s: %s.',
+            sink.name, e.message);
+          continue;
+        }
+
+        this.logger.info('Sink %s target: %s.', sink.name, target);
+      }
+
+      if (enabled !== sink.enabled) {
+        this.logger.info('Sink %s %s.', sink.name,
+          enabled ? 'enabled' : 'disabled');
+        sink.enabled = enabled;
+      }
+    }
+  }
+
+  /**
+   * Subscribe again when the filters of
+   * the sinks no longer match the current.
+   */
+
+  watch() {
+    const filter = this.getFilter();
+
+    if (JSON.stringify(filter) === JSON.stringify(this.client.filter))
+      return;
+
+    this.client.watchAuctionNotify(filter);
+  }
+
+  /**
+   * Get the filters sent to the server, every event
+   * type that a filter of an enabled sink accepts.
+   * The plain outputs are only sent above the lowest
+   * minimum, every block has one for each payment.
+   * @returns {Object[]}
+   */
+
+  getFilter() {
+    const types = new Set(['block connect']);
+
+    let minValue = -1;
+
+    for (const sink of this.sinks) {
+      if (!sink.enabled)
+        continue;
+
+      for (const filter of sink.getFilters()) {
+        for (const type of filter.types || events) {
+          if (type !== 'none') {
+            types.add(type);
+            continue;
+          }
+
+          if (minValue === -1 || filter.minValue < minValue)
+            minValue = filter.minValue;
+        }
+      }
+    }
+
+    const filters = [{
+      types: events.filter(event => types.has(event) && event !== 'none')
+    }];
+
+    if (minValue !== -1)
+      filters.push({types: ['none'], minValue});
+
+    return filters;
+  }
+
+  /**
+   * Handle an event from the client.
+   * @param {String} event
+   * @param {Object} data
+   * @returns {Promise}
+   */
+
+  async handle(event, data) {
+    if (event === 'block connect') {
+      this.logger.info('block connect %d', data.height);
+
+      // The settings are read again every block.
+      await this.loadSettings();
+      this.watch();
+
+      return;
+    }
+
+    const info = await this.getInfo(event, data);
+
+    if (info === null)
+      return;
+
+    const sinks = this.sinks.filter((sink) => {
+      return sink.enabled && sink.test(event, data, info);
+    });
+
+    if (sinks.length === 0) {
+      this.logger.info('Did not meet criteria: %s %s', data.name, event);
+      return;
+    }
+
+    const message = {
+      event,
+      text: this.format(event, data, info),
+      data
+    };
+
+    await this.send(sinks, message);
+  }
+
+  /**
+   * Get the name info that the bid and
+   * reveal criteria and messages use.
+   * @private
+   * @param {String} event
+   * @param {Object} data
+   * @returns {Promise} - Returns Object, null when
+   * it is missing or undefined when not used.
+   */
+
+  async getInfo(event, data) {
+    if (event !== 'bid' && event !== 'reveal')
+      return undefined;
+
+    assert(typeof data.name === 'string');
+
+    const info = await this.client.getNotifyName(data.name);
+
+    if (!info) {
+      this.logger.info('Cannot find name info %s %s', event, data.name);
+      return null;
+    }
+
+    return info;
+  }
+
+  /**
+   * Format the text of a notification.
+   * @param {String} event
+   * @param {Object} data
+   * @param {Object?} info - name info of bids and reveals
+   * @returns {String}
+   */
+
+  format(event, data, info) {
+    const format = formats[event];
+
+    // The other events are only sent to
+    // the sinks that render their own.
+    if (!format)
+      return data.name ? `${event} .${data.name}` : event;
+
+    return format(data, info);
+  }
+
+  /**
+   * Queue a message for sinks, the outbox sends it
+   * unless the sink is rate limited or retrying. A
+   * sink that fails does not hold the others back.
+   * @param {Sink[]} sinks
+   * @param {Object} message
+   * @returns {Promise}
+   */
+
+  async send(sinks, message) {
+    return this.outbox.push(sinks, message);
+  }
+
+  loadCursor() {
+    if (!this.options.cursorFile)
+      return null;
+
+    let raw;
+
+    try {
+      raw = fs.readFileSync(this.options.cursorFile, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT')
+        return null;
+      throw e;
+    }
+
+    const cursor = parseInt(raw, 10);
+    assert((cursor >>> 0) === cursor, 'Invalid cursor file.');
+
+    return cursor;
+  }
+
+  saveCursor(sequence) {
+    if (sequence == null)
+      return;
+
+    // Replayed events may be older.
+    if (this.cursor != null && sequence <= this.cursor)
+      return;
+
+    this.cursor = sequence;
+    this.client.setCursor(sequence);
+
+    if (!this.options.cursorFile)
+      return;
+
+    try {
+      fs.writeFileSync(this.options.cursorFile, `${sequence}\n`);
+    } catch (e) {
+      this.logger.error(e);
+    }
+  }
+}
+
+class NotifierOptions {
+  constructor(options) {
+    this.client = null;
+    this.logger = Logger.global;
+    this.cursorFile = null;
+    this.queueFile = null;
+    this.retryInterval = null;
+    this.maxAttempts = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(options.client && typeof options.client === 'object',
+      'Notifier requires a client.');
+
+    this.client = options.client;
+
+    if (options.logger != null) {
+      assert(typeof options.logger === 'object');
+      this.logger = options.logger;
+    }
+
+    if (options.cursorFile != null) {
+      assert(typeof options.cursorFile === 'string');
+      this.cursorFile = options.cursorFile;
+    }
+
+    if (options.queueFile != null) {
+      assert(typeof options.queueFile === 'string');
+      this.queueFile = options.queueFile;
+    }
+
+    // Checked by the outbox.
+    if (options.retryInterval != null)
+      this.retryInterval = options.retryInterval;
+
+    if (options.maxAttempts != null)
+      this.maxAttempts = options.maxAttempts;
+
+    return this;
+  }
+}
+
+/*
+ * Expose
+ */
+
+Notifier.formats = formats;
+
+module.exports = Notifier;
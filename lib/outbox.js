@@ -0,0 +1,554 @@
+/*!
+ * outbox.js - outbound message queue for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const assert = require('bsert');
+const Logger = require('blgr');
+const {Lock} = require('bmutex');
+
+/*
+ * Constants
+ */
+
+const VERSION = 1;
+
+// The names listed in a summary.
+const SUMMARY_NAMES = 3;
+
+/**
+ * Outbox
+ * Queues the messages of the notifier for each
+ * target of a sink, like a chat or a channel, and
+ * sends them within the rate limit of the sink. A
+ * failed send is retried with exponential backoff,
+ * holding the later messages of the target back,
+ * while the other targets go on. When more messages
+ * are queued for a target than the sink collapses
+ * at, they are replaced with one summary message.
+ * The queues are kept in a file so they survive
+ * restarts, by the name of the sink and target.
+ * @extends EventEmitter
+ */
+
+class Outbox extends EventEmitter {
+  constructor(options) {
+    super();
+
+    this.options = new OutboxOptions(options);
+    this.logger = this.options.logger.context('outbox');
+
+    // Queue key -> {key, sink, target, entries, sent}.
+    this.queues = new Map();
+    this.locker = new Lock();
+    this.timer = null;
+    this.timerTime = -1;
+    this.closed = true;
+  }
+
+  /**
+   * Load the queued messages of the sinks
+   * and send the ones that are due.
+   * @param {Sink[]} sinks
+   * @returns {Promise}
+   */
+
+  async open(sinks) {
+    const names = new Map();
+
+    for (const sink of sinks) {
+      names.set(sink.name, sink);
+
+      for (const target of sink.getTargets())
+        this.getQueue(sink, target);
+    }
+
+    for (const [key, entries] of Object.entries(this.read())) {
+      const queue = this.queues.get(key);
+
+      if (queue) {
+        // The file has every queued message.
+        queue.entries = entries;
+        continue;
+      }
+
+      const sink = names.get(key);
+
+      // Queued for every target of the sink
+      // before each target had a queue.
+      if (sink) {
+        for (const entry of entries)
+          this.add(sink, entry);
+        continue;
+      }
+
+      this.logger.warning('Dropping %d queued messages of %s.',
+        entries.length, key);
+    }
+
+    this.write();
+
+    this.closed = false;
+    this.schedule(Date.now());
+  }
+
+  async close() {
+    this.closed = true;
+    this.clearTimer();
+
+    // Wait for the sends in flight.
+    const unlock = await this.locker.lock();
+    unlock();
+  }
+
+  /**
+   * Get the queue of a target of a sink.
+   * @private
+   * @param {Sink} sink
+   * @param {*} target
+   * @returns {Object}
+   */
+
+  getQueue(sink, target) {
+    const key = getKey(sink, target);
+
+    let queue = this.queues.get(key);
+
+    if (!queue) {
+      queue = {key, sink, target, entries: [], sent: []};
+      this.queues.set(key, queue);
+    }
+
+    queue.sink = sink;
+    queue.target = target;
+
+    return queue;
+  }
+
+  /**
+   * Queue an entry for the targets
+   * of a sink that the message is for.
+   * @private
+   * @param {Sink} sink
+   * @param {Object} entry
+   */
+
+  add(sink, entry) {
+    for (const target of sink.getTargets()) {
+      if (!sink.testTarget(target, entry.message))
+        continue;
+
+      this.getQueue(sink, target).entries.push({...entry});
+    }
+  }
+
+  /**
+   * Queue a message for every target of the enabled
+   * sinks and schedule a flush. The sends are not
+   * waited for, a slow sink does not hold the caller.
+   * @param {Sink[]} sinks
+   * @param {Object} message
+   * @returns {Promise}
+   */
+
+  async push(sinks, message) {
+    const time = Date.now();
+
+    for (const sink of sinks) {
+      if (!sink.enabled)
+        continue;
+
+      this.add(sink, {message, attempts: 0, time});
+    }
+
+    this.write();
+    this.schedule(time);
+  }
+
+  /**
+   * Send the messages that are due.
+   * @returns {Promise}
+   */
+
+  async flush() {
+    const unlock = await this.locker.lock();
+    try {
+      return await this._flush();
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Send the messages that are due
+   * and schedule the next attempt.
+   * @private
+   * @returns {Promise}
+   */
+
+  async _flush() {
+    let next = -1;
+
+    for (const queue of this.queues.values()) {
+      const time = await this.drain(queue);
+
+      if (time !== -1 && (next === -1 || time < next))
+        next = time;
+    }
+
+    if (next !== -1)
+      this.schedule(next);
+  }
+
+  /**
+   * Send the messages of a target until one
+   * is not due or the rate limit is hit.
+   * @private
+   * @param {Object} queue
+   * @returns {Promise} - Returns the time of the
+   * next attempt, -1 when the queue is empty.
+   */
+
+  async drain(queue) {
+    const {key, sink, target, entries} = queue;
+
+    while (entries.length > 0) {
+      if (!sink.enabled)
+        return -1;
+
+      // The sink was retargeted.
+      if (target != null && !sink.getTargets().includes(target)) {
+        this.logger.warning('Dropping %d queued messages of %s.',
+          entries.length, key);
+        entries.length = 0;
+        this.write();
+        return -1;
+      }
+
+      if (sink.collapse != null && entries.length > sink.collapse) {
+        const [first] = entries;
+        const message = summarize(entries.map(e => e.message));
+
+        this.logger.info('Collapsed %d messages of %s.',
+          entries.length, key);
+
+        // The summary keeps the backoff of the first.
+        entries.splice(0, entries.length, {...first, message});
+        this.write();
+      }
+
+      const now = Date.now();
+      const [entry] = entries;
+
+      if (entry.time > now)
+        return entry.time;
+
+      const limit = this.getRateTime(queue, now);
+
+      if (limit > now)
+        return limit;
+
+      try {
+        await sink.send(entry.message, target);
+      } catch (e) {
+        entry.attempts += 1;
+
+        this.logger.error('Sink %s failed (attempts=%d): %s.',
+          key, entry.attempts, e.message);
+
+        if (entry.attempts >= this.options.maxAttempts) {
+          this.logger.warning('Dropping %s message of %s.',
+            entry.message.event, key);
+          entries.shift();
+          this.write();
+          continue;
+        }
+
+        entry.time = now + this.getBackoff(entry.attempts);
+        this.write();
+
+        return entry.time;
+      }
+
+      entries.shift();
+      queue.sent.push(now);
+      this.write();
+
+      const {data} = entry.message;
+
+      this.logger.info('Success: %s %s %s',
+        key, entry.message.event, data.name || data.height || '');
+    }
+
+    return -1;
+  }
+
+  /**
+   * Get the time the rate limit of a sink
+   * allows the next message to a target.
+   * @private
+   * @param {Object} queue
+   * @param {Number} now - milliseconds
+   * @returns {Number} - milliseconds
+   */
+
+  getRateTime(queue, now) {
+    const {sink, sent} = queue;
+
+    while (sent.length > 0 && sent[0] <= now - sink.rateWindow)
+      sent.shift();
+
+    if (sink.rateLimit == null || sent.length < sink.rateLimit)
+      return now;
+
+    return sent[sent.length - sink.rateLimit] + sink.rateWindow;
+  }
+
+  /**
+   * Get the delay before the next attempt.
+   * @param {Number} attempts - failed attempts
+   * @returns {Number} - milliseconds
+   */
+
+  getBackoff(attempts) {
+    const {retryInterval, maxRetryInterval} = this.options;
+    const delay = retryInterval * Math.pow(2, attempts - 1);
+    return Math.min(delay, maxRetryInterval);
+  }
+
+  /**
+   * Schedule a flush, unless one
+   * is scheduled at or before time.
+   * @private
+   * @param {Number} time - milliseconds
+   */
+
+  schedule(time) {
+    if (this.closed)
+      return;
+
+    if (this.timer != null) {
+      if (this.timerTime <= time)
+        return;
+
+      this.clearTimer();
+    }
+
+    this.timerTime = time;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.timerTime = -1;
+      this.flush().catch(e => this.emit('error', e));
+    }, Math.max(0, time - Date.now()));
+  }
+
+  clearTimer() {
+    if (this.timer != null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.timerTime = -1;
+    }
+  }
+
+  /**
+   * Read the queued messages of the file.
+   * @private
+   * @returns {Object} - queue key -> entries
+   */
+
+  read() {
+    if (!this.options.file)
+      return {};
+
+    let raw;
+
+    try {
+      raw = fs.readFileSync(this.options.file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT')
+        return {};
+      throw e;
+    }
+
+    const json = JSON.parse(raw);
+
+    assert(json && json.version === VERSION, 'Invalid queue file.');
+    assert(json.queues && typeof json.queues === 'object');
+
+    for (const entries of Object.values(json.queues)) {
+      assert(Array.isArray(entries), 'Invalid queue file.');
+
+      for (const entry of entries) {
+        assert(entry.message && typeof entry.message.event === 'string');
+        assert((entry.attempts >>> 0) === entry.attempts);
+        assert(Number.isSafeInteger(entry.time));
+      }
+    }
+
+    return json.queues;
+  }
+
+  /**
+   * Write the queued messages to the file.
+   * @private
+   */
+
+  write() {
+    if (!this.options.file)
+      return;
+
+    const queues = {};
+
+    for (const [key, {entries}] of this.queues) {
+      if (entries.length > 0)
+        queues[key] = entries;
+    }
+
+    const tmp = `${this.options.file}.tmp`;
+
+    try {
+      fs.writeFileSync(tmp, JSON.stringify({version: VERSION, queues}));
+      fs.renameSync(tmp, this.options.file);
+    } catch (e) {
+      this.logger.error(e);
+    }
+  }
+}
+
+class OutboxOptions {
+  constructor(options) {
+    this.logger = Logger.global;
+    this.file = null;
+    this.retryInterval = 10000;
+    this.maxRetryInterval = 60 * 60 * 1000;
+    this.maxAttempts = 10;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    if (options.logger != null) {
+      assert(typeof options.logger === 'object');
+      this.logger = options.logger;
+    }
+
+    if (options.file != null) {
+      assert(typeof options.file === 'string');
+      this.file = options.file;
+    }
+
+    if (options.retryInterval != null) {
+      assert((options.retryInterval >>> 0) === options.retryInterval);
+      this.retryInterval = options.retryInterval;
+    }
+
+    if (options.maxRetryInterval != null) {
+      assert((options.maxRetryInterval >>> 0) === options.maxRetryInterval);
+      this.maxRetryInterval = options.maxRetryInterval;
+    }
+
+    if (options.maxAttempts != null) {
+      assert((options.maxAttempts >>> 0) === options.maxAttempts
+        && options.maxAttempts > 0,
+        'Maximum attempts must be a positive integer.');
+      this.maxAttempts = options.maxAttempts;
+    }
+
+    return this;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+/**
+ * Get the key of the queue of a target, the name
+ * of the sink for a sink with one target.
+ * @param {Sink} sink
+ * @param {*} target
+ * @returns {String}
+ */
+
+function getKey(sink, target) {
+  if (target == null)
+    return sink.name;
+
+  return `${sink.name}:${target}`;
+}
+
+/**
+ * Collapse messages into one summary
+ * with the count of every event.
+ * @param {Object[]} messages
+ * @returns {Object}
+ */
+
+function summarize(messages) {
+  const data = {count: 0, events: {}, names: []};
+
+  const add = (event, count) => {
+    data.count += count;
+    data.events[event] = (data.events[event] || 0) + count;
+  };
+
+  const addName = (name) => {
+    if (name && !data.names.includes(name))
+      data.names.push(name);
+  };
+
+  for (const message of messages) {
+    // A summary queued behind a failed send.
+    if (message.event === 'summary') {
+      for (const [event, count] of Object.entries(message.data.events))
+        add(event, count);
+
+      message.data.names.forEach(addName);
+      continue;
+    }
+
+    add(message.event, 1);
+    addName(message.data.name);
+  }
+
+  return {
+    event: 'summary',
+    text: formatSummary(data),
+    data
+  };
+}
+
+function formatSummary(data) {
+  const events = Object.entries(data.events)
+    .map(([event, count]) => `${count} ${event}`);
+
+  const lines = [
+    `📦 ${data.count} Auction Events`,
+    events.join(', ')
+  ];
+
+  if (data.names.length > 0) {
+    const names = data.names.slice(0, SUMMARY_NAMES).map(n => `.${n}`);
+
+    if (data.names.length > SUMMARY_NAMES)
+      names.push('and more');
+
+    lines.push(names.join(' '));
+  }
+
+  return lines.join('\n');
+}
+
+/*
+ * Expose
+ */
+
+Outbox.summarize = summarize;
+
+module.exports = Outbox;
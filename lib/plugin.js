@@ -10,12 +10,23 @@
 const Validator = require('bval');
 const AuctionDB = require('./auctiondb');
 const HTTP = require('./http');
+const Scheduler = require('./scheduler');
+const Webhooks = require('./webhooks');
 
 /**
  * Adds endpoints to the node http server
  *
  * GET /auction-notify
+ * GET /auction-notify/opens
+ * GET /auction-notify/claims
+ * GET /auction-notify/auctions
+ * GET /auction-notify/stats
+ * GET /auction-notify/digest
  * GET /auction-notify/name/:name
+ * GET /auction-notify/name/:name/history
+ * POST /auction-notify/rescan
+ * GET /auction-notify/configure
+ * POST /auction-notify/configure
  *
  */
 
@@ -47,17 +58,37 @@ class Plugin extends EventEmitter {
     this.config = node.config;
     this.network = decorate(node.network);
     this.logger = node.logger.context('auction-notify');
+    this.reindex = this.config.bool('auction-notify-reindex', false);
 
     this.adb = new AuctionDB({
+      network: this.network,
       memory: this.config.bool('memory', node.config.bool('memory')),
       prefix: this.config.prefix,
       location: this.config.str('location', node.config.bool('location')),
       logger: this.logger
     });
 
+    this.scheduler = new Scheduler({
+      adb: this.adb,
+      network: this.network,
+      biddingWarnings: this.config.array('auction-notify-bidding-warnings'),
+      revealWarnings: this.config.array('auction-notify-reveal-warnings')
+    });
+
+    this.webhooks = new Webhooks({
+      adb: this.adb,
+      network: this.network,
+      logger: this.logger,
+      timeout: this.config.uint('auction-notify-webhook-timeout'),
+      retryInterval: this.config.uint('auction-notify-webhook-retry-interval'),
+      maxAttempts: this.config.uint('auction-notify-webhook-max-attempts')
+    });
+
     this.http = new HTTP({
       node: this.node,
       adb: this.adb,
+      scheduler: this.scheduler,
+      webhooks: this.webhooks,
       logger: this.logger,
       network: node.network,
       logger: node.logger.context('auction-notify-http'),
@@ -69,7 +100,9 @@ class Plugin extends EventEmitter {
       port: this.config.uint('auction-notify-http-port', this.network.auctionNotifyPort),
       apiKey: this.config.str('auction-notify-api-key', this.config.str('apikey')),
       noAuth: this.config.bool('auction-notify-no-auth', this.config.bool('no-auth')),
-      cors: this.config.bool('auction-notify-cors', this.config.bool('cors'))
+      cors: this.config.bool('auction-notify-cors', this.config.bool('cors')),
+      eventBlocks: this.config.uint('auction-notify-event-blocks'),
+      logThreshold: this.config.uint('auction-notify-log-threshold')
     });
 
     this.init();
@@ -78,14 +111,29 @@ class Plugin extends EventEmitter {
   init() {
     this.adb.on('error', error => this.node.error(error));
     this.http.on('error', error => this.node.error(error));
+    this.webhooks.on('error', error => this.node.error(error));
   }
 
   async open() {
     await this.http.open();
     await this.adb.open();
+    await this.http.loadSettings();
+    await this.webhooks.open();
+
+    // The index is rebuilt in the background.
+    if (this.reindex) {
+      await this.http.rescan(0);
+      return;
+    }
+
+    // Index any blocks connected
+    // while the plugin was not running.
+    await this.http.syncChain();
   }
 
   async close() {
+    await this.http.stopRescan();
+    await this.webhooks.close();
     await this.adb.close();
     await this.http.close();
   }
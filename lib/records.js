@@ -0,0 +1,1099 @@
+/*!
+ * records.js - database records for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const bio = require('bufio');
+const BN = require('bcrypto/lib/bn');
+const consensus = require('hsd/lib/protocol/consensus');
+const Outpoint = require('hsd/lib/primitives/outpoint');
+const {typesByVal} = require('hsd/lib/covenants/rules');
+const {getEventValue} = require('./util');
+
+/**
+ * Block Undo
+ * Everything that a block added to the index,
+ * used to unindex the block when it is disconnected
+ * or removed by a chain reset.
+ */
+
+class BlockUndo extends bio.Struct {
+  constructor() {
+    super();
+    this.items = [];
+  }
+
+  isEmpty() {
+    return this.items.length === 0;
+  }
+
+  /**
+   * Push an indexed covenant.
+   * @param {Number} type - covenant type
+   * @param {String} name
+   * @param {Object} outpoint
+   * @param {Number} value
+   */
+
+  push(type, name, outpoint, value) {
+    assert((type & 0xff) === type);
+    assert(typeof name === 'string');
+    assert(Buffer.isBuffer(outpoint.hash));
+    assert((outpoint.index >>> 0) === outpoint.index);
+    assert(Number.isSafeInteger(value) && value >= 0);
+
+    this.items.push({
+      type,
+      name,
+      outpoint: {
+        hash: outpoint.hash,
+        index: outpoint.index
+      },
+      value
+    });
+  }
+
+  getSize() {
+    let size = 4;
+
+    for (const {name} of this.items)
+      size += 1 + 1 + name.length + 32 + 4 + 8;
+
+    return size;
+  }
+
+  write(bw) {
+    bw.writeU32(this.items.length);
+
+    for (const {type, name, outpoint, value} of this.items) {
+      bw.writeU8(type);
+      bw.writeU8(name.length);
+      bw.writeString(name, 'ascii');
+      bw.writeHash(outpoint.hash);
+      bw.writeU32(outpoint.index);
+      bw.writeU64(value);
+    }
+
+    return bw;
+  }
+
+  read(br) {
+    const count = br.readU32();
+
+    for (let i = 0; i < count; i++) {
+      const type = br.readU8();
+      const name = br.readString(br.readU8(), 'ascii');
+      const hash = br.readHash();
+      const index = br.readU32();
+      const value = br.readU64();
+
+      this.items.push({type, name, outpoint: {hash, index}, value});
+    }
+
+    return this;
+  }
+}
+
+/**
+ * Bid Record
+ * The value of a BID record, with the open height
+ * of its auction. The outpoint is part of the key
+ * and is set when it is read.
+ */
+
+class BidRecord extends bio.Struct {
+  constructor() {
+    super();
+    this.hash = null;
+    this.index = 0;
+    this.lockup = 0;
+    this.height = 0;
+    this.open = 0;
+    this.address = Buffer.alloc(0);
+  }
+
+  fromOptions(options) {
+    assert(options);
+
+    if (options.hash != null) {
+      assert(Buffer.isBuffer(options.hash));
+      this.hash = options.hash;
+    }
+
+    if (options.index != null) {
+      assert((options.index >>> 0) === options.index);
+      this.index = options.index;
+    }
+
+    if (options.lockup != null) {
+      assert(Number.isSafeInteger(options.lockup) && options.lockup >= 0);
+      this.lockup = options.lockup;
+    }
+
+    if (options.height != null) {
+      assert((options.height >>> 0) === options.height);
+      this.height = options.height;
+    }
+
+    if (options.open != null) {
+      assert((options.open >>> 0) === options.open);
+      this.open = options.open;
+    }
+
+    if (options.address != null) {
+      assert(Buffer.isBuffer(options.address));
+      assert(options.address.length <= 40);
+      this.address = options.address;
+    }
+
+    return this;
+  }
+
+  getSize() {
+    return 8 + 4 + 4 + 1 + this.address.length;
+  }
+
+  write(bw) {
+    bw.writeU64(this.lockup);
+    bw.writeU32(this.height);
+    bw.writeU32(this.open);
+    bw.writeU8(this.address.length);
+    bw.writeBytes(this.address);
+    return bw;
+  }
+
+  read(br) {
+    this.lockup = br.readU64();
+    this.height = br.readU32();
+    this.open = br.readU32();
+    this.address = br.readBytes(br.readU8());
+    return this;
+  }
+
+  getJSON() {
+    return {
+      hash: this.hash ? this.hash.toString('hex') : null,
+      index: this.index,
+      lockup: this.lockup,
+      height: this.height,
+      open: this.open,
+      addressHash: this.address.toString('hex')
+    };
+  }
+}
+
+/**
+ * Reveal Record
+ * The value of a REVEAL record, with the outpoint
+ * and lockup of the bid that it reveals.
+ */
+
+class RevealRecord extends BidRecord {
+  constructor() {
+    super();
+    this.value = 0;
+    this.bid = new Outpoint();
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    if (options.value != null) {
+      assert(Number.isSafeInteger(options.value) && options.value >= 0);
+      this.value = options.value;
+    }
+
+    if (options.bid != null) {
+      assert(Buffer.isBuffer(options.bid.hash));
+      assert((options.bid.index >>> 0) === options.bid.index);
+      this.bid = new Outpoint(options.bid.hash, options.bid.index);
+    }
+
+    return this;
+  }
+
+  getSize() {
+    return 8 + 36 + super.getSize();
+  }
+
+  write(bw) {
+    bw.writeU64(this.value);
+    this.bid.write(bw);
+    return super.write(bw);
+  }
+
+  read(br) {
+    this.value = br.readU64();
+    this.bid.read(br);
+    return super.read(br);
+  }
+
+  getJSON() {
+    const json = super.getJSON();
+    json.value = this.value;
+    json.bid = {
+      hash: this.bid.hash.toString('hex'),
+      index: this.bid.index
+    };
+    return json;
+  }
+}
+
+/**
+ * Claim Record
+ * A reserved name claimed in a coinbase. The
+ * name and height are part of the key.
+ */
+
+class ClaimRecord extends bio.Struct {
+  constructor() {
+    super();
+    this.name = '';
+    this.height = 0;
+    this.hash = consensus.ZERO_HASH;
+    this.index = 0;
+    this.value = 0;
+    this.commitHeight = 0;
+  }
+
+  fromOptions(options) {
+    assert(options);
+
+    if (options.name != null) {
+      assert(typeof options.name === 'string');
+      this.name = options.name;
+    }
+
+    if (options.height != null) {
+      assert((options.height >>> 0) === options.height);
+      this.height = options.height;
+    }
+
+    if (options.hash != null) {
+      assert(Buffer.isBuffer(options.hash));
+      this.hash = options.hash;
+    }
+
+    if (options.index != null) {
+      assert((options.index >>> 0) === options.index);
+      this.index = options.index;
+    }
+
+    if (options.value != null) {
+      assert(Number.isSafeInteger(options.value) && options.value >= 0);
+      this.value = options.value;
+    }
+
+    if (options.commitHeight != null) {
+      assert((options.commitHeight >>> 0) === options.commitHeight);
+      this.commitHeight = options.commitHeight;
+    }
+
+    return this;
+  }
+
+  getSize() {
+    return 32 + 4 + 8 + 4;
+  }
+
+  write(bw) {
+    bw.writeHash(this.hash);
+    bw.writeU32(this.index);
+    bw.writeU64(this.value);
+    bw.writeU32(this.commitHeight);
+    return bw;
+  }
+
+  read(br) {
+    this.hash = br.readHash();
+    this.index = br.readU32();
+    this.value = br.readU64();
+    this.commitHeight = br.readU32();
+    return this;
+  }
+
+  getJSON() {
+    return {
+      name: this.name,
+      height: this.height,
+      hash: this.hash.toString('hex'),
+      index: this.index,
+      value: this.value,
+      commitHeight: this.commitHeight
+    };
+  }
+}
+
+/**
+ * History Record
+ * A covenant in the history of a name. The name,
+ * height and outpoint are part of the key.
+ */
+
+class HistoryRecord extends bio.Struct {
+  constructor() {
+    super();
+    this.name = '';
+    this.height = 0;
+    this.hash = consensus.ZERO_HASH;
+    this.index = 0;
+    this.type = 0;
+    this.value = 0;
+  }
+
+  fromOptions(options) {
+    assert(options);
+
+    if (options.name != null) {
+      assert(typeof options.name === 'string');
+      this.name = options.name;
+    }
+
+    if (options.height != null) {
+      assert((options.height >>> 0) === options.height);
+      this.height = options.height;
+    }
+
+    if (options.hash != null) {
+      assert(Buffer.isBuffer(options.hash));
+      this.hash = options.hash;
+    }
+
+    if (options.index != null) {
+      assert((options.index >>> 0) === options.index);
+      this.index = options.index;
+    }
+
+    if (options.type != null) {
+      assert((options.type & 0xff) === options.type);
+      this.type = options.type;
+    }
+
+    if (options.value != null) {
+      assert(Number.isSafeInteger(options.value) && options.value >= 0);
+      this.value = options.value;
+    }
+
+    return this;
+  }
+
+  getSize() {
+    return 1 + 8;
+  }
+
+  write(bw) {
+    bw.writeU8(this.type);
+    bw.writeU64(this.value);
+    return bw;
+  }
+
+  read(br) {
+    this.type = br.readU8();
+    this.value = br.readU64();
+    return this;
+  }
+
+  getJSON() {
+    return {
+      name: this.name,
+      height: this.height,
+      hash: this.hash.toString('hex'),
+      index: this.index,
+      type: typesByVal[this.type],
+      value: this.value
+    };
+  }
+}
+
+/**
+ * Auction Record
+ * The bids and reveals in the auction for a name.
+ * The open height and name are part of the key.
+ */
+
+class AuctionRecord extends bio.Struct {
+  constructor() {
+    super();
+    this.name = '';
+    this.height = 0;
+    this.bids = 0;
+    this.reveals = 0;
+    this.lockup = 0;
+  }
+
+  fromOptions(options) {
+    assert(options);
+
+    if (options.name != null) {
+      assert(typeof options.name === 'string');
+      this.name = options.name;
+    }
+
+    if (options.height != null) {
+      assert((options.height >>> 0) === options.height);
+      this.height = options.height;
+    }
+
+    if (options.bids != null) {
+      assert((options.bids >>> 0) === options.bids);
+      this.bids = options.bids;
+    }
+
+    if (options.reveals != null) {
+      assert((options.reveals >>> 0) === options.reveals);
+      this.reveals = options.reveals;
+    }
+
+    if (options.lockup != null) {
+      assert(Number.isSafeInteger(options.lockup) && options.lockup >= 0);
+      this.lockup = options.lockup;
+    }
+
+    return this;
+  }
+
+  getSize() {
+    return 4 + 4 + 8;
+  }
+
+  write(bw) {
+    bw.writeU32(this.bids);
+    bw.writeU32(this.reveals);
+    bw.writeU64(this.lockup);
+    return bw;
+  }
+
+  read(br) {
+    this.bids = br.readU32();
+    this.reveals = br.readU32();
+    this.lockup = br.readU64();
+    return this;
+  }
+
+  getJSON() {
+    return {
+      name: this.name,
+      height: this.height,
+      bids: this.bids,
+      reveals: this.reveals,
+      lockup: this.lockup
+    };
+  }
+}
+
+/**
+ * Stats Record
+ * Totals for one or more blocks. Counts are 32 bit,
+ * amounts are exact 64 bit integers.
+ */
+
+class StatsRecord extends bio.Struct {
+  constructor() {
+    super();
+    this.blocks = 0;
+    this.counts = {};
+    this.amounts = {};
+
+    for (const key of StatsRecord.counts)
+      this.counts[key] = 0;
+
+    for (const key of StatsRecord.amounts)
+      this.amounts[key] = new BN(0);
+  }
+
+  /**
+   * Inject the stats of a connected block.
+   * @param {Object} stats - block stats
+   * @returns {StatsRecord}
+   */
+
+  fromStats(stats) {
+    assert(stats && typeof stats === 'object');
+
+    this.blocks = 1;
+
+    for (const key of StatsRecord.counts) {
+      assert((stats[key] >>> 0) === stats[key]);
+      this.counts[key] = stats[key];
+    }
+
+    for (const key of StatsRecord.amounts) {
+      assert(Number.isSafeInteger(stats[key]) && stats[key] >= 0);
+      this.amounts[key] = new BN(stats[key]);
+    }
+
+    return this;
+  }
+
+  static fromStats(stats) {
+    return new this().fromStats(stats);
+  }
+
+  /**
+   * Add the totals of another record.
+   * @param {StatsRecord} stats
+   * @returns {StatsRecord}
+   */
+
+  add(stats) {
+    assert(stats instanceof StatsRecord);
+
+    this.blocks += stats.blocks;
+
+    for (const key of StatsRecord.counts)
+      this.counts[key] += stats.counts[key];
+
+    for (const key of StatsRecord.amounts)
+      this.amounts[key].iadd(stats.amounts[key]);
+
+    return this;
+  }
+
+  /**
+   * Subtract the totals of another record.
+   * @param {StatsRecord} stats
+   * @returns {StatsRecord}
+   */
+
+  sub(stats) {
+    assert(stats instanceof StatsRecord);
+    assert(this.blocks >= stats.blocks);
+
+    this.blocks -= stats.blocks;
+
+    for (const key of StatsRecord.counts) {
+      assert(this.counts[key] >= stats.counts[key]);
+      this.counts[key] -= stats.counts[key];
+    }
+
+    for (const key of StatsRecord.amounts) {
+      this.amounts[key].isub(stats.amounts[key]);
+      assert(!this.amounts[key].isNeg());
+    }
+
+    return this;
+  }
+
+  getSize() {
+    return 4
+      + StatsRecord.counts.length * 4
+      + StatsRecord.amounts.length * 8;
+  }
+
+  write(bw) {
+    bw.writeU32(this.blocks);
+
+    for (const key of StatsRecord.counts)
+      bw.writeU32(this.counts[key]);
+
+    for (const key of StatsRecord.amounts)
+      bw.writeBytes(this.amounts[key].encode('le', 8));
+
+    return bw;
+  }
+
+  read(br) {
+    this.blocks = br.readU32();
+
+    for (const key of StatsRecord.counts)
+      this.counts[key] = br.readU32();
+
+    for (const key of StatsRecord.amounts)
+      this.amounts[key] = BN.decode(br.readBytes(8), 'le');
+
+    return this;
+  }
+
+  getJSON() {
+    const json = {
+      blocks: this.blocks
+    };
+
+    for (const key of StatsRecord.counts)
+      json[key] = this.counts[key];
+
+    // Amounts are strings so they stay exact.
+    for (const key of StatsRecord.amounts)
+      json[key] = this.amounts[key].toString(10);
+
+    return json;
+  }
+}
+
+StatsRecord.counts = [
+  'txCount',
+  'opens',
+  'bids',
+  'reveals',
+  'registers',
+  'updates',
+  'renewals',
+  'transfers',
+  'finalizes',
+  'redeems',
+  'claims',
+  'airdrops',
+  'burned'
+];
+
+StatsRecord.amounts = [
+  'inflation',
+  'transferredValue',
+  'lockedUpValue',
+  'burnedValue'
+];
+
+/**
+ * Block Stats Record
+ * The stats of a single block, with the block
+ * time used to roll it into time windows. The
+ * height is part of the key.
+ */
+
+class BlockStatsRecord extends StatsRecord {
+  constructor() {
+    super();
+    this.height = 0;
+    this.time = 0;
+  }
+
+  fromStats(stats, time) {
+    super.fromStats(stats);
+
+    assert((stats.height >>> 0) === stats.height);
+    assert(Number.isSafeInteger(time) && time >= 0);
+
+    this.height = stats.height;
+    this.time = time;
+
+    return this;
+  }
+
+  static fromStats(stats, time) {
+    return new this().fromStats(stats, time);
+  }
+
+  getSize() {
+    return 8 + super.getSize();
+  }
+
+  write(bw) {
+    bw.writeU64(this.time);
+    return super.write(bw);
+  }
+
+  read(br) {
+    this.time = br.readU64();
+    return super.read(br);
+  }
+
+  getJSON() {
+    return {
+      height: this.height,
+      time: this.time,
+      ...super.getJSON()
+    };
+  }
+}
+
+/**
+ * Settings Record
+ * The notification settings set with the
+ * configure endpoint. Events are enabled and
+ * have no threshold unless they are set.
+ * Webhook filters are stored as their JSON.
+ */
+
+class SettingsRecord extends bio.Struct {
+  constructor() {
+    super();
+    this.events = new Map();
+    this.thresholds = new Map();
+    this.sinks = new Map();
+    this.webhooks = new Map();
+  }
+
+  /**
+   * Test whether an event is enabled and its
+   * value is at or above the threshold.
+   * @param {String} event
+   * @param {Object} data
+   * @returns {Boolean}
+   */
+
+  test(event, data) {
+    if (this.events.get(event) === false)
+      return false;
+
+    const threshold = this.thresholds.get(event);
+    const value = getEventValue(data);
+
+    if (threshold == null || value == null)
+      return true;
+
+    return value >= threshold;
+  }
+
+  setEvent(event, enabled) {
+    assert(typeof event === 'string');
+
+    if (enabled == null) {
+      this.events.delete(event);
+      return;
+    }
+
+    assert(typeof enabled === 'boolean');
+    this.events.set(event, enabled);
+  }
+
+  setThreshold(event, value) {
+    assert(typeof event === 'string');
+
+    if (value == null) {
+      this.thresholds.delete(event);
+      return;
+    }
+
+    assert(Number.isSafeInteger(value) && value >= 0);
+    this.thresholds.set(event, value);
+  }
+
+  setSink(name, sink) {
+    assert(typeof name === 'string');
+
+    if (sink == null) {
+      this.sinks.delete(name);
+      return;
+    }
+
+    assert(typeof sink.enabled === 'boolean');
+    assert(typeof sink.target === 'string');
+    this.sinks.set(name, {enabled: sink.enabled, target: sink.target});
+  }
+
+  setWebhook(name, hook) {
+    assert(typeof name === 'string');
+
+    if (hook == null) {
+      this.webhooks.delete(name);
+      return;
+    }
+
+    assert(typeof hook.enabled === 'boolean');
+    assert(typeof hook.url === 'string');
+    assert(typeof hook.secret === 'string');
+    assert(hook.filters === null || Array.isArray(hook.filters));
+
+    this.webhooks.set(name, {
+      enabled: hook.enabled,
+      url: hook.url,
+      secret: hook.secret,
+      filters: hook.filters
+    });
+  }
+
+  getSize() {
+    let size = 0;
+
+    size += bio.sizeVarint(this.events.size);
+    for (const event of this.events.keys())
+      size += bio.sizeVarString(event, 'ascii') + 1;
+
+    size += bio.sizeVarint(this.thresholds.size);
+    for (const event of this.thresholds.keys())
+      size += bio.sizeVarString(event, 'ascii') + 8;
+
+    size += bio.sizeVarint(this.sinks.size);
+    for (const [name, sink] of this.sinks) {
+      size += bio.sizeVarString(name, 'ascii') + 1;
+      size += bio.sizeVarString(sink.target, 'utf8');
+    }
+
+    size += bio.sizeVarint(this.webhooks.size);
+    for (const [name, hook] of this.webhooks) {
+      size += bio.sizeVarString(name, 'ascii') + 1;
+      size += bio.sizeVarString(hook.url, 'utf8');
+      size += bio.sizeVarString(hook.secret, 'utf8');
+      size += bio.sizeVarString(JSON.stringify(hook.filters), 'utf8');
+    }
+
+    return size;
+  }
+
+  write(bw) {
+    bw.writeVarint(this.events.size);
+    for (const [event, enabled] of this.events) {
+      bw.writeVarString(event, 'ascii');
+      bw.writeU8(enabled ? 1 : 0);
+    }
+
+    bw.writeVarint(this.thresholds.size);
+    for (const [event, value] of this.thresholds) {
+      bw.writeVarString(event, 'ascii');
+      bw.writeU64(value);
+    }
+
+    bw.writeVarint(this.sinks.size);
+    for (const [name, sink] of this.sinks) {
+      bw.writeVarString(name, 'ascii');
+      bw.writeU8(sink.enabled ? 1 : 0);
+      bw.writeVarString(sink.target, 'utf8');
+    }
+
+    bw.writeVarint(this.webhooks.size);
+    for (const [name, hook] of this.webhooks) {
+      bw.writeVarString(name, 'ascii');
+      bw.writeU8(hook.enabled ? 1 : 0);
+      bw.writeVarString(hook.url, 'utf8');
+      bw.writeVarString(hook.secret, 'utf8');
+      bw.writeVarString(JSON.stringify(hook.filters), 'utf8');
+    }
+
+    return bw;
+  }
+
+  read(br) {
+    for (let i = br.readVarint(); i > 0; i--) {
+      const event = br.readVarString('ascii');
+      this.events.set(event, br.readU8() === 1);
+    }
+
+    for (let i = br.readVarint(); i > 0; i--) {
+      const event = br.readVarString('ascii');
+      this.thresholds.set(event, br.readU64());
+    }
+
+    for (let i = br.readVarint(); i > 0; i--) {
+      const name = br.readVarString('ascii');
+      const enabled = br.readU8() === 1;
+      const target = br.readVarString('utf8');
+      this.sinks.set(name, {enabled, target});
+    }
+
+    for (let i = br.readVarint(); i > 0; i--) {
+      const name = br.readVarString('ascii');
+      const enabled = br.readU8() === 1;
+      const url = br.readVarString('utf8');
+      const secret = br.readVarString('utf8');
+      const filters = JSON.parse(br.readVarString('utf8'));
+      this.webhooks.set(name, {enabled, url, secret, filters});
+    }
+
+    return this;
+  }
+
+  getJSON() {
+    const sinks = {};
+    const webhooks = {};
+
+    for (const [name, sink] of this.sinks)
+      sinks[name] = {enabled: sink.enabled, target: sink.target};
+
+    // The secrets are never returned.
+    for (const [name, hook] of this.webhooks) {
+      webhooks[name] = {
+        enabled: hook.enabled,
+        url: hook.url,
+        filters: hook.filters
+      };
+    }
+
+    return {
+      events: Object.fromEntries(this.events),
+      thresholds: Object.fromEntries(this.thresholds),
+      sinks,
+      webhooks
+    };
+  }
+}
+
+/**
+ * Event Record
+ * An event in the event log, with the JSON
+ * that was relayed to the websockets. The
+ * sequence number is part of the key.
+ */
+
+class EventRecord extends bio.Struct {
+  constructor() {
+    super();
+    this.sequence = 0;
+    this.height = 0;
+    this.event = '';
+    this.data = null;
+  }
+
+  fromOptions(options) {
+    assert(options);
+
+    if (options.sequence != null) {
+      assert((options.sequence >>> 0) === options.sequence);
+      this.sequence = options.sequence;
+    }
+
+    if (options.height != null) {
+      assert((options.height >>> 0) === options.height);
+      this.height = options.height;
+    }
+
+    if (options.event != null) {
+      assert(typeof options.event === 'string');
+      this.event = options.event;
+    }
+
+    if (options.data !== undefined)
+      this.data = options.data;
+
+    return this;
+  }
+
+  getSize() {
+    const data = JSON.stringify(this.data);
+    return 4
+      + bio.sizeVarString(this.event, 'ascii')
+      + bio.sizeVarString(data, 'utf8');
+  }
+
+  write(bw) {
+    bw.writeU32(this.height);
+    bw.writeVarString(this.event, 'ascii');
+    bw.writeVarString(JSON.stringify(this.data), 'utf8');
+    return bw;
+  }
+
+  read(br) {
+    this.height = br.readU32();
+    this.event = br.readVarString('ascii');
+    this.data = JSON.parse(br.readVarString('utf8'));
+    return this;
+  }
+
+  getJSON() {
+    return {
+      sequence: this.sequence,
+      height: this.height,
+      event: this.event,
+      data: this.data
+    };
+  }
+}
+
+/**
+ * Delivery Record
+ * An event queued for delivery to a webhook,
+ * with the number of failed attempts and the
+ * time of the next attempt in milliseconds.
+ * The id is part of the key.
+ */
+
+class DeliveryRecord extends bio.Struct {
+  constructor() {
+    super();
+    this.id = 0;
+    this.hook = '';
+    this.event = '';
+    this.sequence = 0;
+    this.attempts = 0;
+    this.time = 0;
+    this.data = null;
+  }
+
+  fromOptions(options) {
+    assert(options);
+
+    if (options.id != null) {
+      assert((options.id >>> 0) === options.id);
+      this.id = options.id;
+    }
+
+    if (options.hook != null) {
+      assert(typeof options.hook === 'string');
+      this.hook = options.hook;
+    }
+
+    if (options.event != null) {
+      assert(typeof options.event === 'string');
+      this.event = options.event;
+    }
+
+    if (options.sequence != null) {
+      assert((options.sequence >>> 0) === options.sequence);
+      this.sequence = options.sequence;
+    }
+
+    if (options.attempts != null) {
+      assert((options.attempts >>> 0) === options.attempts);
+      this.attempts = options.attempts;
+    }
+
+    if (options.time != null) {
+      assert(Number.isSafeInteger(options.time) && options.time >= 0);
+      this.time = options.time;
+    }
+
+    if (options.data !== undefined)
+      this.data = options.data;
+
+    return this;
+  }
+
+  getSize() {
+    const data = JSON.stringify(this.data);
+    return bio.sizeVarString(this.hook, 'ascii')
+      + bio.sizeVarString(this.event, 'ascii')
+      + 16
+      + bio.sizeVarString(data, 'utf8');
+  }
+
+  write(bw) {
+    bw.writeVarString(this.hook, 'ascii');
+    bw.writeVarString(this.event, 'ascii');
+    bw.writeU32(this.sequence);
+    bw.writeU32(this.attempts);
+    bw.writeU64(this.time);
+    bw.writeVarString(JSON.stringify(this.data), 'utf8');
+    return bw;
+  }
+
+  read(br) {
+    this.hook = br.readVarString('ascii');
+    this.event = br.readVarString('ascii');
+    this.sequence = br.readU32();
+    this.attempts = br.readU32();
+    this.time = br.readU64();
+    this.data = JSON.parse(br.readVarString('utf8'));
+    return this;
+  }
+
+  getJSON() {
+    return {
+      id: this.id,
+      hook: this.hook,
+      event: this.event,
+      sequence: this.sequence,
+      attempts: this.attempts,
+      time: this.time,
+      data: this.data
+    };
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.BlockUndo = BlockUndo;
+exports.BidRecord = BidRecord;
+exports.RevealRecord = RevealRecord;
+exports.ClaimRecord = ClaimRecord;
+exports.HistoryRecord = HistoryRecord;
+exports.AuctionRecord = AuctionRecord;
+exports.StatsRecord = StatsRecord;
+exports.BlockStatsRecord = BlockStatsRecord;
+exports.SettingsRecord = SettingsRecord;
+exports.EventRecord = EventRecord;
+exports.DeliveryRecord = DeliveryRecord;
@@ -0,0 +1,167 @@
+/*!
+ * scheduler.js - auction phase scheduler for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const Network = require('hsd/lib/protocol/network');
+const {getAuctionPeriods, getVickrey} = require('./util');
+
+/**
+ * Scheduler
+ * Finds the auctions that change phase at a height.
+ * Auctions are tracked by their open height in the
+ * AuctionDB, so the phases of every active auction
+ * are known from the height alone and survive
+ * restarts and reorgs.
+ */
+
+class Scheduler {
+  constructor(options) {
+    this.options = new SchedulerOptions(options);
+    this.adb = this.options.adb;
+    this.network = this.options.network;
+    this.biddingWarnings = this.options.biddingWarnings;
+    this.revealWarnings = this.options.revealWarnings;
+  }
+
+  /**
+   * Get the phase events for the block at height.
+   * @param {Number} height
+   * @returns {Promise} - Returns [event, data][].
+   */
+
+  async getEvents(height) {
+    assert((height >>> 0) === height);
+
+    const {treeInterval, biddingPeriod, revealPeriod} = this.network.names;
+    const revealStart = treeInterval + 1 + biddingPeriod;
+    const revealEnd = revealStart + revealPeriod;
+    const events = [];
+
+    for (const blocks of this.biddingWarnings)
+      await this.push(events, 'bidding closing', height, revealStart, blocks);
+
+    await this.push(events, 'reveal started', height, revealStart, 0);
+
+    for (const blocks of this.revealWarnings)
+      await this.push(events, 'reveal closing', height, revealEnd, blocks);
+
+    await this.push(events, 'auction closed', height, revealEnd, 0);
+
+    return events;
+  }
+
+  /**
+   * Push an event for every auction with
+   * a phase ending in a number of blocks.
+   * @private
+   * @param {Array} events
+   * @param {String} event
+   * @param {Number} height
+   * @param {Number} end - end of the phase after the open
+   * @param {Number} blocks - blocks remaining in the phase
+   * @returns {Promise}
+   */
+
+  async push(events, event, height, end, blocks) {
+    const open = height + blocks - end;
+
+    if (open < 0 || open > height)
+      return;
+
+    for (const {name} of await this.adb.getOpens(open, open)) {
+      const auction = await this.getAuction(name, open);
+      events.push([event, {name, height, blocksRemaining: blocks, ...auction}]);
+    }
+  }
+
+  /**
+   * Get the state of the auction for
+   * a name opened at height.
+   * @param {String} name
+   * @param {Number} open - open height
+   * @returns {Promise} - Returns Object.
+   */
+
+  async getAuction(name, open) {
+    const periods = getAuctionPeriods(open, this.network);
+    const auction = await this.adb.getAuction(name, open);
+
+    // Skip reveals from an earlier auction.
+    const reveals = await this.adb.getReveals(name);
+    const current = reveals.filter(r => r.open === open);
+    const {highest, second, price} = getVickrey(current);
+
+    return {
+      openHeight: open,
+      ...periods,
+      bids: auction ? auction.bids : 0,
+      reveals: auction ? auction.reveals : 0,
+      lockup: auction ? auction.lockup : 0,
+      highest,
+      secondHighest: second,
+      price
+    };
+  }
+}
+
+class SchedulerOptions {
+  constructor(options) {
+    this.adb = null;
+    this.network = Network.primary;
+    this.biddingWarnings = [10];
+    this.revealWarnings = [10];
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(options.adb && typeof options.adb === 'object',
+      'Scheduler requires AuctionDB.');
+
+    this.adb = options.adb;
+
+    if (options.network != null)
+      this.network = Network.get(options.network);
+
+    if (options.biddingWarnings != null)
+      this.biddingWarnings = parseWarnings(options.biddingWarnings);
+
+    if (options.revealWarnings != null)
+      this.revealWarnings = parseWarnings(options.revealWarnings);
+
+    return this;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function parseWarnings(warnings) {
+  assert(Array.isArray(warnings), 'Warnings must be an array.');
+
+  const blocks = new Set();
+
+  for (const warning of warnings) {
+    const value = Number(warning);
+
+    assert(Number.isSafeInteger(value) && value > 0,
+      'Warnings must be a positive number of blocks.');
+
+    blocks.add(value);
+  }
+
+  return [...blocks].sort((a, b) => b - a);
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Scheduler;
@@ -0,0 +1,250 @@
+/*!
+ * serializers.js - event serializers for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {typesByVal} = require('hsd/lib/covenants/rules');
+const {StatsRecord} = require('./records');
+const {getAuctionPhase} = require('./util');
+
+/*
+ * Constants
+ */
+
+// Bumped when a field is removed or
+// changes meaning, not when one is added.
+const VERSION = 1;
+
+/**
+ * Serializers for every event. Each returns the JSON
+ * relayed to websockets and written to the event log.
+ * Hashes are hex and amounts are strings of dollarydoos.
+ */
+
+const serializers = {
+  'none': (data) => {
+    return {
+      version: VERSION,
+      name: '',
+      height: data.height,
+      outpoint: outpointToJSON(data.outpoint),
+      value: amountToJSON(data.value),
+      address: data.address
+    };
+  },
+
+  'open': (data) => {
+    return {
+      ...nameToJSON(data),
+      bids: data.bids,
+      biddingStart: data.biddingStart,
+      biddingEnd: data.biddingEnd
+    };
+  },
+
+  'name claim': (data) => {
+    return {
+      ...nameToJSON(data),
+      commitHeight: data.commitHeight
+    };
+  },
+
+  'bid': (data) => {
+    return {
+      ...nameToJSON(data),
+      bids: data.bids
+    };
+  },
+
+  'reveal': (data) => {
+    return {
+      ...nameToJSON(data),
+      bids: data.bids
+    };
+  },
+
+  'register': nameToJSON,
+
+  'update': (data) => {
+    return {
+      ...nameToJSON(data),
+      resource: data.resource,
+      previous: data.previous,
+      added: data.added,
+      removed: data.removed
+    };
+  },
+
+  'renew': (data) => {
+    return {
+      ...nameToJSON(data),
+      renewal: data.renewal,
+      renewals: data.renewals
+    };
+  },
+
+  // The address is the recipient of the transfer.
+  'transfer': nameToJSON,
+  'finalize': nameToJSON,
+  'redeem': nameToJSON,
+  'revoke': nameToJSON,
+
+  'bid burned': (data) => {
+    return {
+      ...nameToJSON(data),
+      bidHeight: data.bidHeight
+    };
+  },
+
+  'bid removed': removedToJSON,
+  'reveal removed': removedToJSON,
+
+  'bidding closing': auctionToJSON,
+  'reveal started': auctionToJSON,
+  'reveal closing': auctionToJSON,
+  'auction closed': auctionToJSON,
+
+  'stats': (data) => {
+    const json = {
+      version: VERSION,
+      height: data.height
+    };
+
+    for (const key of StatsRecord.counts)
+      json[key] = data[key];
+
+    for (const key of StatsRecord.amounts)
+      json[key] = amountToJSON(data[key]);
+
+    return json;
+  },
+
+  'block connect': (data) => {
+    const {entry, block} = data;
+
+    return {
+      version: VERSION,
+      height: entry.height,
+      hash: entry.hash.toString('hex'),
+      prevBlock: entry.prevBlock.toString('hex'),
+      time: entry.time,
+      txs: block.txs.length
+    };
+  },
+
+  'rescan progress': (data) => {
+    return {
+      version: VERSION,
+      start: data.start,
+      height: data.height,
+      end: data.end
+    };
+  }
+};
+
+/**
+ * Serialize an event.
+ * @param {String} event
+ * @param {Object} data
+ * @param {Network} network
+ * @returns {Object}
+ */
+
+function serializeEvent(event, data, network) {
+  const serialize = serializers[event];
+  assert(serialize, `Unknown event: ${event}.`);
+  return serialize(data, network);
+}
+
+/**
+ * Serialize a covenant in the history of a name.
+ * @param {HistoryRecord} record
+ * @returns {Object}
+ */
+
+function historyToJSON(record) {
+  return {
+    version: VERSION,
+    name: record.name,
+    height: record.height,
+    type: typesByVal[record.type],
+    outpoint: outpointToJSON(record),
+    value: amountToJSON(record.value)
+  };
+}
+
+/*
+ * Helpers
+ */
+
+function outpointToJSON(outpoint) {
+  const {hash, index} = outpoint;
+
+  return {
+    hash: Buffer.isBuffer(hash) ? hash.toString('hex') : hash,
+    index
+  };
+}
+
+function amountToJSON(value) {
+  return value.toString(10);
+}
+
+function nameToJSON(data) {
+  return {
+    version: VERSION,
+    name: data.name,
+    height: data.height,
+    outpoint: outpointToJSON(data.outpoint),
+    value: amountToJSON(data.value),
+    address: data.address,
+    phase: data.phase,
+    blocksRemaining: data.blocksRemaining
+  };
+}
+
+function removedToJSON(data) {
+  return {
+    version: VERSION,
+    name: data.name,
+    height: data.height,
+    outpoint: outpointToJSON(data.outpoint),
+    value: amountToJSON(data.value)
+  };
+}
+
+function auctionToJSON(data, network) {
+  const phase = getAuctionPhase(data.openHeight, data.height, network);
+
+  return {
+    version: VERSION,
+    name: data.name,
+    height: data.height,
+    phase: phase ? phase.phase : 'CLOSED',
+    blocksRemaining: phase ? phase.blocksRemaining : 0,
+    openHeight: data.openHeight,
+    biddingStart: data.biddingStart,
+    biddingEnd: data.biddingEnd,
+    revealStart: data.revealStart,
+    revealEnd: data.revealEnd,
+    bids: data.bids,
+    reveals: data.reveals,
+    lockup: amountToJSON(data.lockup),
+    highest: amountToJSON(data.highest),
+    secondHighest: amountToJSON(data.secondHighest),
+    price: amountToJSON(data.price)
+  };
+}
+
+/*
+ * Expose
+ */
+
+exports.VERSION = VERSION;
+exports.events = Object.keys(serializers);
+exports.serializeEvent = serializeEvent;
+exports.historyToJSON = historyToJSON;
@@ -0,0 +1,370 @@
+/*!
+ * channel.js - channel sink for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const brq = require('brq');
+const Network = require('hsd/lib/protocol/network');
+const {formatCoins} = require('../util');
+const EventFilter = require('../filter');
+const Sink = require('./sink');
+
+/*
+ * Constants
+ */
+
+// Slack sections have at most 10 fields.
+const MAX_FIELDS = 10;
+
+const titles = {
+  'none': 'Big Spend',
+  'open': 'Open',
+  'name claim': 'Claim',
+  'bid': 'Bid',
+  'reveal': 'Reveal',
+  'register': 'Register',
+  'update': 'Update',
+  'renew': 'Renew',
+  'transfer': 'Transfer',
+  'finalize': 'Finalize',
+  'redeem': 'Redeem',
+  'revoke': 'Revoke',
+  'bid burned': 'Bid Burned',
+  'bidding closing': 'Bidding Closing',
+  'reveal started': 'Reveal Started',
+  'reveal closing': 'Reveal Closing',
+  'auction closed': 'Auction Closed',
+  'summary': 'Summary'
+};
+
+/**
+ * HTTP Transport
+ * Posts JSON to the webhook of a channel.
+ */
+
+class HTTPTransport {
+  constructor(options) {
+    this.timeout = (options && options.timeout) || 5000;
+  }
+
+  async post(url, body) {
+    const res = await brq({
+      method: 'POST',
+      url,
+      json: body,
+      timeout: this.timeout
+    });
+
+    if (res.statusCode < 200 || res.statusCode >= 300)
+      throw new Error(`Channel responded with status ${res.statusCode}.`);
+  }
+}
+
+/**
+ * Channel Sink
+ * Posts rich messages to the webhooks of chat
+ * channels. Each channel has its own filters,
+ * a channel without filters is sent the events
+ * of a sink, and the message links to a block
+ * explorer.
+ * Subclasses render the details of a message
+ * into the format of their service.
+ * @extends Sink
+ */
+
+class ChannelSink extends Sink {
+  constructor(options) {
+    super();
+
+    this.name = 'channel';
+    this.network = Network.primary;
+    this.channels = [];
+    this.targetChannels = null;
+    this.explorer = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    if (options.network != null)
+      this.network = Network.get(options.network);
+
+    if (options.channels != null) {
+      assert(Array.isArray(options.channels), 'Channels must be an array.');
+      this.channels = options.channels.map(c => this.parseChannel(c));
+    }
+
+    if (options.explorer != null) {
+      assert(typeof options.explorer === 'string',
+        'Explorer must be a string.');
+      this.explorer = options.explorer.replace(/\/+$/, '');
+    }
+
+    if (!this.transport)
+      this.transport = new HTTPTransport({timeout: options.timeout});
+
+    return this;
+  }
+
+  /**
+   * Parse a channel, the webhook url with
+   * filters as sent with 'watch auction-notify'.
+   * @private
+   * @param {Object|String} channel
+   * @returns {Object}
+   */
+
+  parseChannel(channel) {
+    if (typeof channel === 'string')
+      channel = {url: channel};
+
+    assert(channel && typeof channel === 'object', 'Invalid channel.');
+    assert(typeof channel.url === 'string', 'Channel requires a url.');
+
+    let filters = null;
+
+    if (channel.filters != null) {
+      const items = Array.isArray(channel.filters)
+        ? channel.filters
+        : [channel.filters];
+
+      filters = items.map(f => EventFilter.fromJSON(f, this.network));
+    }
+
+    return {url: channel.url, filters};
+  }
+
+  /**
+   * Send to the comma separated webhook urls of a
+   * target instead of the configured channels. The
+   * channels of a target have no filters.
+   * @param {String|null} target
+   */
+
+  setTarget(target) {
+    let channels = null;
+
+    if (target) {
+      channels = target.split(',').map((url) => {
+        url = url.trim();
+        assert(/^https?:\/\//.test(url), 'Channels must be urls.');
+        return this.parseChannel(url);
+      });
+    }
+
+    super.setTarget(target);
+
+    this.targetChannels = channels;
+  }
+
+  /**
+   * Get the channels that are sent to.
+   * @returns {Object[]}
+   */
+
+  getChannels() {
+    return this.targetChannels || this.channels;
+  }
+
+  /**
+   * Get the filters of the events the sink is sent,
+   * the filters of every channel.
+   * @returns {EventFilter[]}
+   */
+
+  getFilters() {
+    const filters = [];
+
+    for (const channel of this.getChannels())
+      filters.push(...this.getChannelFilters(channel));
+
+    return filters;
+  }
+
+  /**
+   * Get the filters of a channel.
+   * @private
+   * @param {Object} channel
+   * @returns {EventFilter[]}
+   */
+
+  getChannelFilters(channel) {
+    return channel.filters || super.getFilters();
+  }
+
+  /**
+   * Get the targets of the sink, the
+   * webhook urls of the channels.
+   * @returns {String[]}
+   */
+
+  getTargets() {
+    return this.getChannels().map(c => c.url);
+  }
+
+  /**
+   * Test whether a message is sent to
+   * a channel, by its filters.
+   * @param {String} url
+   * @param {Object} message
+   * @returns {Boolean}
+   */
+
+  testTarget(url, message) {
+    const {event, data} = message;
+    const channel = this.getChannel(url);
+
+    if (!channel)
+      return false;
+
+    const filters = this.getChannelFilters(channel);
+
+    return filters.some(f => f.test(event, data));
+  }
+
+  /**
+   * Get a channel by its webhook url.
+   * @private
+   * @param {String} url
+   * @returns {Object|null}
+   */
+
+  getChannel(url) {
+    for (const channel of this.getChannels()) {
+      if (channel.url === url)
+        return channel;
+    }
+
+    return null;
+  }
+
+  async send(message, url) {
+    const channel = this.getChannel(url);
+
+    assert(channel, 'Unknown channel.');
+
+    await this.transport.post(channel.url, this.render(message));
+  }
+
+  /**
+   * Render a message for the service.
+   * @param {Object} message
+   * @returns {Object}
+   */
+
+  render(message) {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Get the title, link and fields of a message.
+   * A field may link to the explorer. The text
+   * has what does not fit in the fields.
+   * @param {Object} message
+   * @returns {Object}
+   */
+
+  getDetails(message) {
+    const {event, data} = message;
+    const fields = [];
+
+    if (event === 'stats') {
+      fields.push(
+        {name: 'Transactions', value: `${data.txCount}`},
+        {name: 'Airdrops', value: `${data.airdrops}`},
+        {name: 'Moved', value: `${formatCoins(data.transferredValue)} HNS`},
+        {name: 'Minted', value: `${formatCoins(data.inflation)} HNS`},
+        {name: 'Locked Up', value: `${formatCoins(data.lockedUpValue)} HNS`}
+      );
+
+      return {
+        title: `Block ${data.height} Stats`,
+        url: this.getLink('block', data.height),
+        fields
+      };
+    }
+
+    if (event === 'summary') {
+      for (const [type, count] of Object.entries(data.events))
+        fields.push({name: titles[type] || type, value: `${count}`});
+
+      const rest = fields.splice(MAX_FIELDS);
+      const text = rest.length > 0
+        ? rest.map(f => `${f.value} ${f.name}`).join(', ')
+        : null;
+
+      return {title: `${data.count} Auction Events`, url: null, fields, text};
+    }
+
+    const title = titles[event] || event;
+
+    if (data.phase != null)
+      fields.push({name: 'Phase', value: data.phase});
+
+    if (data.value != null)
+      fields.push({name: 'Value', value: `${formatCoins(data.value)} HNS`});
+
+    if (data.bids != null)
+      fields.push({name: 'Bids', value: `${data.bids}`});
+
+    if (data.blocksRemaining != null)
+      fields.push({name: 'Blocks Remaining', value: `${data.blocksRemaining}`});
+
+    if (data.height != null) {
+      fields.push({
+        name: 'Height',
+        value: `${data.height}`,
+        url: this.getLink('block', data.height)
+      });
+    }
+
+    if (data.outpoint) {
+      const {hash, index} = data.outpoint;
+
+      fields.push({
+        name: 'Output',
+        value: `${hash.slice(0, 16)}…/${index}`,
+        url: this.getLink('tx', hash)
+      });
+    }
+
+    if (!data.name)
+      return {title, url: null, fields};
+
+    return {
+      title: `${title} .${data.name}`,
+      url: this.getLink('name', data.name),
+      fields
+    };
+  }
+
+  /**
+   * Get the explorer link of a name, tx or block.
+   * @param {String} type
+   * @param {String|Number} id
+   * @returns {String|null}
+   */
+
+  getLink(type, id) {
+    if (!this.explorer)
+      return null;
+
+    return `${this.explorer}/${type}/${encodeURIComponent(id)}`;
+  }
+}
+
+/*
+ * Expose
+ */
+
+ChannelSink.HTTPTransport = HTTPTransport;
+ChannelSink.titles = titles;
+
+module.exports = ChannelSink;
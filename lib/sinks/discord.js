@@ -0,0 +1,90 @@
+/*!
+ * discord.js - discord sink for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const ChannelSink = require('./channel');
+
+/*
+ * Constants
+ */
+
+const DEFAULT_COLOR = 0x5865f2;
+
+const colors = {
+  'none': 0xf1c40f,
+  'open': 0x2ecc71,
+  'bid': 0x3498db,
+  'reveal': 0x9b59b6,
+  'register': 0x1abc9c,
+  'bid burned': 0xe74c3c,
+  'auction closed': 0x95a5a6
+};
+
+/**
+ * Discord Sink
+ * Posts an embed to the webhooks of Discord channels.
+ * @extends ChannelSink
+ */
+
+class DiscordSink extends ChannelSink {
+  constructor(options) {
+    super();
+
+    this.name = 'discord';
+    this.username = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    if (options.username != null) {
+      assert(typeof options.username === 'string');
+      this.username = options.username;
+    }
+
+    return this;
+  }
+
+  render(message) {
+    const {title, url, fields, text} = this.getDetails(message);
+
+    const embed = {
+      title,
+      color: colors[message.event] || DEFAULT_COLOR,
+      fields: fields.map((field) => {
+        return {
+          name: field.name,
+          value: field.url ? `[${field.value}](${field.url})` : field.value,
+          inline: true
+        };
+      })
+    };
+
+    if (url)
+      embed.url = url;
+
+    if (text)
+      embed.description = text;
+
+    const body = {embeds: [embed]};
+
+    if (this.username)
+      body.username = this.username;
+
+    return body;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = DiscordSink;
@@ -0,0 +1,670 @@
+/*!
+ * email.js - email digest sink for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const {Lock} = require('bmutex');
+const random = require('bcrypto/lib/random');
+const {formatCoins} = require('../util');
+const EventFilter = require('../filter');
+const Sink = require('./sink');
+
+/*
+ * Constants
+ */
+
+// The range limit of the digest endpoint.
+const MAX_BLOCKS = 1000;
+
+/**
+ * SMTP Connection
+ * Reads the replies of an SMTP server
+ * and writes the commands to it.
+ * @private
+ */
+
+class SMTPConnection {
+  constructor(options) {
+    this.options = options;
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiter = null;
+    this.error = null;
+    this.handlers = null;
+  }
+
+  connect() {
+    const {host, port, secure} = this.options;
+
+    if (secure)
+      this.attach(tls.connect({host, port, servername: host}));
+    else
+      this.attach(net.connect({host, port}));
+  }
+
+  /**
+   * Switch to TLS after STARTTLS.
+   */
+
+  upgrade() {
+    const {host} = this.options;
+    const socket = this.socket;
+
+    this.detach();
+    this.attach(tls.connect({socket, servername: host}));
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.socket.setEncoding('utf8');
+    this.socket.setTimeout(this.options.timeout);
+
+    this.handlers = {
+      data: data => this.handleData(data),
+      error: err => this.fail(err),
+      close: () => this.fail(new Error('SMTP connection closed.')),
+      timeout: () => this.fail(new Error('SMTP connection timed out.'))
+    };
+
+    for (const [event, handler] of Object.entries(this.handlers))
+      this.socket.on(event, handler);
+  }
+
+  detach() {
+    for (const [event, handler] of Object.entries(this.handlers))
+      this.socket.removeListener(event, handler);
+
+    this.handlers = null;
+  }
+
+  destroy() {
+    if (this.socket)
+      this.socket.destroy();
+  }
+
+  handleData(data) {
+    this.buffer += data;
+
+    const lines = this.buffer.split('\r\n');
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      this.lines.push(line.slice(4));
+
+      // A hyphen after the code continues the reply.
+      if (line[3] === '-')
+        continue;
+
+      const code = parseInt(line.slice(0, 3), 10);
+      const text = this.lines.join('\n');
+
+      this.lines = [];
+      this.replies.push({code, text});
+    }
+
+    if (this.waiter && this.replies.length > 0) {
+      const {resolve} = this.waiter;
+      this.waiter = null;
+      resolve(this.replies.shift());
+    }
+  }
+
+  fail(err) {
+    if (this.error)
+      return;
+
+    this.error = err;
+
+    if (this.waiter) {
+      const {reject} = this.waiter;
+      this.waiter = null;
+      reject(err);
+    }
+  }
+
+  read() {
+    if (this.replies.length > 0)
+      return Promise.resolve(this.replies.shift());
+
+    if (this.error)
+      return Promise.reject(this.error);
+
+    return new Promise((resolve, reject) => {
+      this.waiter = {resolve, reject};
+    });
+  }
+
+  /**
+   * Read a reply and check its code.
+   * @param {String} verb - the command, for errors
+   * @param {Number[]} codes - the accepted codes
+   * @returns {Promise} - Returns Object.
+   */
+
+  async expect(verb, codes) {
+    const reply = await this.read();
+
+    if (!codes.includes(reply.code))
+      throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.text}`);
+
+    return reply;
+  }
+
+  write(data) {
+    this.socket.write(data);
+  }
+
+  async command(line, codes) {
+    this.write(`${line}\r\n`);
+    return this.expect(line.split(/[ :]/)[0], codes);
+  }
+}
+
+/**
+ * SMTP Transport
+ * Sends mail to an SMTP server, upgrading
+ * to TLS with STARTTLS when it is offered.
+ */
+
+class SMTPTransport {
+  constructor(options) {
+    this.host = 'localhost';
+    this.port = 25;
+    this.secure = false;
+    this.starttls = true;
+    this.username = null;
+    this.password = null;
+    this.hostname = os.hostname();
+    this.timeout = 10000;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    if (options.host != null) {
+      assert(typeof options.host === 'string', 'Host must be a string.');
+      this.host = options.host;
+    }
+
+    if (options.secure != null) {
+      assert(typeof options.secure === 'boolean');
+      this.secure = options.secure;
+      this.port = this.secure ? 465 : 25;
+    }
+
+    if (options.port != null) {
+      assert((options.port & 0xffff) === options.port, 'Invalid port.');
+      this.port = options.port;
+    }
+
+    if (options.starttls != null) {
+      assert(typeof options.starttls === 'boolean');
+      this.starttls = options.starttls;
+    }
+
+    if (options.username != null) {
+      assert(typeof options.username === 'string');
+      assert(typeof options.password === 'string',
+        'Username requires a password.');
+      this.username = options.username;
+      this.password = options.password;
+    }
+
+    if (options.hostname != null) {
+      assert(typeof options.hostname === 'string');
+      this.hostname = options.hostname;
+    }
+
+    if (options.timeout != null) {
+      assert((options.timeout >>> 0) === options.timeout);
+      this.timeout = options.timeout;
+    }
+
+    return this;
+  }
+
+  /**
+   * Send a mail.
+   * @param {Object} mail - {from, to, subject, text, html}
+   * @returns {Promise}
+   */
+
+  async send(mail) {
+    assert(isAddress(mail.from), 'Invalid sender.');
+    assert(Array.isArray(mail.to) && mail.to.length > 0);
+    assert(mail.to.every(isAddress), 'Invalid recipient.');
+
+    const conn = new SMTPConnection(this);
+
+    try {
+      conn.connect();
+
+      await conn.expect('connect', [220]);
+
+      const reply = await conn.command(`EHLO ${this.hostname}`, [250]);
+
+      if (!this.secure && this.starttls && /^STARTTLS$/mi.test(reply.text)) {
+        await conn.command('STARTTLS', [220]);
+        conn.upgrade();
+        await conn.command(`EHLO ${this.hostname}`, [250]);
+      }
+
+      if (this.username != null) {
+        const auth = Buffer.from(
+          `\0${this.username}\0${this.password}`, 'utf8');
+
+        await conn.command(`AUTH PLAIN ${auth.toString('base64')}`, [235]);
+      }
+
+      await conn.command(`MAIL FROM:<${mail.from}>`, [250]);
+
+      for (const to of mail.to)
+        await conn.command(`RCPT TO:<${to}>`, [250, 251]);
+
+      await conn.command('DATA', [354]);
+
+      // Lines starting with a dot are escaped
+      // so they do not end the message.
+      const message = createMessage(mail, this.hostname)
+        .replace(/^\./gm, '..');
+
+      conn.write(`${message}\r\n.\r\n`);
+      await conn.expect('message', [250]);
+
+      // The mail is accepted, the server
+      // may close before the reply.
+      await conn.command('QUIT', [221]).catch(() => {});
+    } finally {
+      conn.destroy();
+    }
+  }
+}
+
+/**
+ * Email Sink
+ * Sends a digest of the auction activity by email
+ * every number of blocks or every interval, instead
+ * of a message per event. The sink follows the block
+ * stats messages and asks the digest endpoint for the
+ * activity of the blocks since the last digest.
+ * @extends Sink
+ */
+
+class EmailSink extends Sink {
+  constructor(options) {
+    super();
+
+    this.name = 'email';
+    this.client = null;
+    this.from = null;
+    this.to = [];
+    this.targetTo = null;
+    this.subject = 'Handshake Auction Digest';
+    this.blocks = 144;
+    this.interval = null;
+    this.limit = 10;
+
+    // The range of the next digest.
+    this.start = -1;
+    this.height = -1;
+
+    this.locker = new Lock();
+    this.timer = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    assert(options.client && typeof options.client === 'object',
+      'Email requires a client.');
+
+    this.client = options.client;
+
+    assert(isAddress(options.from), 'Email requires a sender.');
+    this.from = options.from;
+
+    assert(Array.isArray(options.to) && options.to.length > 0,
+      'Email requires recipients.');
+    assert(options.to.every(isAddress), 'Invalid recipient.');
+    this.to = options.to;
+
+    if (options.subject != null) {
+      assert(typeof options.subject === 'string');
+      this.subject = options.subject;
+    }
+
+    if (options.blocks != null) {
+      assert((options.blocks >>> 0) === options.blocks
+        && options.blocks > 0 && options.blocks <= MAX_BLOCKS,
+        `Blocks must be between 1 and ${MAX_BLOCKS}.`);
+      this.blocks = options.blocks;
+    }
+
+    if (options.interval != null) {
+      assert((options.interval >>> 0) === options.interval
+        && options.interval > 0, 'Interval must be a positive integer.');
+      this.interval = options.interval;
+    }
+
+    if (options.limit != null) {
+      assert((options.limit >>> 0) === options.limit);
+      this.limit = options.limit;
+    }
+
+    if (!this.transport)
+      this.transport = new SMTPTransport(options.smtp);
+
+    return this;
+  }
+
+  async open() {
+    if (this.interval == null)
+      return;
+
+    this.timer = setInterval(() => {
+      this.flush().catch((e) => {
+        this.logger.error('Email digest failed: %s.', e.message);
+      });
+    }, this.interval);
+  }
+
+  async close() {
+    if (this.timer != null) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    // Wait for the digest in flight.
+    const unlock = await this.locker.lock();
+    unlock();
+  }
+
+  /**
+   * Send to the comma separated addresses of
+   * a target instead of the configured ones.
+   * @param {String|null} target
+   */
+
+  setTarget(target) {
+    let to = null;
+
+    if (target) {
+      to = target.split(',').map(addr => addr.trim());
+      assert(to.every(isAddress), 'Invalid recipient.');
+    }
+
+    super.setTarget(target);
+
+    this.targetTo = to;
+  }
+
+  /**
+   * Get the filters of the events the sink
+   * is sent, only the block stats.
+   * @returns {EventFilter[]}
+   */
+
+  getFilters() {
+    return [EventFilter.fromOptions({types: ['stats']})];
+  }
+
+  async send(message) {
+    if (message.event !== 'stats')
+      return;
+
+    const {height} = message.data;
+    assert((height >>> 0) === height);
+
+    if (this.start === -1)
+      this.start = height;
+
+    if (height > this.height)
+      this.height = height;
+
+    if (this.interval != null)
+      return;
+
+    if (this.height - this.start + 1 >= this.blocks)
+      await this.flush();
+  }
+
+  /**
+   * Send the digest of the blocks since the last
+   * one. A digest that fails is sent again with
+   * the next one.
+   * @returns {Promise} - Returns Boolean.
+   */
+
+  async flush() {
+    const unlock = await this.locker.lock();
+    try {
+      return await this._flush();
+    } finally {
+      unlock();
+    }
+  }
+
+  async _flush() {
+    if (this.start === -1 || this.height < this.start)
+      return false;
+
+    const to = this.height;
+    const from = Math.max(this.start, to - MAX_BLOCKS + 1);
+
+    const digest = await this.client.getDigest({from, to, limit: this.limit});
+
+    await this.transport.send({
+      from: this.from,
+      to: this.targetTo || this.to,
+      ...this.render(digest)
+    });
+
+    this.start = to + 1;
+
+    return true;
+  }
+
+  /**
+   * Render the subject, text and html of a digest.
+   * @param {Object} digest
+   * @returns {Object}
+   */
+
+  render(digest) {
+    const sections = getSections(digest);
+    const title = `Blocks ${digest.from} to ${digest.to}`;
+
+    return {
+      subject: `${this.subject}: ${title}`,
+      text: formatText(title, sections),
+      html: formatHTML(title, sections)
+    };
+  }
+}
+
+/*
+ * Templates
+ */
+
+function getSections(digest) {
+  const {stats} = digest;
+  const coins = value => `${formatCoins(value)} HNS`;
+
+  const section = (title, items, total, row) => {
+    if (total != null && total > items.length)
+      title += ` (${items.length} of ${total})`;
+
+    return {title, rows: items.map(row)};
+  };
+
+  return [
+    section('Summary', [
+      ['Blocks', stats.blocks],
+      ['Transactions', stats.txCount],
+      ['Names Opened', stats.opens],
+      ['Bids', stats.bids],
+      ['Reveals', stats.reveals],
+      ['Names Registered', stats.registers],
+      ['Bids Burned', stats.burned],
+      ['Locked Up', coins(stats.lockedUpValue)],
+      ['Moved', coins(stats.transferredValue)],
+      ['Minted', coins(stats.inflation)]
+    ], null, ([name, value]) => [name, `${value}`]),
+    section('Opened Names', digest.opens, digest.totalOpens, o => [
+      `.${o.name}`,
+      `block ${o.height}`
+    ]),
+    section('Most Bid Auctions', digest.auctions, null, a => [
+      `.${a.name}`,
+      `${a.bids} bids`,
+      `${a.reveals} reveals`,
+      `${coins(a.lockup)} locked up`
+    ]),
+    section('Largest Reveals', digest.reveals, null, r => [
+      `.${r.name}`,
+      coins(r.value),
+      `block ${r.height}`
+    ]),
+    section('Registered Names', digest.registers, digest.totalRegisters,
+      r => [`.${r.name}`, coins(r.value), `block ${r.height}`]),
+    section('Burned Bids', digest.burned, digest.totalBurned, b => [
+      `.${b.name}`,
+      coins(b.value),
+      `block ${b.height}`
+    ])
+  ];
+}
+
+function formatText(title, sections) {
+  const lines = [title];
+
+  for (const {title, rows} of sections) {
+    lines.push('', title);
+
+    if (rows.length === 0)
+      lines.push('  None');
+
+    for (const [first, ...rest] of rows)
+      lines.push(`  ${first}: ${rest.join(', ')}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function formatHTML(title, sections) {
+  const html = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<body style="font-family: sans-serif;">',
+    `<h1>${escapeHTML(title)}</h1>`
+  ];
+
+  for (const {title, rows} of sections) {
+    html.push(`<h2>${escapeHTML(title)}</h2>`);
+
+    if (rows.length === 0) {
+      html.push('<p>None</p>');
+      continue;
+    }
+
+    html.push('<table cellpadding="4">');
+
+    for (const row of rows) {
+      const cells = row.map(cell => `<td>${escapeHTML(cell)}</td>`);
+      html.push(`<tr>${cells.join('')}</tr>`);
+    }
+
+    html.push('</table>');
+  }
+
+  html.push('</body>', '</html>');
+
+  return html.join('\n') + '\n';
+}
+
+/*
+ * Helpers
+ */
+
+function isAddress(address) {
+  return typeof address === 'string'
+    && /^[^\s<>@]+@[^\s<>@]+$/.test(address);
+}
+
+function escapeHTML(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function encodeHeader(str) {
+  assert(!/[\r\n]/.test(str), 'Invalid header.');
+
+  if (/^[\x20-\x7e]*$/.test(str))
+    return str;
+
+  return `=?UTF-8?B?${Buffer.from(str, 'utf8').toString('base64')}?=`;
+}
+
+function encodeBody(str) {
+  const base64 = Buffer.from(str, 'utf8').toString('base64');
+  return base64.replace(/.{76}/g, '$&\r\n').replace(/\r\n$/, '');
+}
+
+/**
+ * Create a multipart message with
+ * the text and html of a mail.
+ * @param {Object} mail
+ * @param {String} hostname
+ * @returns {String}
+ */
+
+function createMessage(mail, hostname) {
+  const boundary = random.randomBytes(12).toString('hex');
+  const id = random.randomBytes(16).toString('hex');
+
+  return [
+    `From: ${mail.from}`,
+    `To: ${mail.to.join(', ')}`,
+    `Subject: ${encodeHeader(mail.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${id}@${hostname}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(mail.text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(mail.html),
+    `--${boundary}--`
+  ].join('\r\n');
+}
+
+/*
+ * Expose
+ */
+
+EmailSink.SMTPTransport = SMTPTransport;
+
+module.exports = EmailSink;
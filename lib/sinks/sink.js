@@ -0,0 +1,190 @@
+/*!
+ * sink.js - notification sink for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const Logger = require('blgr');
+const EventFilter = require('../filter');
+
+/*
+ * Constants
+ */
+
+// The events with a text message. Big spends are
+// left out, a sink that wants them sets a minimum.
+const textEvents = [
+  'open',
+  'bid',
+  'reveal',
+  'register',
+  'bid burned',
+  'stats'
+];
+
+/**
+ * Sink
+ * Delivers the messages of the notifier to a service.
+ * A sink sends each message with its transport, which
+ * is the client of the service and can be replaced
+ * with a fake one in tests.
+ *
+ * A message has the event, the formatted text
+ * and the serialized event data:
+ *
+ *   {event, text, data}
+ *
+ * A sink is sent the events that its filters accept,
+ * the events with a text message by default. The
+ * notifier subscribes to the events of every sink.
+ *
+ * A sink sends to one or more targets, like the chats
+ * of a bot. The notifier queues the messages of each
+ * target and sends at most rateLimit of them every
+ * rateWindow (ms), so a target that fails does not
+ * hold the others back or make them get a message
+ * twice. When more than collapse messages are queued,
+ * they are sent as one summary message.
+ */
+
+class Sink {
+  constructor(options) {
+    this.name = 'sink';
+    this.enabled = true;
+    this.target = null;
+    this.transport = null;
+    this.logger = Logger.global;
+    this.rateLimit = null;
+    this.rateWindow = 15 * 60 * 1000;
+    this.collapse = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(options && typeof options === 'object');
+
+    if (options.name != null) {
+      assert(typeof options.name === 'string', 'Name must be a string.');
+      this.name = options.name;
+    }
+
+    if (options.enabled != null) {
+      assert(typeof options.enabled === 'boolean');
+      this.enabled = options.enabled;
+    }
+
+    if (options.logger != null) {
+      assert(typeof options.logger === 'object');
+      this.logger = options.logger;
+    }
+
+    if (options.rateLimit != null) {
+      assert((options.rateLimit >>> 0) === options.rateLimit
+        && options.rateLimit > 0, 'Rate limit must be a positive integer.');
+      this.rateLimit = options.rateLimit;
+    }
+
+    if (options.rateWindow != null) {
+      assert((options.rateWindow >>> 0) === options.rateWindow
+        && options.rateWindow > 0, 'Rate window must be a positive integer.');
+      this.rateWindow = options.rateWindow;
+    }
+
+    if (options.collapse != null) {
+      assert((options.collapse >>> 0) === options.collapse
+        && options.collapse > 1, 'Collapse must be more than 1.');
+      this.collapse = options.collapse;
+    }
+
+    if (options.transport != null) {
+      assert(typeof options.transport === 'object',
+        'Transport must be an object.');
+      this.transport = options.transport;
+    }
+
+    return this;
+  }
+
+  async open() {}
+
+  async close() {}
+
+  /**
+   * Get the filters of the events the sink is sent.
+   * @returns {EventFilter[]}
+   */
+
+  getFilters() {
+    return [EventFilter.fromOptions({types: textEvents})];
+  }
+
+  /**
+   * Test whether an event is sent to the sink.
+   * @param {String} event
+   * @param {Object} data
+   * @param {Object?} info - name info of bids and reveals
+   * @returns {Boolean}
+   */
+
+  test(event, data, info) {
+    return this.getFilters().some(f => f.test(event, data));
+  }
+
+  /**
+   * Send to a target set with the configure endpoint
+   * instead of the configured ones, null restores
+   * them. A sink without targets ignores it.
+   * @param {String|null} target
+   */
+
+  setTarget(target) {
+    assert(target === null || typeof target === 'string',
+      'Target must be a string.');
+    this.target = target;
+  }
+
+  /**
+   * Get the targets of the sink, each with its
+   * own queue. A sink with one target has null.
+   * @returns {Array}
+   */
+
+  getTargets() {
+    return [null];
+  }
+
+  /**
+   * Test whether a message is sent to a target.
+   * @param {*} target
+   * @param {Object} message
+   * @returns {Boolean}
+   */
+
+  testTarget(target, message) {
+    return true;
+  }
+
+  /**
+   * Send a message to a target.
+   * @param {Object} message
+   * @param {*} target
+   * @returns {Promise}
+   */
+
+  async send(message, target) {
+    throw new Error('Not implemented.');
+  }
+}
+
+/*
+ * Expose
+ */
+
+Sink.textEvents = textEvents;
+
+module.exports = Sink;
@@ -0,0 +1,79 @@
+/*!
+ * slack.js - slack sink for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const ChannelSink = require('./channel');
+
+/**
+ * Slack Sink
+ * Posts blocks to the incoming webhooks of Slack
+ * channels. The text of the message is the
+ * fallback shown in notifications.
+ * @extends ChannelSink
+ */
+
+class SlackSink extends ChannelSink {
+  constructor(options) {
+    super();
+
+    this.name = 'slack';
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  render(message) {
+    const {title, url, fields, text} = this.getDetails(message);
+
+    let heading = url
+      ? `*<${url}|${escape(title)}>*`
+      : `*${escape(title)}*`;
+
+    if (text)
+      heading += `\n${escape(text)}`;
+
+    const blocks = [{
+      type: 'section',
+      text: {type: 'mrkdwn', text: heading}
+    }];
+
+    if (fields.length > 0) {
+      blocks.push({
+        type: 'section',
+        fields: fields.map((field) => {
+          const value = field.url
+            ? `<${field.url}|${escape(field.value)}>`
+            : escape(field.value);
+
+          return {type: 'mrkdwn', text: `*${field.name}*\n${value}`};
+        })
+      });
+    }
+
+    return {
+      text: message.text,
+      blocks
+    };
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function escape(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/*
+ * Expose
+ */
+
+module.exports = SlackSink;
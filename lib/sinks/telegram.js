@@ -0,0 +1,376 @@
+/*!
+ * telegram.js - telegram sink for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const brq = require('brq');
+const rules = require('hsd/lib/covenants/rules');
+const {formatCoins} = require('../util');
+const Sink = require('./sink');
+
+/*
+ * Constants
+ */
+
+const MAX_AUCTIONS = 10;
+
+const help = '' +
+`/name <name> - bids and reveals of a name
+/auctions - auctions closing soonest
+/help - this message`;
+
+/**
+ * Telegram API
+ * Calls the methods of the Telegram Bot API.
+ */
+
+class TelegramAPI {
+  constructor(options) {
+    assert(options && typeof options.token === 'string',
+      'Telegram requires a token.');
+
+    this.url = options.url || 'https://api.telegram.org';
+    this.token = options.token;
+    this.timeout = options.timeout || 5000;
+  }
+
+  /**
+   * Call a method of the Bot API.
+   * @param {String} method
+   * @param {Object} params
+   * @param {Number?} timeout - milliseconds
+   * @returns {Promise} - Returns the result.
+   */
+
+  async call(method, params, timeout) {
+    const res = await brq({
+      method: 'POST',
+      url: `${this.url}/bot${this.token}/${method}`,
+      json: params,
+      timeout: timeout || this.timeout
+    });
+
+    const body = res.json();
+
+    if (!body.ok)
+      throw new Error(body.description || `Telegram ${method} failed.`);
+
+    return body.result;
+  }
+}
+
+/**
+ * Telegram Sink
+ * Posts the text of every message to the
+ * configured chats. When it has a client it
+ * also answers the commands sent to the bot,
+ * reading the updates with long polling.
+ * @extends Sink
+ */
+
+class TelegramSink extends Sink {
+  constructor(options) {
+    super();
+
+    this.name = 'telegram';
+    this.chats = [];
+    this.targetChats = null;
+    this.client = null;
+    this.pollTimeout = 30;
+    this.retryInterval = 5000;
+
+    this.offset = 0;
+    this.polling = false;
+    this.round = 0;
+    this.timer = null;
+    this.wake = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    if (options.chats != null) {
+      assert(Array.isArray(options.chats), 'Chats must be an array.');
+
+      for (const chat of options.chats) {
+        assert(typeof chat === 'string' || Number.isSafeInteger(chat),
+          'Chats must be ids or usernames.');
+      }
+
+      this.chats = options.chats;
+    }
+
+    if (options.client != null) {
+      assert(typeof options.client === 'object');
+      this.client = options.client;
+    }
+
+    if (options.pollTimeout != null) {
+      assert((options.pollTimeout >>> 0) === options.pollTimeout);
+      this.pollTimeout = options.pollTimeout;
+    }
+
+    if (options.retryInterval != null) {
+      assert((options.retryInterval >>> 0) === options.retryInterval);
+      this.retryInterval = options.retryInterval;
+    }
+
+    if (!this.transport) {
+      this.transport = new TelegramAPI({
+        url: options.url,
+        token: options.token
+      });
+    }
+
+    return this;
+  }
+
+  async open() {
+    if (!this.client)
+      return;
+
+    this.polling = true;
+    this.round += 1;
+    this.poll(this.round);
+  }
+
+  /**
+   * Stop answering commands. The long poll
+   * in flight is not waited for, its updates
+   * are dropped and delivered again later.
+   * @returns {Promise}
+   */
+
+  async close() {
+    if (!this.polling)
+      return;
+
+    this.polling = false;
+
+    if (this.wake)
+      this.wake();
+  }
+
+  /**
+   * Send to the comma separated chats of
+   * a target instead of the configured ones.
+   * @param {String|null} target
+   */
+
+  setTarget(target) {
+    let chats = null;
+
+    if (target) {
+      chats = target.split(',').map((chat) => {
+        chat = chat.trim();
+
+        if (/^-?\d+$/.test(chat))
+          chat = Number(chat);
+
+        assert(Number.isSafeInteger(chat) || /^@\w+$/.test(chat),
+          'Chats must be ids or usernames.');
+
+        return chat;
+      });
+    }
+
+    super.setTarget(target);
+
+    this.targetChats = chats;
+  }
+
+  /**
+   * Get the targets of the sink, the chats.
+   * @returns {Array}
+   */
+
+  getTargets() {
+    return this.targetChats || this.chats;
+  }
+
+  async send(message, chat) {
+    assert(typeof message.text === 'string');
+    assert(typeof chat === 'string' || Number.isSafeInteger(chat),
+      'Chat must be an id or username.');
+
+    await this.transport.call('sendMessage', {
+      chat_id: chat,
+      text: message.text
+    });
+  }
+
+  /**
+   * Read the updates until closed.
+   * @private
+   * @param {Number} round - the open it belongs to
+   * @returns {Promise}
+   */
+
+  async poll(round) {
+    while (this.isPolling(round)) {
+      let updates;
+
+      try {
+        updates = await this.transport.call('getUpdates', {
+          offset: this.offset,
+          timeout: this.pollTimeout,
+          allowed_updates: ['message']
+        }, (this.pollTimeout + 10) * 1000);
+      } catch (e) {
+        if (!this.isPolling(round))
+          break;
+
+        this.logger.error('Telegram getUpdates failed: %s.', e.message);
+        await this.sleep(this.retryInterval);
+        continue;
+      }
+
+      if (!this.isPolling(round))
+        break;
+
+      for (const update of updates) {
+        this.offset = update.update_id + 1;
+
+        try {
+          await this.handleUpdate(update);
+        } catch (e) {
+          this.logger.error('Telegram update %d failed: %s.',
+            update.update_id, e.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Test whether a poller is still the one
+   * of the current open.
+   * @private
+   * @param {Number} round
+   * @returns {Boolean}
+   */
+
+  isPolling(round) {
+    return this.polling && this.round === round;
+  }
+
+  /**
+   * Wait before polling again, unless closed.
+   * @private
+   * @param {Number} ms
+   * @returns {Promise}
+   */
+
+  sleep(ms) {
+    return new Promise((resolve) => {
+      this.wake = () => {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.wake = null;
+        resolve();
+      };
+
+      this.timer = setTimeout(this.wake, ms);
+    });
+  }
+
+  /**
+   * Answer the command in an update.
+   * @param {Object} update
+   * @returns {Promise}
+   */
+
+  async handleUpdate(update) {
+    const {message} = update;
+
+    if (!message || typeof message.text !== 'string')
+      return;
+
+    const reply = await this.handleCommand(message.text);
+
+    if (reply == null)
+      return;
+
+    await this.transport.call('sendMessage', {
+      chat_id: message.chat.id,
+      text: reply,
+      reply_to_message_id: message.message_id
+    });
+  }
+
+  /**
+   * Get the reply to a command. Text that is not
+   * a known command is ignored, so the bot stays
+   * quiet in groups.
+   * @param {String} text
+   * @returns {Promise} - Returns String or null.
+   */
+
+  async handleCommand(text) {
+    const match = /^\/([a-z]+)(?:@\w+)?(?:\s+(.*))?$/.exec(text.trim());
+
+    if (!match)
+      return null;
+
+    const [, command, args] = match;
+
+    switch (command) {
+    case 'name':
+      return this.getName(args ? args.trim().toLowerCase() : '');
+    case 'auctions':
+      return this.getAuctions();
+    case 'start':
+    case 'help':
+      return help;
+    default:
+      return null;
+    }
+  }
+
+  async getName(name) {
+    if (!rules.verifyName(name))
+      return 'Usage: /name <name>';
+
+    const info = await this.client.getNotifyName(name);
+
+    return '' +
+`.${name}
+Bids: ${info.bids.length}
+Reveals: ${info.reveals.length}
+Highest: ${formatCoins(info.highest)} $HNS
+Price: ${formatCoins(info.price)} $HNS`;
+  }
+
+  async getAuctions() {
+    const {height, total, auctions} = await this.client.getAuctions({
+      sort: 'remaining',
+      limit: MAX_AUCTIONS
+    });
+
+    if (auctions.length === 0)
+      return 'No active auctions.';
+
+    const lines = [`${total} active auctions at ${height}`];
+
+    for (const auction of auctions) {
+      lines.push(`.${auction.name} ${auction.phase} `
+        + `${auction.blocksRemaining} blocks, ${auction.bids} bids`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+/*
+ * Expose
+ */
+
+TelegramSink.TelegramAPI = TelegramAPI;
+
+module.exports = TelegramSink;
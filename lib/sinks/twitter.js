@@ -0,0 +1,153 @@
+/*!
+ * twitter.js - twitter sink for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const Twitter = require('twitter');
+const Amount = require('hsd/lib/ui/amount');
+const EventFilter = require('../filter');
+const {formatCoins} = require('../util');
+const Sink = require('./sink');
+
+/**
+ * Twitter Sink
+ * Tweets the text of the events worth a tweet: the
+ * opens of names in the dictionary, the bids and
+ * reveals above a value or count, a share of the
+ * registers and the big spends. A busy block is
+ * collapsed rather than flooding the timeline and
+ * the rate limit.
+ * @extends Sink
+ */
+
+class TwitterSink extends Sink {
+  constructor(options) {
+    super();
+
+    this.name = 'twitter';
+    this.rateLimit = 15;
+    this.collapse = 5;
+    this.dictionary = new Set();
+
+    // Amounts are in coins.
+    this.bidThreshold = 10000;
+    this.bidCountThreshold = 5;
+    this.revealThreshold = 10000;
+    this.revealCountThreshold = 5;
+    this.bigSpendThreshold = 1000000;
+    this.registerRate = 0.75;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    if (options.dictionary != null) {
+      assert(Array.isArray(options.dictionary)
+        || options.dictionary instanceof Set);
+      this.dictionary = new Set(options.dictionary);
+    }
+
+    for (const key of ['bidThreshold', 'bidCountThreshold',
+      'revealThreshold', 'revealCountThreshold', 'bigSpendThreshold']) {
+      if (options[key] != null) {
+        assert(Number.isSafeInteger(options[key]) && options[key] >= 0,
+          `${key} must be a positive integer.`);
+        this[key] = options[key];
+      }
+    }
+
+    if (options.registerRate != null) {
+      assert(options.registerRate >= 0 && options.registerRate <= 1,
+        'Register rate must be between 0 and 1.');
+      this.registerRate = options.registerRate;
+    }
+
+    if (!this.transport) {
+      this.transport = new Twitter({
+        consumer_key: options.consumerKey,
+        consumer_secret: options.consumerSecret,
+        access_token_key: options.accessTokenKey,
+        access_token_secret: options.accessTokenSecret
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the filters of the events the sink is sent.
+   * Only the plain outputs above the big spend
+   * threshold are worth relaying, every block
+   * has a plain output for each payment.
+   * @returns {EventFilter[]}
+   */
+
+  getFilters() {
+    return [
+      ...super.getFilters(),
+      EventFilter.fromOptions({
+        types: ['none'],
+        minValue: Amount.fromCoins(this.bigSpendThreshold).toValue()
+      })
+    ];
+  }
+
+  /**
+   * Test whether an event is worth a tweet.
+   * @param {String} event
+   * @param {Object} data
+   * @param {Object?} info - name info of bids and reveals
+   * @returns {Boolean}
+   */
+
+  test(event, data, info) {
+    if (!super.test(event, data, info))
+      return false;
+
+    if (event === 'stats')
+      return true;
+
+    assert(typeof data.name === 'string');
+    assert(typeof data.value === 'string');
+    assert(typeof data.height === 'number');
+
+    const value = Number(formatCoins(data.value));
+
+    switch (event) {
+    case 'open':
+      return this.dictionary.has(data.name);
+    case 'bid':
+      return value >= this.bidThreshold
+        || info.bids.length >= this.bidCountThreshold;
+    case 'reveal':
+      return value >= this.revealThreshold
+        || info.reveals.length >= this.revealCountThreshold;
+    case 'register':
+      return Math.random() < this.registerRate;
+    case 'bid burned':
+      return true;
+    case 'none':
+      return value >= this.bigSpendThreshold;
+    default:
+      return false;
+    }
+  }
+
+  async send(message) {
+    assert(typeof message.text === 'string');
+    return this.transport.post('statuses/update', {status: message.text});
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = TwitterSink;
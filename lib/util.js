@@ -4,9 +4,124 @@
  * https://github.com/tynes/hsd-auction-notify
  */
 
+const Amount = require('hsd/lib/ui/amount');
+
 function decorate(network) {
   network.auctionNotifyPort = network.rpcPort + 3;
   return network;
 }
 
+/**
+ * Get the auction periods for a name
+ * opened at height.
+ * @param {Number} height - open height
+ * @param {Network} network
+ * @returns {Object}
+ */
+
+function getAuctionPeriods(height, network) {
+  const {treeInterval, biddingPeriod, revealPeriod} = network.names;
+
+  const biddingStart = height + treeInterval + 1;
+  const biddingEnd = biddingStart + biddingPeriod;
+  const revealEnd = biddingEnd + revealPeriod;
+
+  return {
+    biddingStart,
+    biddingEnd,
+    revealStart: biddingEnd,
+    revealEnd
+  };
+}
+
+/**
+ * Get the phase of an auction at height and the
+ * number of blocks until the phase ends.
+ * @param {Number} open - open height
+ * @param {Number} height
+ * @param {Network} network
+ * @returns {Object|null} - Null once the auction is closed.
+ */
+
+function getAuctionPhase(open, height, network) {
+  const periods = getAuctionPeriods(open, network);
+
+  if (height < open)
+    return null;
+
+  if (height < periods.biddingStart)
+    return {phase: 'OPENING', blocksRemaining: periods.biddingStart - height};
+
+  if (height < periods.biddingEnd)
+    return {phase: 'BIDDING', blocksRemaining: periods.biddingEnd - height};
+
+  if (height < periods.revealEnd)
+    return {phase: 'REVEAL', blocksRemaining: periods.revealEnd - height};
+
+  return null;
+}
+
+/**
+ * Get the highest and second highest reveals.
+ * Under Vickrey rules the winner (the first of
+ * the highest reveals) pays the second highest.
+ * @param {RevealRecord[]} reveals
+ * @returns {Object}
+ */
+
+function getVickrey(reveals) {
+  let highest = 0;
+  let second = 0;
+
+  for (const {value} of reveals) {
+    if (value > highest) {
+      second = highest;
+      highest = value;
+    } else if (value > second) {
+      second = value;
+    }
+  }
+
+  return {
+    highest,
+    second,
+    price: second
+  };
+}
+
+/**
+ * Get the value of an event. Values are serialized
+ * as strings of dollarydoos.
+ * @param {Object} data - event
+ * @returns {Number|null} - Null if the event has no value.
+ */
+
+function getEventValue(data) {
+  if (!data || data.value == null)
+    return null;
+
+  const value = Number(data.value);
+
+  if (!Number.isSafeInteger(value))
+    return null;
+
+  return value;
+}
+
+/**
+ * Format an amount of dollarydoos, a number
+ * or a string, as coins.
+ * @param {Number|String} value
+ * @returns {String}
+ */
+
+function formatCoins(value) {
+  return Amount.coin(Number(value));
+}
+
 exports.decorate = decorate;
+exports.getAuctionPeriods = getAuctionPeriods;
+exports.getAuctionPhase = getAuctionPhase;
+exports.getVickrey = getVickrey;
+exports.getEventValue = getEventValue;
+exports.formatCoins = formatCoins;
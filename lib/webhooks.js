@@ -0,0 +1,378 @@
+/*!
+ * webhooks.js - webhook dispatcher for hsd-auction-notify
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const assert = require('bsert');
+const brq = require('brq');
+const Logger = require('blgr');
+const {Lock} = require('bmutex');
+const sha256 = require('bcrypto/lib/sha256');
+const Network = require('hsd/lib/protocol/network');
+const EventFilter = require('./filter');
+const {SettingsRecord, DeliveryRecord} = require('./records');
+
+/**
+ * Webhooks
+ * Delivers events to the webhooks registered with
+ * the configure endpoint. Events are written to a
+ * delivery queue in the AuctionDB before they are
+ * sent, so deliveries survive restarts. A failed
+ * delivery is retried with exponential backoff and
+ * the later deliveries to the same webhook wait for
+ * it, so a webhook that is down is not flooded.
+ *
+ * Each delivery is a POST of the JSON body:
+ *
+ *   {id, event, sequence, data}
+ *
+ * signed with HMAC-SHA256 of the body, keyed
+ * by the secret of the webhook, in the
+ * X-Auction-Notify-Signature header.
+ */
+
+class Webhooks extends EventEmitter {
+  constructor(options) {
+    super();
+
+    this.options = new WebhooksOptions(options);
+    this.adb = this.options.adb;
+    this.network = this.options.network;
+    this.logger = this.options.logger.context('webhooks');
+
+    this.settings = new SettingsRecord();
+    this.hooks = new Map();
+    this.locker = new Lock();
+    this.timer = null;
+    this.timerTime = -1;
+    this.closed = true;
+  }
+
+  async open() {
+    this.closed = false;
+    this.schedule(Date.now());
+  }
+
+  async close() {
+    this.closed = true;
+    this.clearTimer();
+
+    // Wait for the deliveries in flight.
+    const unlock = await this.locker.lock();
+    unlock();
+  }
+
+  /**
+   * Use the webhooks and event settings of the
+   * notification settings. The filters of every
+   * webhook are parsed once here.
+   * @param {SettingsRecord} settings
+   */
+
+  setSettings(settings) {
+    assert(settings instanceof SettingsRecord);
+
+    const hooks = new Map();
+
+    for (const [name, hook] of settings.webhooks) {
+      let filters = null;
+
+      if (hook.filters)
+        filters = hook.filters.map(f => EventFilter.fromJSON(f, this.network));
+
+      hooks.set(name, {...hook, filters});
+    }
+
+    this.settings = settings;
+    this.hooks = hooks;
+
+    // Deliver the events queued
+    // for re-enabled webhooks.
+    this.schedule(Date.now());
+  }
+
+  /**
+   * Queue events for the webhooks they match.
+   * @param {Array} events - [event, data, sequence][]
+   * @returns {Promise}
+   */
+
+  async push(events) {
+    const time = Date.now();
+    const records = [];
+
+    for (const [event, data, sequence] of events) {
+      if (!this.settings.test(event, data))
+        continue;
+
+      for (const [name, hook] of this.hooks) {
+        if (!hook.enabled)
+          continue;
+
+        if (hook.filters && !hook.filters.some(f => f.test(event, data)))
+          continue;
+
+        records.push(DeliveryRecord.fromOptions({
+          hook: name,
+          event,
+          sequence: sequence || 0,
+          time,
+          data
+        }));
+      }
+    }
+
+    if (records.length === 0)
+      return;
+
+    if (!await this.adb.queueDeliveries(records)) {
+      this.logger.error('Problem queueing %d webhook deliveries.',
+        records.length);
+      return;
+    }
+
+    this.schedule(time);
+  }
+
+  /**
+   * Attempt the deliveries that are due.
+   * @returns {Promise}
+   */
+
+  async flush() {
+    const unlock = await this.locker.lock();
+    try {
+      return await this._flush();
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Attempt the deliveries that are due
+   * and schedule the next attempt.
+   * @private
+   * @returns {Promise}
+   */
+
+  async _flush() {
+    // Webhooks with a delivery waiting for a retry,
+    // with the time of their next attempt.
+    const failed = new Map();
+
+    let next = -1;
+
+    for (const record of await this.adb.getDeliveries()) {
+      if (this.closed)
+        return;
+
+      const hook = this.hooks.get(record.hook);
+
+      if (!hook) {
+        await this.adb.removeDelivery(record.id);
+        continue;
+      }
+
+      if (!hook.enabled)
+        continue;
+
+      if (failed.has(record.hook) || record.time > Date.now()) {
+        const time = failed.get(record.hook) || record.time;
+
+        // A delivery waiting for its retry
+        // holds the later ones back.
+        failed.set(record.hook, time);
+
+        if (next === -1 || time < next)
+          next = time;
+
+        continue;
+      }
+
+      if (await this.deliver(record.hook, hook, record)) {
+        await this.adb.removeDelivery(record.id);
+        continue;
+      }
+
+      record.attempts += 1;
+
+      if (record.attempts >= this.options.maxAttempts) {
+        this.logger.warning('Dropping delivery %d to webhook %s (%s).',
+          record.id, record.hook, record.event);
+        await this.adb.removeDelivery(record.id);
+        continue;
+      }
+
+      record.time = Date.now() + this.getBackoff(record.attempts);
+
+      await this.adb.putDelivery(record);
+
+      failed.set(record.hook, record.time);
+
+      if (next === -1 || record.time < next)
+        next = record.time;
+    }
+
+    if (next !== -1)
+      this.schedule(next);
+  }
+
+  /**
+   * Send a delivery to a webhook.
+   * @private
+   * @param {String} name
+   * @param {Object} hook
+   * @param {DeliveryRecord} record
+   * @returns {Promise} - Returns Boolean.
+   */
+
+  async deliver(name, hook, record) {
+    const body = Buffer.from(JSON.stringify({
+      id: record.id,
+      event: record.event,
+      sequence: record.sequence || null,
+      data: record.data
+    }), 'utf8');
+
+    const key = Buffer.from(hook.secret, 'utf8');
+    const signature = sha256.mac(body, key).toString('hex');
+
+    let res;
+    try {
+      res = await brq({
+        method: 'POST',
+        url: hook.url,
+        type: 'json',
+        body,
+        timeout: this.options.timeout,
+        headers: {
+          'X-Auction-Notify-Event': record.event,
+          'X-Auction-Notify-Delivery': record.id.toString(10),
+          'X-Auction-Notify-Signature': `sha256=${signature}`
+        }
+      });
+    } catch (e) {
+      this.logger.debug('Delivery %d to webhook %s failed: %s.',
+        record.id, name, e.message);
+      return false;
+    }
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      this.logger.debug('Delivery %d to webhook %s failed (status=%d).',
+        record.id, name, res.statusCode);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the delay before the next attempt.
+   * @param {Number} attempts - failed attempts
+   * @returns {Number} - milliseconds
+   */
+
+  getBackoff(attempts) {
+    const {retryInterval, maxRetryInterval} = this.options;
+    const delay = retryInterval * Math.pow(2, attempts - 1);
+    return Math.min(delay, maxRetryInterval);
+  }
+
+  /**
+   * Schedule a flush, unless one
+   * is scheduled at or before time.
+   * @private
+   * @param {Number} time - milliseconds
+   */
+
+  schedule(time) {
+    if (this.closed)
+      return;
+
+    if (this.timer != null) {
+      if (this.timerTime <= time)
+        return;
+
+      this.clearTimer();
+    }
+
+    this.timerTime = time;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.timerTime = -1;
+      this.flush().catch(e => this.emit('error', e));
+    }, Math.max(0, time - Date.now()));
+  }
+
+  clearTimer() {
+    if (this.timer != null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.timerTime = -1;
+    }
+  }
+}
+
+class WebhooksOptions {
+  constructor(options) {
+    this.adb = null;
+    this.network = Network.primary;
+    this.logger = Logger.global;
+    this.timeout = 10000;
+    this.retryInterval = 1000;
+    this.maxRetryInterval = 60 * 60 * 1000;
+    this.maxAttempts = 20;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(options.adb && typeof options.adb === 'object',
+      'Webhooks requires AuctionDB.');
+
+    this.adb = options.adb;
+
+    if (options.network != null)
+      this.network = Network.get(options.network);
+
+    if (options.logger != null) {
+      assert(typeof options.logger === 'object');
+      this.logger = options.logger;
+    }
+
+    if (options.timeout != null) {
+      assert((options.timeout >>> 0) === options.timeout);
+      this.timeout = options.timeout;
+    }
+
+    if (options.retryInterval != null) {
+      assert((options.retryInterval >>> 0) === options.retryInterval);
+      this.retryInterval = options.retryInterval;
+    }
+
+    if (options.maxRetryInterval != null) {
+      assert((options.maxRetryInterval >>> 0) === options.maxRetryInterval);
+      this.maxRetryInterval = options.maxRetryInterval;
+    }
+
+    if (options.maxAttempts != null) {
+      assert((options.maxAttempts >>> 0) === options.maxAttempts
+        && options.maxAttempts > 0,
+        'Maximum attempts must be a positive integer.');
+      this.maxAttempts = options.maxAttempts;
+    }
+
+    return this;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Webhooks;
@@ -7,6 +7,20 @@
 'use strict';
 
 const AuctionDB = require('../lib/auctiondb');
+const {
+  BlockUndo,
+  BidRecord,
+  RevealRecord,
+  ClaimRecord,
+  HistoryRecord,
+  AuctionRecord,
+  BlockStatsRecord,
+  SettingsRecord
+} = require('../lib/records');
+const {types} = require('hsd/lib/covenants/rules');
+const Network = require('hsd/lib/protocol/network');
+const layout = require('../lib/layout');
+const {VERSION} = require('../lib/migrations');
 const random = require('bcrypto/lib/random');
 const BN = require('bcrypto/lib/bn');
 const assert = require('bsert');
@@ -35,6 +49,24 @@ describe('AuctionDB', function() {
     assert.bufferEqual(hash, indexed);
   });
 
+  it('should put/get block hashes', async () => {
+    assert.strictEqual(await auctiondb.getHeight(), -1);
+
+    const hashes = [];
+    for (let i = 0; i < 3; i++) {
+      const hash = random.randomBytes(32);
+      hashes.push(hash);
+      await auctiondb.putHash(i, hash);
+    }
+
+    assert.strictEqual(await auctiondb.getHeight(), 2);
+    assert.bufferEqual(await auctiondb.getHash(1), hashes[1]);
+
+    assert(await auctiondb.removeHash(2));
+    assert.strictEqual(await auctiondb.getHeight(), 1);
+    assert.strictEqual(await auctiondb.getHash(2), null);
+  });
+
   it('should add bid', async () => {
     const name = 'abcd';
     const outpoint = {
@@ -107,6 +139,29 @@ describe('AuctionDB', function() {
     }
   });
 
+  it('should get bid records', async () => {
+    const name = 'values';
+    const outpoint = {
+      hash: random.randomBytes(32),
+      index: 2
+    };
+
+    const record = BidRecord.fromOptions({
+      lockup: 5000,
+      height: 100,
+      address: random.randomBytes(20)
+    });
+
+    assert(await auctiondb.addBid(name, outpoint, record));
+
+    const [bid] = await auctiondb.getBids(name);
+    assert.bufferEqual(bid.hash, outpoint.hash);
+    assert.strictEqual(bid.index, outpoint.index);
+    assert.strictEqual(bid.lockup, 5000);
+    assert.strictEqual(bid.height, 100);
+    assert.bufferEqual(bid.address, record.address);
+  });
+
   it('should has bid', async () => {
     const name = 'abcd';
     const outpoint = {
@@ -213,6 +268,38 @@ describe('AuctionDB', function() {
     }
   });
 
+  it('should get reveal records', async () => {
+    const name = 'values';
+    const outpoint = {
+      hash: random.randomBytes(32),
+      index: 0
+    };
+
+    const bid = {
+      hash: random.randomBytes(32),
+      index: 2
+    };
+
+    const record = RevealRecord.fromOptions({
+      value: 3000,
+      bid: bid,
+      lockup: 5000,
+      height: 110,
+      address: random.randomBytes(32)
+    });
+
+    assert(await auctiondb.addReveal(name, outpoint, record));
+
+    const [reveal] = await auctiondb.getReveals(name);
+    assert.bufferEqual(reveal.hash, outpoint.hash);
+    assert.bufferEqual(reveal.bid.hash, bid.hash);
+    assert.strictEqual(reveal.bid.index, 2);
+    assert.strictEqual(reveal.value, 3000);
+    assert.strictEqual(reveal.lockup, 5000);
+    assert.strictEqual(reveal.height, 110);
+    assert.bufferEqual(reveal.address, record.address);
+  });
+
   it('should has reveal', async () => {
     const name = 'addfabcd';
     const outpoint = {
@@ -230,4 +317,450 @@ describe('AuctionDB', function() {
 
     assert.equal(await auctiondb.hasReveal(name, other), false);
   });
+
+  it('should get opens by height', async () => {
+    const outpoint = {
+      hash: random.randomBytes(32),
+      index: 0
+    };
+
+    assert(await auctiondb.addOpen('first', 10, outpoint));
+    assert(await auctiondb.addOpen('second', 11, outpoint));
+    assert(await auctiondb.addOpen('third', 12, outpoint));
+
+    const opens = await auctiondb.getOpens(11, 12);
+    assert.deepStrictEqual(opens.map(o => [o.name, o.height]),
+      [['second', 11], ['third', 12]]);
+    assert.bufferEqual(opens[0].hash, outpoint.hash);
+
+    assert(await auctiondb.removeOpen('second', 11));
+    assert.strictEqual((await auctiondb.getOpens(0, 100)).length, 2);
+  });
+
+  it('should index claims by name and height', async () => {
+    const claims = [
+      ['cloudflare', 20],
+      ['google', 21],
+      ['cloudflare', 30]
+    ];
+
+    for (const [name, height] of claims) {
+      const record = ClaimRecord.fromOptions({
+        name,
+        height,
+        hash: random.randomBytes(32),
+        index: 1,
+        value: 1000,
+        commitHeight: height - 10
+      });
+
+      assert(await auctiondb.addClaim(record));
+    }
+
+    const byName = await auctiondb.getClaimsByName('cloudflare');
+    assert.deepStrictEqual(byName.map(c => c.height), [20, 30]);
+    assert.strictEqual(byName[0].value, 1000);
+    assert.strictEqual(byName[0].commitHeight, 10);
+
+    const byHeight = await auctiondb.getClaims(21, 30);
+    assert.deepStrictEqual(byHeight.map(c => [c.name, c.height]),
+      [['google', 21], ['cloudflare', 30]]);
+
+    assert(await auctiondb.removeClaim('google', 21));
+    assert.strictEqual(await auctiondb.getClaim('google', 21), null);
+    assert.strictEqual((await auctiondb.getClaims(0, 100)).length, 2);
+  });
+
+  it('should index name history in order of height', async () => {
+    const name = 'history';
+    const records = [
+      [30, types.RENEW, 0],
+      [10, types.UPDATE, 0],
+      [20, types.TRANSFER, 0],
+      [40, types.REDEEM, 5000]
+    ];
+
+    for (const [height, type, value] of records) {
+      const record = HistoryRecord.fromOptions({
+        name,
+        height,
+        hash: random.randomBytes(32),
+        index: 0,
+        type,
+        value
+      });
+
+      assert(await auctiondb.addHistory(record));
+    }
+
+    const other = HistoryRecord.fromOptions({
+      name: 'other',
+      height: 15,
+      hash: random.randomBytes(32),
+      type: types.UPDATE
+    });
+
+    assert(await auctiondb.addHistory(other));
+
+    const history = await auctiondb.getHistory(name);
+    assert.deepStrictEqual(history.map(h => h.getJSON().type),
+      ['UPDATE', 'TRANSFER', 'RENEW', 'REDEEM']);
+    assert.strictEqual(history[3].value, 5000);
+
+    const page = await auctiondb.getHistory(name, {
+      start: 15,
+      end: 40,
+      limit: 1,
+      offset: 1,
+      reverse: true
+    });
+    assert.deepStrictEqual(page.map(h => h.height), [30]);
+
+    const [first] = history;
+    assert(await auctiondb.removeHistory(name, first.height, first));
+
+    assert.strictEqual((await auctiondb.getHistory(name)).length, 3);
+    assert.strictEqual((await auctiondb.getHistory('other')).length, 1);
+  });
+
+  it('should index auctions by open height', async () => {
+    assert(await auctiondb.putAuction(AuctionRecord.fromOptions({
+      name: 'first',
+      height: 10
+    })));
+
+    const block = await auctiondb.startBlock({
+      height: 20,
+      hash: random.randomBytes(32)
+    });
+
+    assert(await block.putAuction(AuctionRecord.fromOptions({
+      name: 'second',
+      height: 20
+    })));
+
+    // Pending auctions are read back before the commit.
+    for (let i = 1; i <= 2; i++) {
+      const auction = await block.getAuction('second', 20);
+      auction.bids += 1;
+      auction.lockup += 1000 * i;
+      assert(await block.putAuction(auction));
+    }
+
+    assert(await block.commitBlock());
+
+    const auctions = await auctiondb.getAuctions(0, 20);
+    assert.deepStrictEqual(auctions.map(a => a.getJSON()), [
+      {name: 'first', height: 10, bids: 0, reveals: 0, lockup: 0},
+      {name: 'second', height: 20, bids: 2, reveals: 0, lockup: 3000}
+    ]);
+
+    assert(await auctiondb.removeAuction('first', 10));
+    assert.strictEqual(await auctiondb.getAuction('first', 10), null);
+    assert.strictEqual((await auctiondb.getAuctions(11, 20)).length, 1);
+  });
+
+  it('should roll up block stats into windows', async () => {
+    const stats = (height, inflation) => {
+      const json = {height, inflation};
+
+      for (const key of ['transferredValue', 'lockedUpValue', 'burnedValue'])
+        json[key] = 0;
+
+      for (const key of ['txCount', 'opens', 'bids', 'reveals', 'registers',
+                         'updates', 'renewals', 'transfers', 'finalizes',
+                         'redeems', 'claims', 'airdrops', 'burned']) {
+        json[key] = 1;
+      }
+
+      return json;
+    };
+
+    // Amounts above 2^53 in total stay exact.
+    const inflation = 6e15;
+    const time = 86400 * 100;
+
+    for (let height = 143; height <= 145; height++) {
+      const record = BlockStatsRecord.fromStats(stats(height, inflation),
+        time + (height - 143) * 1800);
+      assert(await auctiondb.addStats(record));
+    }
+
+    const blocks = await auctiondb.getStats(144, 145);
+    assert.deepStrictEqual(blocks.map(b => [b.height, b.time]),
+      [[144, time + 1800], [145, time + 3600]]);
+    assert.strictEqual(blocks[0].getJSON().inflation, '6000000000000000');
+
+    let [[bucket, daily]] = await auctiondb.getWindowStats('daily', 0, 1000);
+    assert.strictEqual(bucket, 100);
+    assert.strictEqual(daily.blocks, 3);
+    assert.strictEqual(daily.getJSON().inflation, '18000000000000000');
+
+    const hourly = await auctiondb.getWindowStats('hourly', 0, 1 << 30);
+    assert.deepStrictEqual(hourly.map(([b, s]) => [b, s.blocks]),
+      [[2400, 2], [2401, 1]]);
+
+    const windows = await auctiondb.getWindowStats('144', 0, 10);
+    assert.deepStrictEqual(windows.map(([b, s]) => [b, s.counts.bids]),
+      [[0, 1], [1, 2]]);
+
+    assert(await auctiondb.removeStats(145));
+    assert.strictEqual(await auctiondb.getBlockStats(145), null);
+
+    [[bucket, daily]] = await auctiondb.getWindowStats('daily', 0, 1000);
+    assert.strictEqual(daily.blocks, 2);
+    assert.strictEqual(daily.getJSON().inflation, '12000000000000000');
+
+    const removed = await auctiondb.getWindowStats('hourly', 2401, 2401);
+    assert.strictEqual(removed.length, 0);
+  });
+
+  it('should commit a block atomically', async () => {
+    const name = 'atomic';
+    const hash = random.randomBytes(32);
+
+    const block = await auctiondb.startBlock({height: 5, hash});
+
+    for (let i = 0; i < 3; i++) {
+      const outpoint = {
+        hash: random.randomBytes(32),
+        index: i
+      };
+
+      assert(await block.addBid(name, outpoint));
+    }
+
+    // Pending writes are visible to the counts of the block only.
+    assert.strictEqual((await block.getBidCount(name)).toNumber(), 3);
+    assert.strictEqual(await auctiondb.getBidCount(name), null);
+    assert.strictEqual((await block.getBids(name)).length, 0);
+    assert.strictEqual(await auctiondb.getTip(), null);
+
+    assert(await block.commitBlock());
+
+    assert.strictEqual((await auctiondb.getBidCount(name)).toNumber(), 3);
+    assert.strictEqual((await auctiondb.getBids(name)).length, 3);
+    assert.bufferEqual(await auctiondb.getTip(), hash);
+    assert.strictEqual(await auctiondb.getHeight(), 5);
+  });
+
+  it('should drop a block', async () => {
+    const name = 'dropped';
+    const outpoint = {
+      hash: random.randomBytes(32),
+      index: 0
+    };
+
+    const block = await auctiondb.startBlock({
+      height: 1,
+      hash: random.randomBytes(32)
+    });
+
+    assert(await block.addBid(name, outpoint));
+    block.dropBlock();
+
+    assert.strictEqual(await auctiondb.getBidCount(name), null);
+    assert.equal(await auctiondb.hasBid(name, outpoint), false);
+    assert.strictEqual(await auctiondb.getTip(), null);
+  });
+
+  it('should keep writes made outside of a dropped block', async () => {
+    const name = 'outside';
+    const outpoint = {
+      hash: random.randomBytes(32),
+      index: 0
+    };
+
+    const block = await auctiondb.startBlock({
+      height: 1,
+      hash: random.randomBytes(32)
+    });
+
+    // Waits for the block instead of joining its batch.
+    const write = auctiondb.addBid(name, outpoint);
+
+    assert(await block.addBid('inside', outpoint));
+    block.dropBlock();
+
+    assert(await write);
+    assert.equal(await auctiondb.hasBid(name, outpoint), true);
+    assert.equal(await auctiondb.hasBid('inside', outpoint), false);
+  });
+
+  it('should not lose concurrent writes', async () => {
+    const name = 'concurrent';
+    const jobs = [];
+
+    for (let i = 0; i < 20; i++) {
+      const outpoint = {
+        hash: random.randomBytes(32),
+        index: i
+      };
+
+      jobs.push(auctiondb.addBid(name, outpoint));
+    }
+
+    jobs.push(auctiondb.startBlock({height: 1, hash: random.randomBytes(32)})
+      .then(block => block.commitBlock()));
+
+    await Promise.all(jobs);
+
+    assert.strictEqual((await auctiondb.getBidCount(name)).toNumber(), 20);
+  });
+
+  it('should put/get undo records', async () => {
+    const outpoint = {
+      hash: random.randomBytes(32),
+      index: 1
+    };
+
+    const undo = new BlockUndo();
+    undo.push(types.BID, 'foo', outpoint, 2000);
+    undo.push(types.REVEAL, 'bar', outpoint, 1000);
+
+    assert(await auctiondb.putUndo(10, undo));
+    assert(await auctiondb.putUndo(12, new BlockUndo()));
+    assert(await auctiondb.putUndo(8, new BlockUndo()));
+
+    const indexed = await auctiondb.getUndo(10);
+    assert.deepStrictEqual(indexed.items, undo.items);
+
+    const undos = await auctiondb.getUndos(10);
+    assert.deepStrictEqual(undos.map(([height]) => height), [10, 12]);
+
+    assert(await auctiondb.removeUndo(10));
+    assert.strictEqual(await auctiondb.getUndo(10), null);
+  });
+
+  it('should log events in order', async () => {
+    assert.strictEqual(auctiondb.sequence, 1);
+
+    const first = await auctiondb.logEvents(10, [
+      ['open', {name: 'foo', value: 0}],
+      ['stats', {height: 10}]
+    ]);
+
+    assert.deepStrictEqual(first.map(r => r.sequence), [1, 2]);
+
+    await auctiondb.logEvents(11, [['bid', {name: 'foo', value: 1000}]]);
+    await auctiondb.logEvents(12, [['stats', {height: 12}]]);
+
+    const events = await auctiondb.getEvents(1);
+    assert.deepStrictEqual(events.map(r => r.getJSON()), [
+      {sequence: 2, height: 10, event: 'stats', data: {height: 10}},
+      {sequence: 3, height: 11, event: 'bid', data: {name: 'foo', value: 1000}},
+      {sequence: 4, height: 12, event: 'stats', data: {height: 12}}
+    ]);
+
+    assert.strictEqual((await auctiondb.getEvents(0, 1)).length, 1);
+
+    // The log is not part of the index.
+    await auctiondb.wipe();
+    assert.strictEqual(await auctiondb.getNextSequence(), 5);
+
+    assert.strictEqual(await auctiondb.pruneEvents(11), 2);
+    assert.deepStrictEqual((await auctiondb.getEvents(0)).map(r => r.sequence),
+      [3, 4]);
+    assert.strictEqual(await auctiondb.getNextSequence(), 5);
+  });
+
+  it('should keep the settings on wipe', async () => {
+    const empty = await auctiondb.getSettings();
+    assert.deepStrictEqual(empty.getJSON(), {
+      events: {},
+      thresholds: {},
+      sinks: {},
+      webhooks: {}
+    });
+
+    const settings = new SettingsRecord();
+    settings.setEvent('none', false);
+    settings.setThreshold('bid', 5000);
+    settings.setSink('webhook', {enabled: true, target: 'https://example.com'});
+    settings.setWebhook('alerts', {
+      enabled: true,
+      url: 'https://example.com/hook',
+      secret: 'hunter2',
+      filters: [{types: ['bid']}]
+    });
+
+    assert(await auctiondb.putSettings(settings));
+    await auctiondb.wipe();
+
+    const stored = await auctiondb.getSettings();
+    assert.deepStrictEqual(stored.getJSON(), settings.getJSON());
+    assert.deepStrictEqual(stored.webhooks, settings.webhooks);
+
+    assert(!stored.test('none', {value: 10}));
+    assert(!stored.test('bid', {value: 4999}));
+    assert(stored.test('bid', {value: 5000}));
+    assert(stored.test('reveal', {value: 0}));
+  });
+});
+
+describe('AuctionDB Versioning', function() {
+  let adb;
+
+  beforeEach(async () => {
+    adb = new AuctionDB({
+      memory: true,
+      network: 'regtest'
+    });
+
+    await adb.open();
+  });
+
+  afterEach(async () => {
+    await adb.close();
+  });
+
+  it('should write the version and network', async () => {
+    assert.strictEqual(await adb.getVersion(), VERSION);
+
+    const raw = await adb.db.get(layout.N.encode());
+    assert.strictEqual(raw.readUInt32LE(0), adb.network.magic);
+  });
+
+  it('should reopen on the same network', async () => {
+    await adb.close();
+    await adb.open();
+
+    assert.strictEqual(await adb.getVersion(), VERSION);
+  });
+
+  it('should refuse a different network', async () => {
+    await adb.close();
+
+    adb.network = Network.get('main');
+
+    await assert.rejects(adb.open(), /network mismatch/);
+    adb.network = Network.get('regtest');
+  });
+
+  it('should refuse a newer version', async () => {
+    const b = adb.db.batch();
+    adb.writeVersion(b, VERSION + 1);
+    await b.write();
+
+    await adb.close();
+
+    await assert.rejects(adb.open(), /newer than the supported version/);
+  });
+
+  it('should migrate an unversioned database', async () => {
+    const name = 'abcd';
+    const outpoint = {
+      hash: random.randomBytes(32),
+      index: 0
+    };
+
+    assert(await adb.addBid(name, outpoint));
+    await adb.db.del(layout.V.encode());
+
+    await adb.close();
+    await adb.open();
+
+    assert.strictEqual(await adb.getVersion(), VERSION);
+    assert.equal(await adb.hasBid(name, outpoint), false);
+  });
 });
@@ -0,0 +1,157 @@
+/*!
+ * filter-test.js - EventFilter test
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const EventFilter = require('../lib/filter');
+const Address = require('hsd/lib/primitives/address');
+const random = require('bcrypto/lib/random');
+const assert = require('bsert');
+
+const address = Address.fromHash(random.randomBytes(20)).toString('regtest');
+const other = Address.fromHash(random.randomBytes(20)).toString('regtest');
+
+describe('EventFilter', function() {
+  it('should match everything by default', () => {
+    const filter = new EventFilter();
+
+    assert(filter.test('none', {name: '', value: 0, address}));
+    assert(filter.test('stats', {height: 10}));
+    assert(filter.test('block connect'));
+  });
+
+  it('should filter by type', () => {
+    const filter = EventFilter.fromOptions({types: ['bid', 'reveal']});
+
+    assert(filter.test('bid', {name: 'foo'}));
+    assert(filter.test('reveal', {name: 'foo'}));
+    assert(!filter.test('none', {name: ''}));
+    assert(!filter.test('stats', {}));
+  });
+
+  it('should filter by value and bid count', () => {
+    const filter = EventFilter.fromOptions({minValue: 1000, minBids: 2});
+
+    assert(filter.test('bid', {name: 'foo', value: 1000, bids: 2}));
+    assert(!filter.test('bid', {name: 'foo', value: 999, bids: 2}));
+    assert(!filter.test('bid', {name: 'foo', value: 1000, bids: 1}));
+
+    // Events without the fields are not filtered.
+    assert(filter.test('stats', {height: 10}));
+    assert(filter.test('register', {name: 'foo', value: 1000}));
+  });
+
+  it('should filter by name', () => {
+    const filter = EventFilter.fromOptions({
+      minLength: 2,
+      maxLength: 4,
+      prefix: 'f'
+    });
+
+    assert(filter.test('open', {name: 'foo'}));
+    assert(!filter.test('open', {name: 'f'}));
+    assert(!filter.test('open', {name: 'foobar'}));
+    assert(!filter.test('open', {name: 'bar'}));
+    assert(!filter.test('none', {name: ''}));
+
+    const other = EventFilter.fromOptions({suffix: 'o', contains: 'bo'});
+
+    assert(other.test('open', {name: 'boo'}));
+    assert(!other.test('open', {name: 'bob'}));
+    assert(!other.test('open', {name: 'foo'}));
+  });
+
+  it('should filter by a bounded regex', () => {
+    const filter = EventFilter.fromOptions({regex: '^(?:[a-z]\\d)+$'});
+
+    assert(filter.test('open', {name: 'a1b2'}));
+    assert(!filter.test('open', {name: 'a1b'}));
+    assert(!filter.test('open', {name: 'a1'.repeat(40)}));
+    assert(filter.test('stats', {height: 10}));
+
+    for (const regex of ['(a+)+$', '(a*b?)*', '((a)+)+', '(\\d+)+']) {
+      assert.throws(() => EventFilter.fromOptions({regex}), {
+        message: 'Regex has nested quantifiers.'
+      });
+    }
+
+    for (const regex of ['(a|aa)+$', '((a|b)c)*']) {
+      assert.throws(() => EventFilter.fromOptions({regex}), {
+        message: 'Regex has a quantified alternation.'
+      });
+    }
+
+    assert.throws(() => EventFilter.fromOptions({regex: '(a)\\1'}), {
+      message: 'Regex backreferences are not supported.'
+    });
+
+    assert.throws(() => EventFilter.fromOptions({regex: '(?=a)a'}), {
+      message: 'Regex lookarounds are not supported.'
+    });
+
+    assert.throws(() => EventFilter.fromOptions({regex: 'a'.repeat(65)}), {
+      message: 'Regex is too long.'
+    });
+
+    assert.throws(() => EventFilter.fromOptions({regex: '[a'}), {
+      message: 'Invalid regex.'
+    });
+
+    // Quantifiers inside a class are plain characters.
+    assert(EventFilter.fromOptions({regex: '([+*])+'}).test('open', {
+      name: 'a+'
+    }));
+  });
+
+  it('should filter by address', () => {
+    const filter = EventFilter.fromOptions({
+      network: 'regtest',
+      address
+    });
+
+    assert(filter.test('bid', {name: 'foo', address}));
+    assert(!filter.test('bid', {name: 'foo', address: other}));
+    assert(filter.test('auction closed', {name: 'foo'}));
+  });
+
+  it('should parse a filter from json', () => {
+    const filter = EventFilter.fromJSON({
+      types: ['none'],
+      minValue: 5000,
+      address
+    }, 'regtest');
+
+    assert.deepStrictEqual([...filter.types], ['none']);
+    assert.strictEqual(filter.minValue, 5000);
+    assert.strictEqual(filter.address, address);
+
+    assert.deepStrictEqual(filter.getJSON(), {
+      types: ['none'],
+      minValue: 5000,
+      address
+    });
+
+    assert.throws(() => EventFilter.fromJSON({minValue: -1}), {
+      message: 'minValue must be a uint.'
+    });
+
+    assert.deepStrictEqual(EventFilter.fromJSON({prefix: 'f'}).getJSON(), {
+      prefix: 'f'
+    });
+
+    assert.deepStrictEqual(EventFilter.fromJSON({regex: '^a+b'}).getJSON(), {
+      regex: '^a+b'
+    });
+
+    assert.throws(() => EventFilter.fromJSON({contains: 'a'.repeat(64)}), {
+      message: 'contains is too long.'
+    });
+
+    assert.throws(() => EventFilter.fromJSON({minLength: 5, maxLength: 4}), {
+      message: 'Minimum length must not be more than maximum length.'
+    });
+  });
+});
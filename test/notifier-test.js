@@ -0,0 +1,402 @@
+/*!
+ * notifier-test.js - Notifier test
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const Logger = require('blgr');
+const Notifier = require('../lib/notifier');
+const Sink = require('../lib/sinks/sink');
+const TwitterSink = require('../lib/sinks/twitter');
+const TelegramSink = require('../lib/sinks/telegram');
+const DiscordSink = require('../lib/sinks/discord');
+const random = require('bcrypto/lib/random');
+const assert = require('bsert');
+
+const logger = new Logger('none');
+
+/**
+ * Client that relays the events
+ * it is given to the bound handlers.
+ */
+
+class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.filter = null;
+    this.since = null;
+    this.opened = false;
+    this.names = new Map();
+    this.settings = {sinks: {}};
+    this.watches = [];
+  }
+
+  bind(event, handler) {
+    this.on(event, handler);
+  }
+
+  async fire(event, data, sequence) {
+    await Promise.all(this.listeners(event).map(h => h(data, sequence)));
+  }
+
+  setCursor(sequence) {
+    this.since = sequence;
+  }
+
+  watchAuctionNotify(filter) {
+    this.filter = filter;
+    this.watches.push(filter);
+  }
+
+  async getConfigure() {
+    return this.settings;
+  }
+
+  async getNotifyName(name) {
+    return this.names.get(name) || null;
+  }
+
+  async open() {
+    this.opened = true;
+  }
+
+  async close() {
+    this.opened = false;
+  }
+}
+
+class MemorySink extends Sink {
+  constructor(options) {
+    super(options);
+    this.messages = [];
+  }
+
+  async send(message) {
+    this.messages.push(message);
+  }
+}
+
+class MemoryTwitter extends TwitterSink {
+  constructor(options) {
+    super(options);
+    this.messages = [];
+  }
+
+  async send(message) {
+    this.messages.push(message);
+  }
+}
+
+class FailingSink extends Sink {
+  async send(message) {
+    throw new Error('Service unavailable.');
+  }
+}
+
+function nameEvent(name, value, extra) {
+  return {
+    version: 1,
+    name,
+    height: 100,
+    outpoint: {hash: '00'.repeat(32), index: 0},
+    value: value.toString(10),
+    address: '',
+    phase: 'BIDDING',
+    blocksRemaining: 3,
+    ...extra
+  };
+}
+
+describe('Notifier', function() {
+  let client, notifier, sink;
+
+  beforeEach(() => {
+    client = new FakeClient();
+    notifier = new Notifier({client, logger});
+
+    sink = new MemorySink({name: 'memory'});
+    notifier.addSink(sink);
+  });
+
+  it('should subscribe with the filters', async () => {
+    assert.deepStrictEqual(notifier.getFilter(), [{
+      types: ['open', 'bid', 'reveal', 'register',
+        'bid burned', 'stats', 'block connect']
+    }]);
+
+    notifier.addSink(new MemoryTwitter({bigSpendThreshold: 1000}));
+    notifier.addSink(new DiscordSink({
+      channels: [{
+        url: 'https://discord.test/closed',
+        filters: [{types: ['auction closed']}, {types: ['none'], minValue: 5}]
+      }]
+    }));
+
+    await notifier.open();
+
+    assert(client.opened);
+    assert.strictEqual(client.since, null);
+    assert.deepStrictEqual(client.filter, [{
+      types: ['open', 'bid', 'reveal', 'register',
+        'bid burned', 'auction closed', 'stats', 'block connect']
+    }, {
+      types: ['none'],
+      minValue: 5
+    }]);
+
+    await notifier.close();
+    assert(!client.opened);
+  });
+
+  it('should only tweet the events that meet the criteria', async () => {
+    sink = new MemoryTwitter({
+      dictionary: ['satoshi'],
+      bidThreshold: 100,
+      bidCountThreshold: 2,
+      bigSpendThreshold: 1000,
+      registerRate: 1
+    });
+
+    notifier.sinks = [sink];
+
+    client.names.set('foo', {bids: [{}], reveals: []});
+
+    await client.fire('open', nameEvent('foo', 0), 1);
+    await client.fire('open', nameEvent('satoshi', 0), 2);
+    await client.fire('bid', nameEvent('foo', 99e6), 3);
+    await client.fire('bid', nameEvent('foo', 100e6), 4);
+    await client.fire('none', nameEvent('', 999e6), 5);
+    await client.fire('none', nameEvent('', 1000e6), 6);
+
+    // No name info.
+    await client.fire('bid', nameEvent('bar', 100e6), 7);
+    await notifier.outbox.flush();
+
+    assert.deepStrictEqual(sink.messages.map(m => m.text), [
+      '🆕 Open satoshi 🆕',
+      '🙈 Bid .foo 🙈\n'
+        + 'Height 100\n'
+        + 'Lockup: 100.0 $HNS\n'
+        + 'Total bids 1\n'
+        + '3 blocks Left to bid',
+      'Big Spend 1000.0 $HNS'
+    ]);
+
+    assert.strictEqual(sink.messages[0].event, 'open');
+    assert.strictEqual(sink.messages[0].data.name, 'satoshi');
+
+    // The bid count meets the criteria.
+    client.names.set('foo', {bids: [{}, {}], reveals: []});
+    await client.fire('bid', nameEvent('foo', 0), 8);
+    await notifier.outbox.flush();
+    assert.strictEqual(sink.messages.length, 4);
+
+    assert.strictEqual(notifier.cursor, 8);
+    assert.strictEqual(client.since, 8);
+  });
+
+  it('should send the events that the filters of a sink accept', async () => {
+    const twitter = new MemoryTwitter({bidThreshold: 100});
+    const transport = {
+      posts: [],
+      post: async (url, body) => transport.posts.push(url)
+    };
+
+    notifier.sinks = [twitter, new DiscordSink({
+      transport,
+      channels: [
+        {url: 'https://discord.test/bids', filters: {types: ['bid']}},
+        {url: 'https://discord.test/closed', filters: {types: ['update']}}
+      ]
+    })];
+
+    client.names.set('foo', {bids: [{}], reveals: []});
+
+    await client.fire('bid', nameEvent('foo', 1e6), 1);
+    await client.fire('update', nameEvent('foo', 0), 2);
+    await notifier.outbox.flush();
+
+    assert.strictEqual(twitter.messages.length, 0);
+    assert.deepStrictEqual(transport.posts, [
+      'https://discord.test/bids',
+      'https://discord.test/closed'
+    ]);
+  });
+
+  it('should not move the cursor past an event in flight', async () => {
+    let resolve = null;
+    const waiting = new Promise(r => resolve = r);
+
+    client.getNotifyName = async (name) => {
+      await waiting;
+      return {bids: [{}], reveals: []};
+    };
+
+    const bid = client.fire('bid', nameEvent('foo', 100e6), 1);
+    const burned = client.fire('bid burned', nameEvent('bar', 5e6), 2);
+
+    await new Promise(r => setImmediate(r));
+    assert.strictEqual(notifier.cursor, null);
+
+    resolve();
+    await Promise.all([bid, burned]);
+    await notifier.outbox.flush();
+
+    assert.strictEqual(notifier.cursor, 2);
+    assert.deepStrictEqual(sink.messages.map(m => m.event),
+      ['bid', 'bid burned']);
+  });
+
+  it('should not wait for the sends of a sink', async () => {
+    let resolve = null;
+    const waiting = new Promise(r => resolve = r);
+
+    sink.send = async (message) => {
+      await waiting;
+      sink.messages.push(message);
+    };
+
+    await notifier.open();
+
+    await client.fire('bid burned', nameEvent('foo', 5e6), 1);
+    await client.fire('bid burned', nameEvent('bar', 5e6), 2);
+
+    assert.strictEqual(notifier.cursor, 2);
+    assert.strictEqual(sink.messages.length, 0);
+
+    resolve();
+    await notifier.outbox.flush();
+    await notifier.close();
+
+    assert.deepStrictEqual(sink.messages.map(m => m.data.name),
+      ['foo', 'bar']);
+  });
+
+  it('should format stats', async () => {
+    await client.fire('stats', {
+      version: 1,
+      height: 10,
+      txCount: 4,
+      airdrops: 1,
+      transferredValue: '5000000',
+      inflation: '2000000000',
+      lockedUpValue: '0'
+    }, 1);
+
+    await notifier.outbox.flush();
+
+    assert.strictEqual(sink.messages[0].text, ''
+      + 'Block 10 Stats\n'
+      + '4 Transactions\n'
+      + '1 Airdrops Claimed\n'
+      + '5.0 $HNS Moved\n'
+      + '2000.0 Newly Minted $HNS\n'
+      + '0.0 $HNS Locked Up in Bids');
+  });
+
+  it('should send to every enabled sink', async () => {
+    const failing = new FailingSink({name: 'failing'});
+    const disabled = new MemorySink({name: 'disabled', enabled: false});
+    const other = new MemorySink({name: 'other'});
+
+    notifier.sinks = [failing, disabled, other];
+
+    await client.fire('bid burned', nameEvent('foo', 5e6), 1);
+    await notifier.outbox.flush();
+
+    assert.strictEqual(disabled.messages.length, 0);
+    assert.deepStrictEqual(other.messages.map(m => m.text), [
+      'BID BURNED foo\nValue 5.0'
+    ]);
+  });
+
+  it('should apply the sink settings', async () => {
+    const chats = [];
+    const telegram = new TelegramSink({
+      chats: [42],
+      transport: {
+        call: async (method, body) => chats.push(body.chat_id)
+      }
+    });
+
+    notifier.addSink(telegram);
+
+    client.settings = {sinks: {memory: {enabled: false, target: ''}}};
+
+    await notifier.open();
+    assert(!sink.enabled);
+
+    await client.fire('bid burned', nameEvent('foo', 5e6), 1);
+    await notifier.outbox.flush();
+
+    assert.strictEqual(sink.messages.length, 0);
+    assert.deepStrictEqual(chats, [42]);
+
+    // A sink without settings is reset.
+    client.settings = {
+      sinks: {telegram: {enabled: true, target: '7, @hns'}}
+    };
+
+    await client.fire('block connect', {height: 10});
+    await client.fire('bid burned', nameEvent('bar', 5e6), 2);
+    await notifier.outbox.flush();
+
+    assert(sink.enabled);
+    assert.strictEqual(sink.messages.length, 1);
+    assert.deepStrictEqual(chats, [42, 7, '@hns']);
+
+    // An invalid target is not applied.
+    client.settings = {
+      sinks: {telegram: {enabled: true, target: 'hns'}}
+    };
+
+    await client.fire('block connect', {height: 11});
+    assert.deepStrictEqual(telegram.getTargets(), [7, '@hns']);
+    assert.deepStrictEqual(client.watches, []);
+
+    // The filters follow the enabled sinks.
+    client.settings = {
+      sinks: {
+        memory: {enabled: false, target: ''},
+        telegram: {enabled: false, target: ''}
+      }
+    };
+
+    await client.fire('block connect', {height: 12});
+
+    assert(!telegram.enabled);
+    assert.deepStrictEqual(telegram.getTargets(), [42]);
+    assert.deepStrictEqual(client.watches, [[{types: ['block connect']}]]);
+
+    await notifier.close();
+  });
+
+  it('should keep the cursor in a file', async () => {
+    const file = path.join(os.tmpdir(),
+      `notifier-${random.randomBytes(4).toString('hex')}`);
+
+    const options = {client, logger, cursorFile: file};
+    const first = new Notifier(options);
+
+    await first.open();
+    await client.fire('register', nameEvent('foo', 0), 5);
+    await client.fire('register', nameEvent('foo', 0), 4);
+    await first.close();
+
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '5\n');
+
+    const restarted = new Notifier({...options, client: new FakeClient()});
+
+    await restarted.open();
+    assert.strictEqual(restarted.client.since, 5);
+    await restarted.close();
+
+    fs.unlinkSync(file);
+  });
+});
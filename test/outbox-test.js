@@ -0,0 +1,287 @@
+/*!
+ * outbox-test.js - Outbox test
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const Logger = require('blgr');
+const Outbox = require('../lib/outbox');
+const Sink = require('../lib/sinks/sink');
+const common = require('./util/common');
+const random = require('bcrypto/lib/random');
+const assert = require('bsert');
+
+const logger = new Logger('none');
+
+/**
+ * Sink that records the messages it is sent
+ * and fails the number of times it is told.
+ */
+
+class MemorySink extends Sink {
+  constructor(options) {
+    super(options);
+    this.messages = [];
+    this.failures = 0;
+  }
+
+  async send(message) {
+    if (this.failures > 0) {
+      this.failures -= 1;
+      throw new Error('Service unavailable.');
+    }
+
+    this.messages.push(message);
+  }
+}
+
+/**
+ * Sink with two targets, where the second is
+ * only sent bids and fails the number of
+ * times it is told.
+ */
+
+class TargetSink extends Sink {
+  constructor(options) {
+    super(options);
+    this.messages = [];
+    this.failures = 0;
+  }
+
+  getTargets() {
+    return ['a', 'b'];
+  }
+
+  testTarget(target, message) {
+    return target === 'a' || message.event === 'bid';
+  }
+
+  async send(message, target) {
+    if (target === 'b' && this.failures > 0) {
+      this.failures -= 1;
+      throw new Error('Service unavailable.');
+    }
+
+    this.messages.push(`${target} ${message.data.name}`);
+  }
+}
+
+function createMessage(event, name) {
+  return {
+    event,
+    text: `${event} ${name}`,
+    data: {name, height: 100}
+  };
+}
+
+function tmpFile() {
+  return path.join(os.tmpdir(),
+    `outbox-${random.randomBytes(4).toString('hex')}`);
+}
+
+describe('Outbox', function() {
+  it('should send within the rate limit', async () => {
+    const outbox = new Outbox({logger});
+    const sink = new MemorySink({
+      name: 'memory',
+      rateLimit: 2,
+      rateWindow: 50
+    });
+
+    const other = new MemorySink({name: 'other'});
+    const sinks = [sink, other];
+
+    await outbox.open(sinks);
+
+    for (const name of ['foo', 'bar', 'baz'])
+      await outbox.push(sinks, createMessage('bid', name));
+
+    await outbox.flush();
+
+    assert.strictEqual(sink.messages.length, 2);
+    assert.strictEqual(other.messages.length, 3);
+
+    await common.forValue(sink.messages, 'length', 3);
+    await outbox.close();
+
+    assert.deepStrictEqual(sink.messages.map(m => m.data.name),
+      ['foo', 'bar', 'baz']);
+  });
+
+  it('should retry failed sends with backoff', async () => {
+    const outbox = new Outbox({logger, retryInterval: 10});
+    const sink = new MemorySink({name: 'memory'});
+
+    assert.strictEqual(outbox.getBackoff(1), 10);
+    assert.strictEqual(outbox.getBackoff(3), 40);
+
+    sink.failures = 2;
+
+    await outbox.open([sink]);
+    await outbox.push([sink], createMessage('bid', 'foo'));
+    await outbox.push([sink], createMessage('bid', 'bar'));
+
+    // The second message waits for the first.
+    assert.strictEqual(sink.messages.length, 0);
+
+    await common.forValue(sink.messages, 'length', 2);
+    await outbox.close();
+
+    assert.deepStrictEqual(sink.messages.map(m => m.data.name),
+      ['foo', 'bar']);
+  });
+
+  it('should drop messages after the maximum attempts', async () => {
+    const outbox = new Outbox({logger, retryInterval: 10, maxAttempts: 2});
+    const sink = new MemorySink({name: 'memory'});
+
+    sink.failures = 2;
+
+    await outbox.open([sink]);
+    await outbox.push([sink], createMessage('bid', 'foo'));
+    await outbox.push([sink], createMessage('bid', 'bar'));
+
+    await common.forValue(sink.messages, 'length', 1);
+    await outbox.close();
+
+    assert.strictEqual(sink.messages[0].data.name, 'bar');
+    assert.strictEqual(outbox.queues.get('memory').entries.length, 0);
+  });
+
+  it('should collapse a backed up queue', async () => {
+    const outbox = new Outbox({logger});
+    const sink = new MemorySink({
+      name: 'memory',
+      rateLimit: 1,
+      rateWindow: 60000,
+      collapse: 2
+    });
+
+    await outbox.open([sink]);
+
+    await outbox.push([sink], createMessage('open', 'foo'));
+    await outbox.flush();
+
+    for (const name of ['foo', 'bar', 'foo', 'baz'])
+      await outbox.push([sink], createMessage('bid', name));
+
+    await outbox.push([sink], createMessage('reveal', 'qux'));
+
+    await outbox.flush();
+    await outbox.close();
+
+    assert.strictEqual(sink.messages.length, 1);
+
+    const {entries} = outbox.queues.get('memory');
+    assert.strictEqual(entries.length, 1);
+
+    const [{message}] = entries;
+    assert.strictEqual(message.event, 'summary');
+    assert.deepStrictEqual(message.data, {
+      count: 5,
+      events: {bid: 4, reveal: 1},
+      names: ['foo', 'bar', 'baz', 'qux']
+    });
+
+    assert.strictEqual(message.text, ''
+      + '📦 5 Auction Events\n'
+      + '4 bid, 1 reveal\n'
+      + '.foo .bar .baz and more');
+
+    // A summary is merged into the next.
+    const {data} = Outbox.summarize([message, createMessage('open', 'zed')]);
+    assert.strictEqual(data.count, 6);
+    assert.deepStrictEqual(data.events, {bid: 4, reveal: 1, open: 1});
+  });
+
+  it('should queue the messages of each target', async () => {
+    const outbox = new Outbox({logger, retryInterval: 10});
+    const sink = new TargetSink({name: 'targets'});
+
+    sink.failures = 1;
+
+    await outbox.open([sink]);
+    await outbox.push([sink], createMessage('bid', 'foo'));
+    await outbox.push([sink], createMessage('open', 'bar'));
+    await outbox.flush();
+
+    // The failed target does not hold the other back.
+    assert.deepStrictEqual(sink.messages, ['a foo', 'a bar']);
+    assert.deepStrictEqual([...outbox.queues.keys()],
+      ['targets:a', 'targets:b']);
+
+    await common.forValue(sink.messages, 'length', 3);
+    await outbox.close();
+
+    // Only the failed target is sent the bid again.
+    assert.deepStrictEqual(sink.messages, ['a foo', 'a bar', 'b foo']);
+  });
+
+  it('should queue the messages of a sink for its targets', async () => {
+    const file = tmpFile();
+    const entry = {message: createMessage('bid', 'foo'), attempts: 0, time: 0};
+
+    // A queue file written before each target had a queue.
+    fs.writeFileSync(file, JSON.stringify({
+      version: 1,
+      queues: {targets: [entry]}
+    }));
+
+    const outbox = new Outbox({logger, file});
+    const sink = new TargetSink({name: 'targets'});
+
+    await outbox.open([sink]);
+
+    await common.forValue(sink.messages, 'length', 2);
+    await outbox.close();
+
+    assert.deepStrictEqual(sink.messages, ['a foo', 'b foo']);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')),
+      {version: 1, queues: {}});
+
+    fs.unlinkSync(file);
+  });
+
+  it('should keep the queue across restarts', async () => {
+    const file = tmpFile();
+    const sink = new MemorySink({name: 'memory'});
+    const first = new Outbox({logger, file, retryInterval: 10});
+
+    sink.failures = 1;
+
+    // Flushed while closed, nothing is retried.
+    await first.push([sink], createMessage('bid', 'foo'));
+    await first.push([sink], createMessage('bid', 'bar'));
+    await first.flush();
+
+    // Disabled sinks are not queued for.
+    await first.push([new MemorySink({name: 'disabled', enabled: false})],
+      createMessage('bid', 'baz'));
+
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(json.version, 1);
+    assert.deepStrictEqual(Object.keys(json.queues), ['memory']);
+    assert.strictEqual(json.queues.memory[0].attempts, 1);
+
+    const restarted = new Outbox({logger, file, retryInterval: 10});
+    const other = new MemorySink({name: 'memory'});
+
+    await restarted.open([other]);
+
+    await common.forValue(other.messages, 'length', 2);
+    await restarted.close();
+
+    assert.deepStrictEqual(other.messages.map(m => m.data.name),
+      ['foo', 'bar']);
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')),
+      {version: 1, queues: {}});
+
+    fs.unlinkSync(file);
+  });
+});
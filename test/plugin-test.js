@@ -4,14 +4,19 @@
  * https://github.com/tynes/hsd-auction-notify
  */
 
+const http = require('http');
 const assert = require('bsert');
 const FullNode = require('hsd/lib/node/fullnode');
 const {NodeClient, WalletClient} = require('hs-client');
 const AuctionNotifyClient = require('../lib/client');
 const common = require('./util/common');
+const {RevealRecord} = require('../lib/records');
+const random = require('bcrypto/lib/random');
 const rules = require('hsd/lib/covenants/rules');
+const consensus = require('hsd/lib/protocol/consensus');
 const Network = require('hsd/lib/protocol/network');
-const {decorate} = require('../lib/util');
+const {Resource} = require('hsd/lib/dns/resource');
+const {decorate, getAuctionPeriods} = require('../lib/util');
 
 const network = decorate(Network.get('regtest'));
 
@@ -50,6 +55,8 @@ describe('Plugin', function() {
     node = new FullNode({
       network: 'regtest',
       memory: true,
+      auctionNotifyBiddingWarnings: [2],
+      auctionNotifyRevealWarnings: [1, 3],
       plugins: [
         require('hsd/lib/wallet/plugin'),
         require('../lib/plugin')
@@ -250,9 +257,1537 @@ describe('Plugin', function() {
     const info = await aclient.getNotifyName(name);
     assert.equal(info.bids.length, 5);
     assert.equal(info.reveals.length, 5);
+
+    const lockups = info.bids.map(b => b.lockup).sort((a, b) => a - b);
+    assert.deepStrictEqual(lockups, [2000, 4000, 6000, 8000, 10000]);
+
+    for (const reveal of info.reveals)
+      assert.strictEqual(reveal.lockup, reveal.value * 2);
+
+    assert.strictEqual(info.highest, 5000);
+    assert.strictEqual(info.secondHighest, 4000);
+    assert.strictEqual(info.price, 4000);
+
+    assert.deepStrictEqual(info, await indexFromChain(name));
+
+    // A reveal from an earlier auction of the
+    // name does not count towards the price.
+    const {adb} = node.require('auction-notify');
+    const open = info.reveals[0].open;
+
+    await adb.addReveal(name, {hash: random.randomBytes(32), index: 0},
+      RevealRecord.fromOptions({value: 9000, height: open - 1, open: 1}));
+
+    const stale = await aclient.getNotifyName(name);
+    assert.strictEqual(stale.reveals.length, 6);
+    assert.strictEqual(stale.highest, 5000);
+    assert.strictEqual(stale.price, 4000);
+  });
+
+  it('should emit and index opens', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    const opens = [];
+    function cb (data) {
+      opens.push(data);
+    }
+    aclient.bind('open', cb);
+
+    await mineBlocks(3, addr);
+
+    const tx = await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+
+    const height = node.chain.height;
+    const {treeInterval, biddingPeriod} = node.network.names;
+
+    await common.forValue(opens, 'length', 1);
+    const [event] = opens;
+    assert.strictEqual(event.name, name);
+    assert.strictEqual(event.height, height);
+    assert.strictEqual(event.biddingStart, height + treeInterval + 1);
+    assert.strictEqual(event.biddingEnd,
+      height + treeInterval + 1 + biddingPeriod);
+
+    let info = await aclient.getOpens(height, height);
+    assert.deepStrictEqual(info.opens, [{
+      name: name,
+      height: height,
+      hash: tx.hash,
+      index: 0,
+      biddingStart: event.biddingStart,
+      biddingEnd: event.biddingEnd
+    }]);
+
+    info = await aclient.getOpens(0, height - 1);
+    assert(!info.opens.some(open => open.name === name));
+
+    info = await aclient.getOpens();
+    assert.strictEqual(info.end, height);
+    assert(info.opens.some(open => open.name === name));
+
+    await nclient.execute('invalidateblock',
+      [node.chain.tip.hash.toString('hex')]);
+
+    info = await aclient.getOpens(height, height);
+    assert.deepStrictEqual(info.opens, []);
+
+    aclient.socket.unbind('open', cb);
+  });
+
+  it('should unindex a bid when its block is invalidated', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    const removed = [];
+    function cb (data) {
+      removed.push(data);
+    }
+    aclient.bind('bid removed', cb);
+
+    await mineBlocks(3, addr);
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(node.network.names.treeInterval, addr);
+
+    const tx = await wallet.createBid({
+      name,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    await mineBlocks(1, addr);
+
+    let info = await aclient.getNotifyName(name);
+    assert.equal(info.bids.length, 1);
+
+    const hash = node.chain.tip.hash.toString('hex');
+    await nclient.execute('invalidateblock', [hash]);
+
+    info = await aclient.getNotifyName(name);
+    assert.equal(info.bids.length, 0);
+
+    const notify = await aclient.getNotifyInfo();
+    assert.strictEqual(notify.tip, node.chain.tip.hash.toString('hex'));
+
+    assert.equal(removed.length, 1);
+    assert.strictEqual(removed[0].name, name);
+    assert.strictEqual(removed[0].outpoint.hash, tx.hash);
+
+    assert.deepStrictEqual(info, await indexFromChain(name));
+
+    aclient.socket.unbind('bid removed', cb);
+  });
+
+  it('should unindex bids and reveals on reorg', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    let bidsRemoved = 0;
+    let revealsRemoved = 0;
+    function onBid (data) {
+      bidsRemoved++;
+    }
+    function onReveal (data) {
+      revealsRemoved++;
+    }
+    aclient.bind('bid removed', onBid);
+    aclient.bind('reveal removed', onReveal);
+
+    await mineBlocks(3, addr);
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(node.network.names.treeInterval, addr);
+
+    await wallet.createBid({
+      name,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(node.network.names.biddingPeriod, addr);
+
+    // Keep the fork clear of a tree commitment so
+    // the competing blocks share the same tree root.
+    const {treeInterval} = node.network.names;
+    while ((node.chain.height % treeInterval) > 2)
+      await mineBlocks(1, addr);
+
+    const fork = node.chain.tip;
+
+    await wallet.createReveal({
+      name
+    });
+
+    await mineBlocks(2, addr);
+
+    let info = await aclient.getNotifyName(name);
+    assert.equal(info.bids.length, 1);
+    assert.equal(info.reveals.length, 1);
+
+    // Mine a longer competing chain on top of the fork point.
+    let tip = fork;
+    for (let i = 0; i < 3; i++) {
+      const block = await node.miner.mineBlock(tip, node.miner.getAddress());
+      tip = await node.chain.add(block);
+    }
+
+    assert.bufferEqual(node.chain.tip.hash, tip.hash);
+
+    info = await aclient.getNotifyName(name);
+    assert.equal(info.bids.length, 1);
+    assert.equal(info.reveals.length, 0);
+
+    const notify = await aclient.getNotifyInfo();
+    assert.strictEqual(notify.tip, tip.hash.toString('hex'));
+
+    assert.equal(bidsRemoved, 0);
+    assert.equal(revealsRemoved, 1);
+
+    assert.deepStrictEqual(info, await indexFromChain(name));
+
+    aclient.socket.unbind('bid removed', onBid);
+    aclient.socket.unbind('reveal removed', onReveal);
+  });
+
+  it('should index the name lifecycle', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    const types = ['update', 'renew', 'transfer', 'finalize', 'redeem'];
+    const events = {};
+    const cbs = {};
+
+    for (const type of types) {
+      events[type] = [];
+      cbs[type] = data => events[type].push(data);
+      aclient.bind(type, cbs[type]);
+    }
+
+    const {names} = node.network;
+
+    await mineBlocks(3, addr);
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(names.treeInterval, addr);
+
+    await wallet.createBid({
+      name,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    await wallet.createBid({
+      name,
+      bid: 2000,
+      lockup: 3000
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(names.biddingPeriod, addr);
+
+    await wallet.createReveal({
+      name
+    });
+
+    await mineBlocks(names.revealPeriod, addr);
+
+    // The first update registers the name.
+    await wallet.createUpdate({
+      name,
+      data: {records: [{type: 'TXT', txt: ['one']}]}
+    });
+
+    await mineBlocks(1, addr);
+
+    const update = await wallet.createUpdate({
+      name,
+      data: {records: [{type: 'TXT', txt: ['two']}]}
+    });
+
+    await mineBlocks(1, addr);
+
+    await common.forValue(events.update, 'length', 1);
+    const [updated] = events.update;
+    assert.strictEqual(updated.version, 1);
+    assert.strictEqual(updated.name, name);
+    assert.strictEqual(updated.phase, 'CLOSED');
+    assert.strictEqual(updated.outpoint.hash, update.hash);
+    assert.deepStrictEqual(updated.previous.records,
+      [{type: 'TXT', txt: ['one']}]);
+    assert.deepStrictEqual(updated.resource.records,
+      [{type: 'TXT', txt: ['two']}]);
+    assert.deepStrictEqual(updated.added, [{type: 'TXT', txt: ['two']}]);
+    assert.deepStrictEqual(updated.removed, [{type: 'TXT', txt: ['one']}]);
+
+    const redeem = await wallet.createRedeem({
+      name
+    });
+
+    await mineBlocks(names.treeInterval, addr);
+
+    await common.forValue(events.redeem, 'length', 1);
+    assert.strictEqual(events.redeem[0].outpoint.hash, redeem.hash);
+    assert.strictEqual(events.redeem[0].value, '1000');
+
+    await wallet.createRenewal({
+      name
+    });
+
+    await mineBlocks(1, addr);
+
+    await common.forValue(events.renew, 'length', 1);
+    assert.strictEqual(events.renew[0].renewal, node.chain.height);
+
+    const {address} = await wallet.createAddress('default');
+
+    await wallet.createTransfer({
+      name,
+      address
+    });
+
+    await mineBlocks(1, addr);
+
+    await common.forValue(events.transfer, 'length', 1);
+    assert.strictEqual(events.transfer[0].address, address);
+
+    await mineBlocks(names.transferLockup, addr);
+
+    await wallet.createFinalize({
+      name
+    });
+
+    await mineBlocks(1, addr);
+
+    await common.forValue(events.finalize, 'length', 1);
+    assert.strictEqual(events.finalize[0].address, address);
+
+    let info = await aclient.getNameHistory(name);
+    assert.strictEqual(info.end, node.chain.height);
+    assert.deepStrictEqual(info.history.map(h => h.type), [
+      'OPEN', 'BID', 'BID', 'REVEAL', 'REVEAL', 'REGISTER',
+      'UPDATE', 'REDEEM', 'RENEW', 'TRANSFER', 'FINALIZE'
+    ]);
+
+    const [, , , , , , updateItem] = info.history;
+    assert.deepStrictEqual(updateItem.outpoint, {hash: update.hash, index: 0});
+    assert.strictEqual(updateItem.version, 1);
+
+    info = await aclient.getNameHistory(name, {limit: 2, offset: 1});
+    assert.deepStrictEqual(info.history.map(h => h.type), ['BID', 'BID']);
+
+    info = await aclient.getNameHistory(name, {limit: 1, reverse: true});
+    assert.deepStrictEqual(info.history.map(h => h.type), ['FINALIZE']);
+
+    info = await aclient.getNameHistory(name, {
+      start: updateItem.height,
+      end: updateItem.height
+    });
+    assert.deepStrictEqual(info.history, [updateItem]);
+
+    for (const type of types)
+      aclient.socket.unbind(type, cbs[type]);
+  });
+
+  it('should index past an update that does not decode', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    const {wdb} = node.require('walletdb');
+    const {names} = node.network;
+    const updates = [];
+    const onUpdate = data => updates.push(data);
+
+    await mineBlocks(3, addr);
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(names.treeInterval, addr);
+
+    await wallet.createBid({
+      name,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    await mineBlocks(names.biddingPeriod, addr);
+
+    await wallet.createReveal({
+      name
+    });
+
+    await mineBlocks(names.revealPeriod, addr);
+
+    await wallet.createUpdate({
+      name,
+      data: {records: [{type: 'TXT', txt: ['one']}]}
+    });
+
+    await mineBlocks(1, addr);
+
+    // Consensus only checks the size of the resource.
+    const mtx = await wdb.primary.makeUpdate(name, new Resource());
+    mtx.outputs[0].covenant.set(2, Buffer.from('ff00', 'hex'));
+
+    await wdb.primary.fill(mtx);
+    await wdb.primary.finalize(mtx);
+
+    const update = await wdb.primary.sendMTX(mtx);
+
+    aclient.bind('update', onUpdate);
+
+    await mineBlocks(2, addr);
+
+    await common.forValue(updates, 'length', 1);
+    aclient.socket.unbind('update', onUpdate);
+
+    assert.strictEqual(updates[0].outpoint.hash, update.txid());
+    assert.strictEqual(updates[0].resource, null);
+    assert.deepStrictEqual(updates[0].previous.records,
+      [{type: 'TXT', txt: ['one']}]);
+    assert.deepStrictEqual(updates[0].removed,
+      [{type: 'TXT', txt: ['one']}]);
+
+    const info = await aclient.getNameHistory(name);
+    assert.strictEqual(info.end, node.chain.height);
+  });
+
+  it('should emit the phase of a replayed block', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    const {http} = node.require('auction-notify');
+    const {names} = node.network;
+
+    await mineBlocks(3, addr);
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(names.treeInterval, addr);
+
+    await wallet.createBid({
+      name,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    await mineBlocks(names.biddingPeriod, addr);
+
+    await wallet.createReveal({
+      name
+    });
+
+    await mineBlocks(names.revealPeriod, addr);
+
+    await wallet.createUpdate({
+      name,
+      data: {records: []}
+    });
+
+    await mineBlocks(1, addr);
+
+    const register = node.chain.height;
+
+    await mineBlocks(names.treeInterval, addr);
+
+    await wallet.createRenewal({
+      name
+    });
+
+    await mineBlocks(1, addr);
+
+    // The name state at the tip has the later renewal.
+    const registered = [];
+    const onRegister = data => registered.push(data);
+
+    await http.rollback(register - 1, await node.chain.getHash(register - 1));
+
+    http.on('register', onRegister);
+    await http.syncChain();
+    http.removeListener('register', onRegister);
+
+    assert.strictEqual(registered.length, 1);
+    assert.strictEqual(registered[0].height, register);
+    assert.strictEqual(registered[0].phase, 'CLOSED');
+    assert.strictEqual(registered[0].blocksRemaining, names.renewalWindow);
+  });
+
+  it('should emit a burned bid once the reveal period closes', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    const burned = [];
+    function cb (data) {
+      burned.push(data);
+    }
+    aclient.bind('bid burned', cb);
+
+    await wclient.createWallet('burner');
+    const burner = wclient.wallet('burner');
+    const {address} = await burner.createAddress('default');
+
+    await wallet.send({
+      outputs: [{address, value: 100000}]
+    });
+
+    await mineBlocks(1, addr);
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+
+    const {periods} = await getPeriods(name);
+
+    await mineBlocks(node.network.names.treeInterval, addr);
+
+    await wallet.createBid({
+      name,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    const unrevealed = await burner.createBid({
+      name,
+      bid: 3000,
+      lockup: 5000
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(node.network.names.biddingPeriod, addr);
+
+    await wallet.createReveal({
+      name
+    });
+
+    // Mine up to the last block of the reveal period.
+    while (node.chain.height < periods.revealEnd - 1)
+      await mineBlocks(1, addr);
+
+    await sleep(100);
+    assert.strictEqual(burned.length, 0);
+
+    await mineBlocks(1, addr);
+
+    await common.forValue(burned, 'length', 1);
+
+    // Only once, and no register is needed.
+    await mineBlocks(2, addr);
+    await sleep(100);
+    assert.strictEqual(burned.length, 1);
+
+    const [event] = burned;
+    assert.strictEqual(event.name, name);
+    assert.strictEqual(event.outpoint.hash, unrevealed.hash);
+    assert.strictEqual(event.outpoint.index, 0);
+    assert.strictEqual(event.value, '5000');
+    assert.strictEqual(event.height, periods.revealEnd);
+
+    const info = await aclient.getNotifyName(name);
+    assert.strictEqual(info.bids.length, 2);
+    assert.strictEqual(info.reveals.length, 1);
+
+    aclient.socket.unbind('bid burned', cb);
+  });
+
+  it('should emit auction phase events', async () => {
+    name = await nclient.execute('grindname', [5]);
+    assert(typeof name === 'string');
+
+    const types = [
+      'bidding closing', 'reveal started',
+      'reveal closing', 'auction closed'
+    ];
+    const phases = [];
+    const cbs = {};
+
+    for (const type of types) {
+      cbs[type] = (data) => {
+        if (data.name === name)
+          phases.push([type, data]);
+      };
+      aclient.bind(type, cbs[type]);
+    }
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+
+    const {periods} = await getPeriods(name);
+
+    await mineBlocks(node.network.names.treeInterval, addr);
+
+    await wallet.createBid({
+      name,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    await mineBlocks(1, addr);
+
+    while (node.chain.height < periods.biddingEnd)
+      await mineBlocks(1, addr);
+
+    await wallet.createReveal({
+      name
+    });
+
+    while (node.chain.height < periods.revealEnd)
+      await mineBlocks(1, addr);
+
+    await common.forValue(phases, 'length', 5);
+
+    const {revealPeriod} = node.network.names;
+
+    assert.deepStrictEqual(phases.map(([type, data]) => {
+      return [type, data.height, data.phase, data.blocksRemaining];
+    }), [
+      ['bidding closing', periods.biddingEnd - 2, 'BIDDING', 2],
+      ['reveal started', periods.revealStart, 'REVEAL', revealPeriod],
+      ['reveal closing', periods.revealEnd - 3, 'REVEAL', 3],
+      ['reveal closing', periods.revealEnd - 1, 'REVEAL', 1],
+      ['auction closed', periods.revealEnd, 'CLOSED', 0]
+    ]);
+
+    const [, closed] = phases[4];
+    assert.strictEqual(closed.biddingEnd, periods.biddingEnd);
+    assert.strictEqual(closed.bids, 1);
+    assert.strictEqual(closed.reveals, 1);
+    assert.strictEqual(closed.highest, '1000');
+    assert.strictEqual(closed.price, '0');
+
+    for (const type of types)
+      aclient.socket.unbind(type, cbs[type]);
+  });
+
+  it('should only relay the events of watched names', async () => {
+    name = await nclient.execute('grindname', [5]);
+    assert(typeof name === 'string');
+
+    const other = await nclient.execute('grindname', [5]);
+    assert(typeof other === 'string');
+
+    const client = new AuctionNotifyClient({
+      network: 'regtest',
+      port: network.auctionNotifyPort
+    });
+
+    await client.open();
+    client.unwatchAuctionNotify();
+    await client.watchName(name);
+
+    const events = [];
+    const all = [];
+
+    client.bind('open', data => events.push(['open', data.name]));
+    client.bind('bid', data => events.push(['bid', data.name]));
+    client.bind('block connect', () => events.push(['block connect']));
+
+    function cb(data) {
+      all.push(data.name);
+    }
+    aclient.bind('open', cb);
+
+    await wallet.createOpen({name: other});
+    await wallet.createOpen({name: name});
+
+    await mineBlocks(1, addr);
+
+    await common.forValue(all, 'length', 2);
+    await common.forValue(events, 'length', 1);
+    assert.deepStrictEqual(events, [['open', name]]);
+
+    // The subscriptions are restored on reconnect.
+    const connected = new Promise(resolve => client.once('connect', resolve));
+    client.socket.reconnect();
+    await connected;
+
+    await mineBlocks(node.network.names.treeInterval, addr);
+
+    await wallet.createBid({
+      name: other,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    await wallet.createBid({
+      name,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    await mineBlocks(1, addr);
+
+    await common.forValue(events, 'length', 2);
+    assert.deepStrictEqual(events, [['open', name], ['bid', name]]);
+    assert.deepStrictEqual([...client.names], [name]);
+
+    await client.unwatchName(name);
+    assert.strictEqual(client.names.size, 0);
+
+    await assert.rejects(client.watchNames([other, 'not a name']), {
+      message: 'Invalid name.'
+    });
+    assert.strictEqual(client.names.size, 0);
+
+    aclient.socket.unbind('open', cb);
+    await client.close();
+  });
+
+  it('should only relay the events that match a filter', async () => {
+    name = await nclient.execute('grindname', [5]);
+    assert(typeof name === 'string');
+
+    const client = new AuctionNotifyClient({
+      network: 'regtest',
+      port: network.auctionNotifyPort,
+      filter: {types: ['bid'], minValue: 1500}
+    });
+
+    await client.open();
+
+    const events = [];
+    const all = [];
+
+    for (const type of ['bid', 'open', 'none'])
+      client.bind(type, data => events.push([type, data.value]));
+
+    function cb(data) {
+      all.push(data);
+    }
+    aclient.bind('bid', cb);
+
+    await wallet.createOpen({name});
+    await mineBlocks(1 + node.network.names.treeInterval, addr);
+
+    await wallet.createBid({name, bid: 1000, lockup: 1000});
+    await wallet.createBid({name, bid: 1000, lockup: 2000});
+    await mineBlocks(1, addr);
+
+    await common.forValue(all, 'length', 2);
+    await common.forValue(events, 'length', 1);
+    assert.deepStrictEqual(events, [['bid', '2000']]);
+
+    // Events carry the bid count of the auction.
+    assert.deepStrictEqual(all.map(bid => bid.bids).sort(), [1, 2]);
+
+    await assert.rejects(client.call('watch auction-notify', {types: ['x']}), {
+      message: 'Unknown event: x.'
+    });
+
+    // The filters end with the watch.
+    client.unwatchAuctionNotify();
+    await client.watchName(name);
+
+    await wallet.createBid({name, bid: 1000, lockup: 1000});
+    await mineBlocks(1, addr);
+
+    await common.forValue(all, 'length', 3);
+    await common.forValue(events, 'length', 2);
+    assert.deepStrictEqual(events[1], ['bid', '1000']);
+
+    aclient.socket.unbind('bid', cb);
+    await client.close();
+  });
+
+  it('should configure the notifications', async () => {
+    const empty = await aclient.getConfigure();
+    assert.deepStrictEqual(empty, {
+      events: {},
+      thresholds: {},
+      sinks: {},
+      webhooks: {}
+    });
+
+    const settings = await aclient.setConfigure({
+      events: {none: false},
+      thresholds: {bid: 1500},
+      sinks: {webhook: {target: 'https://example.com/hook'}}
+    });
+
+    assert.deepStrictEqual(settings, {
+      events: {none: false},
+      thresholds: {bid: 1500},
+      sinks: {webhook: {enabled: true, target: 'https://example.com/hook'}},
+      webhooks: {}
+    });
+
+    assert.deepStrictEqual(await aclient.getConfigure(), settings);
+
+    // The settings are stored in the AuctionDB.
+    const {adb} = node.require('auction-notify');
+    const stored = await adb.getSettings();
+    assert.deepStrictEqual(stored.getJSON(), settings);
+
+    name = await nclient.execute('grindname', [5]);
+
+    const events = [];
+    const bid = data => events.push(['bid', data.value]);
+    const none = data => events.push(['none', data.value]);
+    aclient.bind('bid', bid);
+    aclient.bind('none', none);
+
+    await wallet.createOpen({name});
+    await mineBlocks(1 + node.network.names.treeInterval, addr);
+
+    await wallet.createBid({name, bid: 1000, lockup: 1000});
+    await wallet.createBid({name, bid: 1000, lockup: 2000});
+    await mineBlocks(1, addr);
+
+    await common.forValue(events, 'length', 1);
+    assert.deepStrictEqual(events, [['bid', '2000']]);
+
+    await assert.rejects(aclient.setConfigure({events: {nope: true}}), {
+      message: 'Unknown event: nope.'
+    });
+
+    const reset = await aclient.setConfigure({
+      events: {none: null},
+      thresholds: {bid: null},
+      sinks: {webhook: null}
+    });
+
+    assert.deepStrictEqual(reset, {
+      events: {},
+      thresholds: {},
+      sinks: {},
+      webhooks: {}
+    });
+
+    aclient.socket.unbind('bid', bid);
+    aclient.socket.unbind('none', none);
+  });
+
+  it('should deliver events to webhooks', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        requests.push(Buffer.concat(chunks));
+        res.end();
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+    const settings = await aclient.setConfigure({
+      webhooks: {
+        alerts: {
+          url,
+          secret: 'hunter2',
+          filters: [{types: ['open']}]
+        }
+      }
+    });
+
+    // The secret is not returned.
+    assert.deepStrictEqual(settings.webhooks, {
+      alerts: {enabled: true, url, filters: [{types: ['open']}]}
+    });
+
+    await assert.rejects(aclient.setConfigure({
+      webhooks: {other: {url: 'ftp://example.com', secret: 'hunter2'}}
+    }), {
+      message: 'URL must be http or https.'
+    });
+
+    await assert.rejects(aclient.setConfigure({
+      webhooks: {other: {url}}
+    }), {
+      message: 'Secret is required.'
+    });
+
+    await assert.rejects(aclient.setConfigure({
+      webhooks: {alerts: {filters: [{types: ['nope']}]}}
+    }), {
+      message: 'Unknown event: nope.'
+    });
+
+    name = await nclient.execute('grindname', [5]);
+
+    await wallet.createOpen({name});
+    await mineBlocks(1, addr);
+
+    await common.forValue(requests, 'length', 1);
+
+    const body = JSON.parse(requests[0].toString('utf8'));
+    assert.strictEqual(body.event, 'open');
+    assert.strictEqual(body.data.name, name);
+    assert.strictEqual(typeof body.sequence, 'number');
+
+    const reset = await aclient.setConfigure({webhooks: {alerts: null}});
+    assert.deepStrictEqual(reset.webhooks, {});
+
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should replay missed events from a cursor', async () => {
+    name = await nclient.execute('grindname', [5]);
+    assert(typeof name === 'string');
+
+    const bids = [];
+    function cb(data, sequence) {
+      if (data.name === name)
+        bids.push([data.value, sequence]);
+    }
+    aclient.bind('bid', cb);
+
+    await wallet.createOpen({name});
+    await mineBlocks(1 + node.network.names.treeInterval, addr);
+
+    await wallet.createBid({name, bid: 1000, lockup: 1000});
+    await mineBlocks(1, addr);
+
+    await wallet.createBid({name, bid: 1000, lockup: 2000});
+    await mineBlocks(1, addr);
+
+    await common.forValue(bids, 'length', 2);
+    assert(bids[0][1] < bids[1][1]);
+
+    // Missed the second bid.
+    const client = new AuctionNotifyClient({
+      network: 'regtest',
+      port: network.auctionNotifyPort,
+      filter: {types: ['bid']},
+      since: bids[0][1]
+    });
+
+    const events = [];
+    client.bind('bid', (data, sequence) => {
+      if (data.name === name)
+        events.push([data.value, sequence]);
+    });
+
+    await client.open();
+    await common.forValue(events, 'length', 1);
+    assert.deepStrictEqual(events, [bids[1]]);
+
+    // Then live events.
+    await wallet.createBid({name, bid: 1000, lockup: 3000});
+    await mineBlocks(1, addr);
+
+    await common.forValue(bids, 'length', 3);
+    await common.forValue(events, 'length', 2);
+    assert.deepStrictEqual(events, bids.slice(1));
+
+    // Live and replayed events are the same JSON.
+    const {adb} = node.require('auction-notify');
+    const [record] = await adb.getEvents(bids[1][1] - 1, 1);
+    assert.strictEqual(record.event, 'bid');
+    assert.strictEqual(record.data.value, '2000');
+    assert.strictEqual(typeof record.data.outpoint.hash, 'string');
+
+    aclient.socket.unbind('bid', cb);
+    await client.close();
+  });
+
+  it('should only log the plain outputs above the threshold', async () => {
+    const {adb} = node.require('auction-notify');
+    const {address} = await wallet.createAddress('default');
+
+    const live = [];
+    function cb(data, sequence) {
+      if (data.address === address)
+        live.push([data.value, sequence]);
+    }
+    aclient.bind('none', cb);
+
+    const logged = async () => {
+      const records = await adb.getEvents(0);
+      return records
+        .filter(r => r.event === 'none' && r.data.address === address)
+        .map(r => [r.data.value, r.sequence]);
+    };
+
+    await wallet.send({
+      outputs: [
+        {address, value: 1e6},
+        {address, value: 2000e6}
+      ]
+    });
+    await mineBlocks(1, addr);
+
+    // Both are relayed, only the big one is logged.
+    await common.forValue(live, 'length', 2);
+    assert.deepStrictEqual(live.map(([value]) => value).sort(),
+      ['1000000', '2000000000']);
+    assert.strictEqual(live.find(([value]) => value === '1000000')[1],
+      undefined);
+    assert.deepStrictEqual(await logged(),
+      live.filter(([value]) => value === '2000000000'));
+
+    // The configured threshold applies as well.
+    await aclient.setConfigure({thresholds: {none: 3000e6}});
+
+    await wallet.send({
+      outputs: [
+        {address, value: 2000e6},
+        {address, value: 4000e6}
+      ]
+    });
+    await mineBlocks(1, addr);
+
+    await common.forValue(live, 'length', 3);
+    assert.strictEqual(live[2][0], '4000000000');
+    assert.deepStrictEqual(await logged(),
+      live.filter(([value]) => value !== '1000000'));
+
+    await aclient.setConfigure({thresholds: {none: null}});
+
+    aclient.socket.unbind('none', cb);
+  });
+
+  it('should list active auctions', async () => {
+    const names = [];
+
+    for (let i = 0; i < 2; i++)
+      names.push(await nclient.execute('grindname', [3 + i]));
+
+    await mineBlocks(1, addr);
+
+    for (const name of names) {
+      await wallet.createOpen({
+        name: name
+      });
+    }
+
+    await mineBlocks(1, addr);
+
+    const opened = node.chain.height;
+
+    let info = await aclient.getAuctions({phase: 'opening'});
+    let auctions = info.auctions.filter(a => names.includes(a.name));
+    assert.strictEqual(auctions.length, 2);
+
+    for (const auction of auctions) {
+      assert.strictEqual(auction.phase, 'OPENING');
+      assert.strictEqual(auction.height, opened);
+      assert.strictEqual(auction.bids, 0);
+    }
+
+    await mineBlocks(node.network.names.treeInterval, addr);
+
+    for (let i = 1; i <= 3; i++) {
+      await wallet.createBid({
+        name: names[0],
+        bid: 1000,
+        lockup: 1000 * i
+      });
+    }
+
+    await wallet.createBid({
+      name: names[1],
+      bid: 1000,
+      lockup: 10000
+    });
+
+    await mineBlocks(1, addr);
+
+    info = await aclient.getAuctions({phase: 'bidding', sort: 'bids'});
+    auctions = info.auctions.filter(a => names.includes(a.name));
+    assert.deepStrictEqual(auctions.map(a => [a.name, a.bids, a.lockup]), [
+      [names[1], 1, 10000],
+      [names[0], 3, 6000]
+    ]);
+
+    const {periods} = await getPeriods(names[0]);
+    assert.strictEqual(auctions[0].blocksRemaining,
+      periods.biddingEnd - node.chain.height);
+
+    info = await aclient.getAuctions({
+      sort: 'lockup',
+      reverse: true,
+      minLength: names[1].length
+    });
+    assert.strictEqual(info.auctions[0].name, names[1]);
+    assert(!info.auctions.some(a => a.name === names[0]));
+
+    info = await aclient.getAuctions({phase: 'reveal'});
+    assert(!info.auctions.some(a => names.includes(a.name)));
+
+    // The bids are unindexed with their block.
+    const tip = node.chain.tip.hash.toString('hex');
+    await nclient.execute('invalidateblock', [tip]);
+
+    info = await aclient.getAuctions({phase: 'opening'});
+    auctions = info.auctions.filter(a => names.includes(a.name));
+    assert.deepStrictEqual(auctions.map(a => [a.bids, a.lockup]),
+      [[0, 0], [0, 0]]);
+  });
+
+  it('should store block stats', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    await mineBlocks(3, addr);
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(2, addr);
+
+    const to = node.chain.height;
+    const from = to - 1;
+
+    let info = await aclient.getStats({from, to});
+    assert.strictEqual(info.window, 'block');
+    assert.deepStrictEqual(info.stats.map(s => s.height), [from, to]);
+    assert.deepStrictEqual(info.stats.map(s => s.opens), [1, 0]);
+    assert.strictEqual(info.stats[0].time,
+      (await node.chain.getEntry(from)).time);
+
+    const reward = consensus.getReward(to, node.network.halvingInterval);
+    assert.strictEqual(info.total.blocks, 2);
+    assert.strictEqual(info.total.opens, 1);
+    assert.strictEqual(typeof info.total.inflation, 'string');
+    assert(BigInt(info.total.inflation) >= BigInt(reward) * 2n);
+
+    info = await aclient.getStats({from: 0, to, window: '144'});
+    assert.strictEqual(info.stats.length, Math.floor(to / 144) + 1);
+    assert.strictEqual(info.total.blocks, to + 1);
+
+    info = await aclient.getStats({from, to, window: 'daily'});
+    assert(info.stats.length >= 1);
+    assert(info.total.blocks >= 2);
+
+    await assert.rejects(aclient.getStats({from: 0, to, window: 'weekly'}),
+      /Window must be one of/);
+  });
+
+  it('should digest the auction activity', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    const {names} = node.network;
+
+    await mineBlocks(3, addr);
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+
+    const from = node.chain.height;
+
+    await mineBlocks(names.treeInterval, addr);
+
+    await wallet.createBid({
+      name,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    await wallet.createBid({
+      name,
+      bid: 3000,
+      lockup: 4000
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(names.biddingPeriod, addr);
+
+    await wallet.createReveal({
+      name
+    });
+
+    await mineBlocks(names.revealPeriod, addr);
+
+    await wallet.createUpdate({
+      name,
+      data: {records: []}
+    });
+
+    await mineBlocks(1, addr);
+
+    const to = node.chain.height;
+    const info = await aclient.getDigest({from, to, limit: 5});
+
+    assert.strictEqual(info.from, from);
+    assert.strictEqual(info.to, to);
+    assert.strictEqual(info.limit, 5);
+    assert.strictEqual(info.stats.blocks, to - from + 1);
+    assert.strictEqual(info.stats.opens, 1);
+    assert.strictEqual(info.stats.bids, 2);
+
+    assert.deepStrictEqual(info.opens, [{name, height: from}]);
+    assert.strictEqual(info.totalOpens, 1);
+
+    const auction = info.auctions.find(a => a.name === name);
+    assert.strictEqual(auction.bids, 2);
+    assert.strictEqual(auction.reveals, 2);
+    assert.strictEqual(auction.lockup, '6000');
+
+    const reveals = info.reveals.filter(r => r.name === name);
+    assert.deepStrictEqual(reveals.map(r => r.value), ['3000', '1000']);
+
+    assert.deepStrictEqual(info.registers.map(r => r.name), [name]);
+    assert.strictEqual(info.registers[0].height, to);
+    assert.strictEqual(info.totalRegisters, 1);
+
+    await assert.rejects(aclient.getDigest({from: to, to: from}),
+      /From must not be above to/);
+
+    await assert.rejects(aclient.getDigest({from, to, limit: 101}),
+      /Limit must be between 1 and 100/);
+  });
+
+  it('should index missed blocks on sync', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    const {http, adb} = node.require('auction-notify');
+
+    await mineBlocks(3, addr);
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(node.network.names.treeInterval, addr);
+
+    const fork = node.chain.tip;
+
+    await wallet.createBid({
+      name,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    await mineBlocks(3, addr);
+
+    // Forget about the blocks after the fork
+    // as if the plugin had not been running.
+    await http.rollback(fork.height, fork.hash);
+
+    let info = await aclient.getNotifyName(name);
+    assert.equal(info.bids.length, 0);
+    assert.equal(await adb.getHeight(), fork.height);
+
+    await http.syncChain();
+
+    info = await aclient.getNotifyName(name);
+    assert.equal(info.bids.length, 1);
+    assert.deepStrictEqual(info, await indexFromChain(name));
+
+    assert.equal(await adb.getHeight(), node.chain.height);
+    assert.bufferEqual(await adb.getTip(), node.chain.tip.hash);
+  });
+
+  it('should roll back a stale tip on sync', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    const {http, adb} = node.require('auction-notify');
+
+    await mineBlocks(3, addr);
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(node.network.names.treeInterval, addr);
+
+    await wallet.createBid({
+      name,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    await mineBlocks(1, addr);
+
+    // Pretend the tip was indexed on a fork
+    // that is no longer the main chain.
+    const height = node.chain.height;
+    const stale = Buffer.alloc(32, 0x01);
+    await adb.putHash(height, stale);
+    await adb.putTip(stale);
+
+    let removed = 0;
+    function cb (data) {
+      removed++;
+    }
+    aclient.bind('bid removed', cb);
+
+    await http.syncChain();
+
+    const info = await aclient.getNotifyName(name);
+    assert.equal(info.bids.length, 1);
+    assert.deepStrictEqual(info, await indexFromChain(name));
+
+    assert.equal(removed, 1);
+    assert.equal(await adb.getHeight(), height);
+    assert.bufferEqual(await adb.getHash(height), node.chain.tip.hash);
+    assert.bufferEqual(await adb.getTip(), node.chain.tip.hash);
+
+    aclient.socket.unbind('bid removed', cb);
+  });
+
+  it('should rescan the index', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    const {adb, http} = node.require('auction-notify');
+
+    await mineBlocks(3, addr);
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(node.network.names.treeInterval, addr);
+
+    await wallet.createBid({
+      name,
+      bid: 1000,
+      lockup: 2000
+    });
+
+    await mineBlocks(1, addr);
+
+    // Index a bid that does not exist.
+    await adb.addBid(name, {hash: Buffer.alloc(32, 0x02), index: 0});
+
+    let info = await aclient.getNotifyName(name);
+    assert.equal(info.bids.length, 2);
+
+    const progress = [];
+    const done = {complete: false};
+    function onProgress (data) {
+      progress.push(data);
+      if (data.height === data.end)
+        done.complete = true;
+    }
+    let bids = 0;
+    function onBid (data) {
+      bids++;
+    }
+    const connects = [];
+    function onConnect (data) {
+      connects.push(data.height);
+    }
+    aclient.bind('rescan progress', onProgress);
+    aclient.bind('bid', onBid);
+    aclient.bind('block connect', onConnect);
+
+    const end = node.chain.height;
+    const result = await aclient.rescan(0);
+    assert.deepStrictEqual(result, {success: true, start: 0, end});
+
+    // The chain goes on during the rescan.
+    await mineBlocks(1, addr);
+
+    await common.forValue(done, 'complete', true);
+    await http.rescanJob;
+
+    // The block is relayed once the rescan is done.
+    await common.forValue(connects, 'length', 1);
+    assert.deepStrictEqual(connects, [end + 1]);
+
+    info = await aclient.getNotifyName(name);
+    assert.equal(info.bids.length, 1);
+    assert.deepStrictEqual(info, await indexFromChain(name));
+
+    assert.equal(await adb.getHeight(), node.chain.height);
+    assert.bufferEqual(await adb.getTip(), node.chain.tip.hash);
+
+    assert.strictEqual(progress[0].height, Math.min(99, end));
+
+    const last = progress[progress.length - 1];
+    assert.strictEqual(last.start, 0);
+    assert.strictEqual(last.height, end);
+    assert.strictEqual(last.end, end);
+
+    // Historical events are not relayed.
+    assert.equal(bids, 0);
+
+    aclient.socket.unbind('rescan progress', onProgress);
+    aclient.socket.unbind('bid', onBid);
+    aclient.socket.unbind('block connect', onConnect);
+  });
+
+  it('should keep the records below the rescan height', async () => {
+    name = await nclient.execute('grindname', [3]);
+    assert(typeof name === 'string');
+
+    const {adb, http} = node.require('auction-notify');
+
+    await mineBlocks(3, addr);
+
+    await wallet.createOpen({
+      name: name
+    });
+
+    await mineBlocks(1, addr);
+    await mineBlocks(node.network.names.treeInterval, addr);
+
+    for (const bid of [1000, 2000]) {
+      await wallet.createBid({
+        name,
+        bid,
+        lockup: bid * 2
+      });
+
+      await mineBlocks(1, addr);
+    }
+
+    const height = node.chain.height;
+    const before = await aclient.getNotifyName(name);
+    assert.equal(before.bids.length, 2);
+
+    const result = await aclient.rescan(height);
+    assert.deepStrictEqual(result, {success: true, start: height, end: height});
+
+    await http.rescanJob;
+
+    const info = await aclient.getNotifyName(name);
+    assert.deepStrictEqual(info, before);
+    assert.deepStrictEqual(info, await indexFromChain(name));
+
+    const {history} = await aclient.getNameHistory(name);
+    assert.deepStrictEqual(history.map(h => h.type), ['OPEN', 'BID', 'BID']);
+    assert.strictEqual(history[2].height, height);
+
+    assert(await adb.getUndo(height - 1));
+    assert(await adb.getUndo(height));
+    assert.equal(await adb.getHeight(), node.chain.height);
+    assert.bufferEqual(await adb.getTip(), node.chain.tip.hash);
+
+    await http.rescan(height);
+
+    // The rescan waits for the lock between blocks.
+    const unlock = await http.locker.lock();
+
+    try {
+      assert(http.rescanning);
+      await assert.rejects(aclient.rescan(0), {
+        message: 'A rescan is in progress.'
+      });
+    } finally {
+      unlock();
+    }
+
+    await http.rescanJob;
+    assert(!http.rescanning);
+  });
+
+  it('should not rescan above the tip', async () => {
+    await assert.rejects(aclient.rescan(node.chain.height + 1), {
+      message: 'Height is above the chain tip.'
+    });
   });
 });
 
+// index the bids and reveals for a name from
+// scratch by walking the main chain
+async function indexFromChain(name) {
+  const bids = [];
+  const reveals = [];
+  const nameHash = rules.hashName(name);
+  let open = 0;
+
+  for (let height = 0; height <= node.chain.height; height++) {
+    const block = await node.chain.getBlock(height);
+    const view = await node.chain.getBlockView(block);
+
+    for (const tx of block.txs) {
+      for (const [index, output] of tx.outputs.entries()) {
+        const {covenant, value} = output;
+
+        if (!covenant.isName() || !covenant.getHash(0).equals(nameHash))
+          continue;
+
+        if (covenant.isOpen())
+          open = height;
+
+        if (!covenant.isBid() && !covenant.isReveal())
+          continue;
+
+        const json = {
+          hash: tx.hash().toString('hex'),
+          index: index,
+          lockup: value,
+          height: height,
+          open: open,
+          addressHash: output.address.hash.toString('hex')
+        };
+
+        if (covenant.isBid()) {
+          bids.push(json);
+        } else {
+          const {prevout} = tx.inputs[index];
+          json.lockup = view.getOutputFor(tx.inputs[index]).value;
+          json.value = value;
+          json.bid = {
+            hash: prevout.hash.toString('hex'),
+            index: prevout.index
+          };
+          reveals.push(json);
+        }
+      }
+    }
+  }
+
+  const sort = (a, b) => a.hash.localeCompare(b.hash) || a.index - b.index;
+  const values = reveals.map(r => r.value).sort((a, b) => b - a);
+
+  return {
+    name,
+    bids: bids.sort(sort),
+    reveals: reveals.sort(sort),
+    highest: values.length > 0 ? values[0] : 0,
+    secondHighest: values.length > 1 ? values[1] : 0,
+    price: values.length > 1 ? values[1] : 0
+  };
+}
+
+// get the auction periods of the
+// name from its open in the index
+async function getPeriods(name) {
+  const {opens} = await aclient.getOpens();
+  const open = opens.filter(o => o.name === name).pop();
+  assert(open);
+
+  return {
+    open,
+    periods: getAuctionPeriods(open.height, node.network)
+  };
+}
+
 // take into account race conditions
 async function mineBlocks(count, address) {
   for (let i = 0; i < count; i++) {
@@ -263,6 +1798,10 @@ async function mineBlocks(count, address) {
     await nclient.execute('generatetoaddress', [1, address]);
     await common.forValue(obj, 'complete', true);
   }
+
+  // Let the wallet catch up before it spends.
+  const {wdb} = node.require('walletdb');
+  await common.forValue(wdb, 'height', node.chain.height);
 }
 
 async function sleep(ms) {
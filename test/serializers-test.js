@@ -0,0 +1,107 @@
+/*!
+ * serializers-test.js - event serializers test
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const Network = require('hsd/lib/protocol/network');
+const {types} = require('hsd/lib/covenants/rules');
+const random = require('bcrypto/lib/random');
+const assert = require('bsert');
+const {HistoryRecord} = require('../lib/records');
+const {
+  VERSION,
+  events,
+  serializeEvent,
+  historyToJSON
+} = require('../lib/serializers');
+
+const network = Network.get('regtest');
+
+describe('Serializers', function() {
+  it('should serialize a name event', () => {
+    const hash = random.randomBytes(32);
+
+    const json = serializeEvent('bid', {
+      name: 'foo',
+      outpoint: {hash, index: 1},
+      value: 2000,
+      height: 110,
+      address: 'rs1qaddress',
+      bids: 2,
+      phase: 'BIDDING',
+      blocksRemaining: 12
+    }, network);
+
+    assert.deepStrictEqual(json, {
+      version: VERSION,
+      name: 'foo',
+      height: 110,
+      outpoint: {hash: hash.toString('hex'), index: 1},
+      value: '2000',
+      address: 'rs1qaddress',
+      phase: 'BIDDING',
+      blocksRemaining: 12,
+      bids: 2
+    });
+  });
+
+  it('should serialize stats with string amounts', () => {
+    const json = serializeEvent('stats', {
+      txCount: 2,
+      opens: 0,
+      bids: 1,
+      reveals: 0,
+      registers: 0,
+      updates: 0,
+      renewals: 0,
+      transfers: 0,
+      finalizes: 0,
+      redeems: 0,
+      airdrops: 0,
+      inflation: 2000e6,
+      height: 10,
+      claims: 0,
+      transferredValue: 10,
+      lockedUpValue: 3000,
+      burned: 0,
+      burnedValue: 0
+    }, network);
+
+    assert.strictEqual(json.version, VERSION);
+    assert.strictEqual(json.height, 10);
+    assert.strictEqual(json.bids, 1);
+    assert.strictEqual(json.inflation, '2000000000');
+    assert.strictEqual(json.lockedUpValue, '3000');
+  });
+
+  it('should serialize the history of a name', () => {
+    const hash = random.randomBytes(32);
+    const record = HistoryRecord.fromOptions({
+      name: 'foo',
+      height: 12,
+      hash,
+      index: 0,
+      type: types.BID,
+      value: 1000
+    });
+
+    assert.deepStrictEqual(historyToJSON(record), {
+      version: VERSION,
+      name: 'foo',
+      height: 12,
+      type: 'BID',
+      outpoint: {hash: hash.toString('hex'), index: 0},
+      value: '1000'
+    });
+  });
+
+  it('should refuse an unknown event', () => {
+    assert(events.includes('bid burned'));
+    assert.throws(() => serializeEvent('foo', {}, network), {
+      message: 'Unknown event: foo.'
+    });
+  });
+});
@@ -0,0 +1,809 @@
+/*!
+ * sinks-test.js - notification sinks test
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const http = require('http');
+const net = require('net');
+const Logger = require('blgr');
+const Sink = require('../lib/sinks/sink');
+const TwitterSink = require('../lib/sinks/twitter');
+const TelegramSink = require('../lib/sinks/telegram');
+const ChannelSink = require('../lib/sinks/channel');
+const DiscordSink = require('../lib/sinks/discord');
+const SlackSink = require('../lib/sinks/slack');
+const EmailSink = require('../lib/sinks/email');
+const common = require('./util/common');
+const assert = require('bsert');
+
+const logger = new Logger('none');
+
+const message = {
+  event: 'open',
+  text: '🆕 Open satoshi 🆕',
+  data: {name: 'satoshi'}
+};
+
+/**
+ * Stub of the Telegram Bot API. Updates are
+ * returned once and every call is recorded.
+ */
+
+class TelegramStub {
+  constructor() {
+    this.calls = [];
+    this.sent = [];
+    this.updates = [];
+    this.hold = 20;
+    this.server = http.createServer((req, res) => {
+      const chunks = [];
+
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        const [, token, method] = req.url.split('/');
+
+        this.calls.push({token, method, body});
+
+        if (method === 'sendMessage')
+          this.sent.push(body);
+
+        const result = this.handle(method, body);
+
+        // Hold empty polls like a long poll would.
+        const delay = method === 'getUpdates' && result.result.length === 0
+          ? this.hold
+          : 0;
+
+        setTimeout(() => {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify(result));
+        }, delay);
+      });
+    });
+  }
+
+  handle(method, body) {
+    switch (method) {
+    case 'getUpdates': {
+      const updates = this.updates.filter(u => u.update_id >= body.offset);
+      this.updates = [];
+      return {ok: true, result: updates};
+    }
+    case 'sendMessage':
+      if (body.chat_id === '@missing')
+        return {ok: false, description: 'Bad Request: chat not found'};
+      return {ok: true, result: {message_id: this.calls.length}};
+    default:
+      return {ok: false, description: 'Not Found'};
+    }
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async open() {
+    await new Promise(r => this.server.listen(0, '127.0.0.1', r));
+  }
+
+  async close() {
+    this.server.closeAllConnections();
+    await new Promise(r => this.server.close(r));
+  }
+}
+
+/**
+ * Local stand-in for an SMTP server. The
+ * envelope and data of every mail is recorded.
+ */
+
+class SMTPStub {
+  constructor() {
+    this.mails = [];
+    this.server = net.createServer(socket => this.handle(socket));
+  }
+
+  handle(socket) {
+    let buffer = '';
+    let mail = null;
+    let data = null;
+
+    const reply = line => socket.write(`${line}\r\n`);
+
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (data) {
+          if (line === '.') {
+            mail.data = data.join('\r\n');
+            this.mails.push(mail);
+            data = null;
+            reply('250 Queued');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        const [verb] = line.split(/[ :]/);
+
+        switch (verb) {
+        case 'EHLO':
+          reply('250-localhost');
+          reply('250 8BITMIME');
+          break;
+        case 'MAIL':
+          mail = {from: line.slice(11, -1), to: [], data: null};
+          reply('250 OK');
+          break;
+        case 'RCPT':
+          if (line.includes('missing@'))
+            reply('550 No such user');
+          else
+            reply('250 OK');
+          mail.to.push(line.slice(9, -1));
+          break;
+        case 'DATA':
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          reply('502 Unknown command');
+          break;
+        }
+      }
+    });
+
+    reply('220 localhost ESMTP');
+  }
+
+  get port() {
+    return this.server.address().port;
+  }
+
+  async open() {
+    await new Promise(r => this.server.listen(0, '127.0.0.1', r));
+  }
+
+  async close() {
+    await new Promise(r => this.server.close(r));
+  }
+}
+
+/**
+ * Decode a part of a multipart mail.
+ */
+
+function getPart(data, type) {
+  const [, part] = data.split(`Content-Type: ${type}; charset=utf-8`);
+  const [, body] = part.split('\r\n\r\n');
+  const [base64] = body.split('\r\n--');
+  return Buffer.from(base64.replace(/\r\n/g, ''), 'base64').toString('utf8');
+}
+
+const hash = 'ab'.repeat(32);
+
+const bid = {
+  event: 'bid',
+  text: '🙈 Bid .foo 🙈',
+  data: {
+    version: 1,
+    name: 'foo',
+    height: 120,
+    outpoint: {hash, index: 1},
+    value: '2500000',
+    address: '',
+    phase: 'BIDDING',
+    blocksRemaining: 3,
+    bids: 2
+  }
+};
+
+const spend = {
+  event: 'none',
+  text: 'Big Spend 5000.0 $HNS',
+  data: {
+    version: 1,
+    name: '',
+    height: 121,
+    outpoint: {hash, index: 0},
+    value: '5000000000',
+    address: ''
+  }
+};
+
+const digest = {
+  from: 10,
+  to: 12,
+  limit: 10,
+  stats: {
+    blocks: 3,
+    txCount: 12,
+    opens: 2,
+    bids: 3,
+    reveals: 1,
+    registers: 1,
+    burned: 0,
+    lockedUpValue: '3000000',
+    transferredValue: '0',
+    inflation: '6000000000'
+  },
+  opens: [{name: 'foo', height: 10}],
+  totalOpens: 2,
+  auctions: [{name: 'bar', height: 4, bids: 3, reveals: 1,
+    lockup: '3000000'}],
+  reveals: [{name: 'bar', height: 11, outpoint: {hash, index: 0},
+    value: '2000000'}],
+  registers: [{name: 'baz', height: 12, outpoint: {hash, index: 1},
+    value: '1000000'}],
+  totalRegisters: 1,
+  burned: [],
+  totalBurned: 0
+};
+
+function createTransport() {
+  const posts = [];
+
+  return {
+    posts,
+    post: async (url, body) => {
+      posts.push([url, body]);
+    }
+  };
+}
+
+describe('Sinks', function() {
+  it('should not send without an implementation', async () => {
+    const sink = new Sink({name: 'base'});
+
+    assert.strictEqual(sink.name, 'base');
+    assert.strictEqual(sink.enabled, true);
+
+    await assert.rejects(sink.send(message), {
+      message: 'Not implemented.'
+    });
+  });
+
+  it('should tweet messages', async () => {
+    const calls = [];
+    const sink = new TwitterSink({
+      transport: {
+        post: async (path, params) => {
+          calls.push([path, params]);
+          return {id_str: '1'};
+        }
+      }
+    });
+
+    assert.strictEqual(sink.name, 'twitter');
+
+    await sink.send(message);
+
+    assert.deepStrictEqual(calls, [
+      ['statuses/update', {status: '🆕 Open satoshi 🆕'}]
+    ]);
+  });
+
+  describe('Telegram', function() {
+    let stub;
+
+    beforeEach(async () => {
+      stub = new TelegramStub();
+      await stub.open();
+    });
+
+    afterEach(async () => {
+      await stub.close();
+    });
+
+    it('should post messages to the chats', async () => {
+      const sink = new TelegramSink({
+        url: stub.url,
+        token: '123:abc',
+        chats: [42, '@auctions'],
+        logger
+      });
+
+      assert.strictEqual(sink.name, 'telegram');
+      assert.deepStrictEqual(sink.getTargets(), [42, '@auctions']);
+
+      await sink.open();
+
+      for (const chat of sink.getTargets())
+        await sink.send(message, chat);
+
+      await sink.close();
+
+      assert.deepStrictEqual(stub.calls, [{
+        token: 'bot123:abc',
+        method: 'sendMessage',
+        body: {chat_id: 42, text: message.text}
+      }, {
+        token: 'bot123:abc',
+        method: 'sendMessage',
+        body: {chat_id: '@auctions', text: message.text}
+      }]);
+
+      const missing = new TelegramSink({
+        url: stub.url,
+        token: '123:abc',
+        chats: ['@missing']
+      });
+
+      await assert.rejects(missing.send(message, '@missing'), {
+        message: 'Bad Request: chat not found'
+      });
+    });
+
+    it('should answer commands', async () => {
+      const client = {
+        getNotifyName: async name => ({
+          name,
+          bids: [{}, {}],
+          reveals: [{}],
+          highest: 2000000,
+          secondHighest: 1000000,
+          price: 1000000
+        }),
+        getAuctions: async (options) => {
+          assert.deepStrictEqual(options, {sort: 'remaining', limit: 10});
+          return {
+            height: 120,
+            total: 1,
+            auctions: [{
+              name: 'foo',
+              phase: 'BIDDING',
+              blocksRemaining: 3,
+              bids: 2
+            }]
+          };
+        }
+      };
+
+      const sink = new TelegramSink({
+        url: stub.url,
+        token: '123:abc',
+        client,
+        logger
+      });
+
+      const update = (id, text) => ({
+        update_id: id,
+        message: {message_id: id * 10, chat: {id: 7}, text}
+      });
+
+      stub.updates = [
+        update(5, '/name foo'),
+        update(6, 'hello'),
+        update(7, '/auctions@AuctionBot'),
+        update(8, '/name -invalid-'),
+        update(9, '/unknown')
+      ];
+
+      await sink.open();
+
+      await common.forValue(stub.sent, 'length', 3);
+      await common.forValue(sink, 'offset', 10);
+      await sink.close();
+
+      assert.deepStrictEqual(stub.sent, [{
+        chat_id: 7,
+        text: '.foo\n'
+          + 'Bids: 2\n'
+          + 'Reveals: 1\n'
+          + 'Highest: 2.0 $HNS\n'
+          + 'Price: 1.0 $HNS',
+        reply_to_message_id: 50
+      }, {
+        chat_id: 7,
+        text: '1 active auctions at 120\n.foo BIDDING 3 blocks, 2 bids',
+        reply_to_message_id: 70
+      }, {
+        chat_id: 7,
+        text: 'Usage: /name <name>',
+        reply_to_message_id: 80
+      }]);
+
+      assert.strictEqual(stub.calls[0].method, 'getUpdates');
+      assert.deepStrictEqual(stub.calls[0].body, {
+        offset: 0,
+        timeout: 30,
+        allowed_updates: ['message']
+      });
+    });
+
+    it('should not wait for the long poll on close', async () => {
+      const sink = new TelegramSink({
+        url: stub.url,
+        token: '123:abc',
+        client: {},
+        logger
+      });
+
+      stub.hold = 60000;
+
+      await sink.open();
+      await common.forValue(stub.calls, 'length', 1);
+
+      // The poll is held far longer than the test timeout.
+      await sink.close();
+
+      assert(!sink.polling);
+      assert.strictEqual(sink.offset, 0);
+    });
+  });
+
+  describe('Channels', function() {
+    it('should post to the channels that match', async () => {
+      const transport = createTransport();
+      const sink = new DiscordSink({
+        transport,
+        channels: [
+          'https://discord.test/all',
+          {url: 'https://discord.test/bids', filters: {types: ['bid']}},
+          {
+            url: 'https://discord.test/big',
+            filters: [{types: ['none'], minValue: 1000e6}]
+          }
+        ]
+      });
+
+      for (const msg of [bid, spend]) {
+        for (const url of sink.getTargets()) {
+          if (sink.testTarget(url, msg))
+            await sink.send(msg, url);
+        }
+      }
+
+      // A channel without filters is not sent big spends.
+      assert.deepStrictEqual(transport.posts.map(([url]) => url), [
+        'https://discord.test/all',
+        'https://discord.test/bids',
+        'https://discord.test/big'
+      ]);
+
+      assert(!sink.testTarget('https://discord.test/other', bid));
+
+      await assert.rejects(sink.send(bid, 'https://discord.test/other'), {
+        message: 'Unknown channel.'
+      });
+
+      sink.setTarget('https://discord.test/a, https://discord.test/b');
+
+      assert.deepStrictEqual(sink.getTargets(),
+        ['https://discord.test/a', 'https://discord.test/b']);
+      assert(sink.testTarget('https://discord.test/a', bid));
+      assert(!sink.testTarget('https://discord.test/a', spend));
+
+      assert.throws(() => sink.setTarget('discord'), {
+        message: 'Channels must be urls.'
+      });
+
+      sink.setTarget(null);
+      assert.strictEqual(sink.getTargets().length, 3);
+
+      assert.deepStrictEqual(sink.getFilters().map(f => f.types), [
+        new Set(Sink.textEvents),
+        new Set(['bid']),
+        new Set(['none'])
+      ]);
+    });
+
+    it('should surface failed posts', async () => {
+      const server = http.createServer((req, res) => {
+        res.statusCode = 500;
+        res.end();
+      });
+
+      await new Promise(r => server.listen(0, '127.0.0.1', r));
+
+      const {port} = server.address();
+      const sink = new SlackSink({
+        channels: [`http://127.0.0.1:${port}/hook`]
+      });
+
+      assert(sink.transport instanceof ChannelSink.HTTPTransport);
+
+      await assert.rejects(sink.send(bid, sink.getTargets()[0]), {
+        message: 'Channel responded with status 500.'
+      });
+
+      await new Promise(r => server.close(r));
+    });
+
+    it('should render discord embeds', () => {
+      const sink = new DiscordSink({
+        username: 'Auctions',
+        explorer: 'https://explorer.test/'
+      });
+
+      assert.strictEqual(sink.name, 'discord');
+
+      assert.deepStrictEqual(sink.render(bid), {
+        username: 'Auctions',
+        embeds: [{
+          title: 'Bid .foo',
+          url: 'https://explorer.test/name/foo',
+          color: 0x3498db,
+          fields: [
+            {name: 'Phase', value: 'BIDDING', inline: true},
+            {name: 'Value', value: '2.5 HNS', inline: true},
+            {name: 'Bids', value: '2', inline: true},
+            {name: 'Blocks Remaining', value: '3', inline: true},
+            {
+              name: 'Height',
+              value: '[120](https://explorer.test/block/120)',
+              inline: true
+            },
+            {
+              name: 'Output',
+              value: `[abababababababab…/1](https://explorer.test/tx/${hash})`,
+              inline: true
+            }
+          ]
+        }]
+      });
+
+      // No links without an explorer.
+      const plain = new DiscordSink().render(spend);
+      const [embed] = plain.embeds;
+
+      assert.strictEqual(embed.title, 'Big Spend');
+      assert.strictEqual(embed.url, undefined);
+      assert.deepStrictEqual(embed.fields[0],
+        {name: 'Value', value: '5000.0 HNS', inline: true});
+    });
+
+    it('should render summaries', () => {
+      const sink = new DiscordSink({explorer: 'https://explorer.test'});
+
+      const {embeds: [embed]} = sink.render({
+        event: 'summary',
+        text: '📦 3 Auction Events',
+        data: {count: 3, events: {'bid': 2, 'bid burned': 1}, names: ['foo']}
+      });
+
+      assert.strictEqual(embed.title, '3 Auction Events');
+      assert.deepStrictEqual(embed.fields, [
+        {name: 'Bid', value: '2', inline: true},
+        {name: 'Bid Burned', value: '1', inline: true}
+      ]);
+    });
+
+    it('should cap the fields of a summary', () => {
+      const sink = new SlackSink();
+      const events = {};
+
+      const types = Object.keys(ChannelSink.titles).slice(0, 12);
+
+      for (const type of types)
+        events[type] = 1;
+
+      const {blocks} = sink.render({
+        event: 'summary',
+        text: '📦 12 Auction Events',
+        data: {count: 12, events, names: []}
+      });
+
+      assert.strictEqual(blocks[1].fields.length, 10);
+      assert.strictEqual(blocks[0].text.text, '*12 Auction Events*\n'
+        + '1 Redeem, 1 Revoke');
+
+      const discord = new DiscordSink();
+      const {embeds: [embed]} = discord.render({
+        event: 'summary',
+        text: '📦 12 Auction Events',
+        data: {count: 12, events, names: []}
+      });
+
+      assert.strictEqual(embed.fields.length, 10);
+      assert.strictEqual(embed.description, '1 Redeem, 1 Revoke');
+    });
+
+    it('should render slack blocks', () => {
+      const sink = new SlackSink({explorer: 'https://explorer.test'});
+
+      assert.strictEqual(sink.name, 'slack');
+
+      const body = sink.render(bid);
+
+      assert.strictEqual(body.text, bid.text);
+      assert.deepStrictEqual(body.blocks[0], {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '*<https://explorer.test/name/foo|Bid .foo>*'
+        }
+      });
+
+      assert.deepStrictEqual(body.blocks[1].fields.slice(0, 2), [
+        {type: 'mrkdwn', text: '*Phase*\nBIDDING'},
+        {type: 'mrkdwn', text: '*Value*\n2.5 HNS'}
+      ]);
+
+      assert.deepStrictEqual(body.blocks[1].fields[4], {
+        type: 'mrkdwn',
+        text: '*Height*\n<https://explorer.test/block/120|120>'
+      });
+
+      const stats = sink.render({
+        event: 'stats',
+        text: 'Block 10 Stats',
+        data: {
+          version: 1,
+          height: 10,
+          txCount: 4,
+          airdrops: 0,
+          transferredValue: '0',
+          inflation: '2000000000',
+          lockedUpValue: '0'
+        }
+      });
+
+      assert.strictEqual(stats.blocks[0].text.text,
+        '*<https://explorer.test/block/10|Block 10 Stats>*');
+      assert.strictEqual(stats.blocks[1].fields.length, 5);
+    });
+  });
+
+  describe('Email', function() {
+    const stub = new SMTPStub();
+
+    before(async () => {
+      await stub.open();
+    });
+
+    after(async () => {
+      await stub.close();
+    });
+
+    afterEach(() => {
+      stub.mails.length = 0;
+    });
+
+    it('should send mail over smtp', async () => {
+      const transport = new EmailSink.SMTPTransport({
+        host: '127.0.0.1',
+        port: stub.port,
+        hostname: 'notify.test'
+      });
+
+      await transport.send({
+        from: 'notify@example.com',
+        to: ['alice@example.com', 'bob@example.com'],
+        subject: 'Digest ✉',
+        text: '.foo\nopened\n',
+        html: '<p>.foo</p>\n'
+      });
+
+      assert.strictEqual(stub.mails.length, 1);
+
+      const [mail] = stub.mails;
+      assert.strictEqual(mail.from, 'notify@example.com');
+      assert.deepStrictEqual(mail.to,
+        ['alice@example.com', 'bob@example.com']);
+
+      assert(mail.data.includes(
+        '\r\nSubject: =?UTF-8?B?RGlnZXN0IOKciQ==?=\r\n'));
+      assert(/Message-ID: <[0-9a-f]{32}@notify\.test>/.test(mail.data));
+      assert.strictEqual(getPart(mail.data, 'text/plain'), '.foo\nopened\n');
+      assert.strictEqual(getPart(mail.data, 'text/html'), '<p>.foo</p>\n');
+
+      await assert.rejects(transport.send({
+        from: 'notify@example.com',
+        to: ['missing@example.com'],
+        subject: 'Digest',
+        text: '',
+        html: ''
+      }), /SMTP RCPT failed: 550 No such user/);
+
+      assert.strictEqual(stub.mails.length, 1);
+    });
+
+    it('should send a digest every number of blocks', async () => {
+      const requests = [];
+
+      const sink = new EmailSink({
+        from: 'notify@example.com',
+        to: ['alice@example.com'],
+        blocks: 3,
+        smtp: {host: '127.0.0.1', port: stub.port},
+        client: {
+          getDigest: async (options) => {
+            requests.push(options);
+            return {...digest, ...options};
+          }
+        }
+      });
+
+      await sink.open();
+
+      for (const height of [10, 11]) {
+        await sink.send({event: 'stats', text: '', data: {height}});
+        await sink.send(bid);
+      }
+
+      assert.strictEqual(stub.mails.length, 0);
+
+      await sink.send({event: 'stats', text: '', data: {height: 12}});
+
+      assert.deepStrictEqual(requests, [{from: 10, to: 12, limit: 10}]);
+      assert.strictEqual(stub.mails.length, 1);
+      assert.strictEqual(sink.start, 13);
+
+      const [mail] = stub.mails;
+      assert(mail.data.includes(
+        'Subject: Handshake Auction Digest: Blocks 10 to 12\r\n'));
+
+      const text = getPart(mail.data, 'text/plain');
+      assert(text.startsWith('Blocks 10 to 12\n\nSummary\n'));
+      assert(text.includes('\nOpened Names (1 of 2)\n  .foo: block 10\n'));
+      assert(text.includes(
+        '\n  .bar: 3 bids, 1 reveals, 3.0 HNS locked up\n'));
+      assert(text.includes(
+        '\nLargest Reveals\n  .bar: 2.0 HNS, block 11\n'));
+      assert(text.includes(
+        '\nRegistered Names\n  .baz: 1.0 HNS, block 12\n'));
+      assert(text.endsWith('\nBurned Bids\n  None\n'));
+
+      const html = getPart(mail.data, 'text/html');
+      assert(html.includes('<h1>Blocks 10 to 12</h1>'));
+      assert(html.includes('<tr><td>.foo</td><td>block 10</td></tr>'));
+
+      // Nothing new to send.
+      assert.strictEqual(await sink.flush(), false);
+
+      await sink.close();
+    });
+
+    it('should resend a failed digest with the next one', async () => {
+      const mails = [];
+      let fail = true;
+
+      const sink = new EmailSink({
+        from: 'notify@example.com',
+        to: ['alice@example.com'],
+        blocks: 2,
+        transport: {
+          send: async (mail) => {
+            if (fail)
+              throw new Error('Connection refused.');
+            mails.push(mail);
+          }
+        },
+        client: {
+          getDigest: async options => ({...digest, ...options})
+        }
+      });
+
+      await sink.send({event: 'stats', text: '', data: {height: 5}});
+
+      await assert.rejects(
+        sink.send({event: 'stats', text: '', data: {height: 6}}),
+        /Connection refused/);
+
+      fail = false;
+
+      await sink.send({event: 'stats', text: '', data: {height: 7}});
+
+      assert.strictEqual(mails.length, 1);
+      assert.strictEqual(mails[0].subject,
+        'Handshake Auction Digest: Blocks 5 to 7');
+      assert.deepStrictEqual(mails[0].to, ['alice@example.com']);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/*!
+ * webhooks-test.js - Webhooks test
+ * Copyright (c) 2020, Mark Tyneway (MIT License).
+ * https://github.com/tynes/hsd-auction-notify
+ */
+
+'use strict';
+
+const http = require('http');
+const AuctionDB = require('../lib/auctiondb');
+const Webhooks = require('../lib/webhooks');
+const {SettingsRecord} = require('../lib/records');
+const common = require('./util/common');
+const sha256 = require('bcrypto/lib/sha256');
+const assert = require('bsert');
+
+const secret = 'hunter2';
+
+let adb, server, url;
+const requests = [];
+const statuses = [];
+
+function createWebhooks(options) {
+  return new Webhooks({
+    adb,
+    network: 'regtest',
+    retryInterval: 10,
+    ...options
+  });
+}
+
+function createSettings(hook) {
+  const settings = new SettingsRecord();
+
+  settings.setWebhook('test', {
+    enabled: true,
+    url,
+    secret,
+    filters: null,
+    ...hook
+  });
+
+  return settings;
+}
+
+describe('Webhooks', function() {
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        requests.push({
+          headers: req.headers,
+          body: Buffer.concat(chunks)
+        });
+
+        res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+        res.end();
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    adb = new AuctionDB({memory: true});
+    await adb.open();
+  });
+
+  afterEach(async () => {
+    requests.length = 0;
+    statuses.length = 0;
+    await adb.close();
+  });
+
+  it('should deliver signed events', async () => {
+    const webhooks = createWebhooks();
+
+    webhooks.setSettings(createSettings({
+      filters: [{types: ['bid']}]
+    }));
+
+    await webhooks.open();
+
+    await webhooks.push([
+      ['bid', {name: 'foo', value: '1000'}, 5],
+      ['open', {name: 'foo', value: '0'}, 6],
+      ['block connect', {height: 10}, null]
+    ]);
+
+    await common.forValue(requests, 'length', 1);
+    await webhooks.close();
+
+    const [{headers, body}] = requests;
+    const signature = sha256.mac(body, Buffer.from(secret)).toString('hex');
+
+    assert.strictEqual(headers['content-type'],
+      'application/json; charset=utf-8');
+    assert.strictEqual(headers['x-auction-notify-event'], 'bid');
+    assert.strictEqual(headers['x-auction-notify-delivery'], '1');
+    assert.strictEqual(headers['x-auction-notify-signature'],
+      `sha256=${signature}`);
+
+    assert.deepStrictEqual(JSON.parse(body.toString('utf8')), {
+      id: 1,
+      event: 'bid',
+      sequence: 5,
+      data: {name: 'foo', value: '1000'}
+    });
+
+    assert.deepStrictEqual(await adb.getDeliveries(), []);
+  });
+
+  it('should retry failed deliveries with backoff', async () => {
+    const webhooks = createWebhooks();
+
+    assert.strictEqual(webhooks.getBackoff(1), 10);
+    assert.strictEqual(webhooks.getBackoff(3), 40);
+
+    webhooks.setSettings(createSettings());
+    await webhooks.open();
+
+    statuses.push(500, 503);
+
+    await webhooks.push([
+      ['bid', {name: 'foo'}, 1],
+      ['bid', {name: 'bar'}, 2]
+    ]);
+
+    await common.forValue(requests, 'length', 4);
+    await webhooks.close();
+
+    // The second delivery waits for the first.
+    const names = requests.map(r => JSON.parse(r.body).data.name);
+    assert.deepStrictEqual(names, ['foo', 'foo', 'foo', 'bar']);
+
+    assert.deepStrictEqual(await adb.getDeliveries(), []);
+  });
+
+  it('should hold deliveries back behind a retry', async () => {
+    const webhooks = createWebhooks({retryInterval: 60000});
+
+    webhooks.setSettings(createSettings());
+    await webhooks.open();
+
+    statuses.push(500);
+
+    await webhooks.push([['bid', {name: 'foo'}, 1]]);
+    await common.forValue(requests, 'length', 1);
+    await webhooks.flush();
+
+    // The retry of the first is not due yet.
+    await webhooks.push([['bid', {name: 'bar'}, 2]]);
+    await webhooks.flush();
+    await webhooks.close();
+
+    assert.strictEqual(requests.length, 1);
+
+    const deliveries = await adb.getDeliveries();
+    assert.deepStrictEqual(deliveries.map(d => d.data.name), ['foo', 'bar']);
+  });
+
+  it('should drop deliveries after the maximum attempts', async () => {
+    const webhooks = createWebhooks({maxAttempts: 2});
+
+    webhooks.setSettings(createSettings());
+    await webhooks.open();
+
+    statuses.push(500, 500);
+
+    await webhooks.push([['bid', {name: 'foo'}, 1]]);
+
+    await common.forValue(requests, 'length', 2);
+    await webhooks.close();
+
+    assert.deepStrictEqual(await adb.getDeliveries(), []);
+  });
+
+  it('should keep the queue across restarts', async () => {
+    const settings = createSettings({enabled: false});
+    const webhooks = createWebhooks();
+
+    // Disabled webhooks are not queued.
+    webhooks.setSettings(settings);
+    await webhooks.push([['bid', {name: 'foo'}, 1]]);
+    assert.deepStrictEqual(await adb.getDeliveries(), []);
+
+    const hook = settings.webhooks.get('test');
+    settings.setWebhook('test', {...hook, enabled: true});
+    webhooks.setSettings(settings);
+
+    // Queued while closed.
+    await webhooks.push([['bid', {name: 'bar'}, 2]]);
+
+    const [record] = await adb.getDeliveries();
+    assert.strictEqual(record.hook, 'test');
+    assert.strictEqual(record.event, 'bid');
+    assert.strictEqual(record.sequence, 2);
+    assert.strictEqual(record.attempts, 0);
+    assert.deepStrictEqual(record.data, {name: 'bar'});
+
+    const restarted = createWebhooks();
+    restarted.setSettings(settings);
+    await restarted.open();
+
+    await common.forValue(requests, 'length', 1);
+    await restarted.close();
+
+    assert.strictEqual(JSON.parse(requests[0].body).data.name, 'bar');
+    assert.deepStrictEqual(await adb.getDeliveries(), []);
+  });
+
+  it('should remove the deliveries of removed webhooks', async () => {
+    const webhooks = createWebhooks();
+
+    webhooks.setSettings(createSettings());
+    await webhooks.push([['bid', {name: 'foo'}, 1]]);
+    assert.strictEqual((await adb.getDeliveries()).length, 1);
+
+    webhooks.setSettings(new SettingsRecord());
+    await webhooks.open();
+    await webhooks.flush();
+    await webhooks.close();
+
+    assert.strictEqual(requests.length, 0);
+    assert.deepStrictEqual(await adb.getDeliveries(), []);
+  });
+});